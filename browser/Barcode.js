@@ -0,0 +1 @@
+../server/src/Barcode.js
\ No newline at end of file
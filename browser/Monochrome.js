@@ -0,0 +1 @@
+../server/src/Monochrome.js
\ No newline at end of file
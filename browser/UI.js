@@ -6,28 +6,110 @@
  * be sent (as images) to a label printer server.
  */
 import { PTouchStatus } from "./PTouchStatus.js";
+import { Models } from "./Models.js";
+import { Monochrome } from "./Monochrome.js";
+import { Barcode } from "./Barcode.js";
 
-/* global domtoimage */
+/* global domtoimage, bwipjs */
 
+// Name of the printer selected in the UI, see /ajax/printers
+let currentPrinter;
 // Last status received from the server. This describes the printer.
 let currentStatus = new PTouchStatus();
-// Thresholds for colour conversion, tunable per image
+// Options for conversion to black and white, tunable per image (see
+// Monochrome.convert())
 let alphaThreshold = 30;
 let colourThreshold = 30;
+let monochromeMethod = "threshold";
+let gamma = 1;
+let invert = false;
 let tightCrop = false;
+// True if the printer can print red as well as black
+let twoColour = false;
+// The model and tape in the last status, see setStatus()
+let currentMedia;
+// Width of the tape the label in the image canvas was rendered for
+let labelMediaWidth;
 let ejectPx = 10;
 
+// Event sent by the server when a print job changes state (the server
+// side is PrintQueue.JOB_EVENT)
+const JOB_EVENT = "PRINT_JOB";
+
+/**
+ * Get the URL for a request to the selected printer
+ * @param {string} path the request path, e.g. "status"
+ * @return {string} the URL
+ */
+function printerURL(path) {
+  return `/ajax/printers/${encodeURIComponent(currentPrinter)}/${path}`;
+}
+
+// Report progress of a print job
+function setJob(job) {
+  $("#printer_status").text(
+    `Job ${job.id} ${job.state}` + (job.error ? `: ${job.error}` : ""));
+}
+
+// Show errors reported by the printer, or hide the banner if there
+// are none
+function showErrors(errors) {
+  if (errors && errors.length > 0)
+    $("#error_banner").text(`Printer error: ${errors.join(", ")}`).show();
+  else
+    $("#error_banner").hide();
+}
+
+// Report a failed request to the server
+function requestFailed(xhr) {
+  const res = xhr.responseJSON;
+  if (res && res.errors && res.errors.length > 0)
+    showErrors(res.errors);
+  $("#printer_status").text(res ? res.message : xhr.statusText);
+}
+
+// Get the parameters for a print or preview request
+function printParams() {
+  return {
+    png: $("#image_canvas")[0].toDataURL(),
+    auto_cut: $("#auto_cut").is(":checked"),
+    half_cut: $("#half_cut").is(":checked"),
+    chain: $("#chain").is(":checked"),
+    cut_every: $("#cut_every").val(),
+    margin_mm: $("#margin_mm").val(),
+    // So the server can refuse the label if the tape it was rendered
+    // for is no longer loaded
+    media_width_mm: labelMediaWidth
+  };
+}
+
 // Update printer status information fields
 function setStatus(s) {
   currentStatus = s;
+  showErrors(s.errors);
   $(".model_name").text(s.model);
-  $(".media_width_mm").text(s.media_width_mm);
+  $(".media_description").text(PTouchStatus.describeMedia(s));
   $(".printable_width_mm").text(s.printable_width_mm);
   $(".printable_width_px").text(s.printable_width_px);
-  $(".phase").text(PTouchStatus.Phase[s.phase]);
+  $(".phase").text(s.online ? PTouchStatus.Phase[s.phase] : "offline");
   $("#review_liner").css("min-height", s.printable_width_px);
-  $("#eject_mm").text((ejectPx * s.pixel_size_mm).toFixed(2));
-  refreshImage();
+  $("#eject_mm").text((ejectPx * s.pixel_length_mm).toFixed(2));
+  // Cutting options depend on the model's cutter
+  const model = s.model && Models.getModelByName(s.model);
+  const caps = model ? model.capabilities : {};
+  $("#cut_options").toggle(caps.cutter === true);
+  $("#cut_options .half_cut").toggle(caps.half_cut === true);
+  $("#cut_options .cut_every").toggle(caps.cut_every === true);
+  twoColour = caps.two_colour === true;
+  // Barcodes are sized for the printer's dots, so redraw the label
+  // if the printer or tape changes, but not on every status report
+  // (e.g. phase changes while printing)
+  const media = [ s.model, s.media_width_mm, s.media_length_mm,
+                  s.pixel_size_mm, s.pixel_length_mm ].join(" ");
+  if (media !== currentMedia) {
+    currentMedia = media;
+    onLabelChanged();
+  }
 }
 
 /**
@@ -83,43 +165,23 @@ function trim(data, w, h) {
 }
 
 /**
- * Simple algorithm to convert an RGBA image to black and white.
- * Works on the data in place, simply sets black pixels as opaque and white
- * pixels as transparent.
- * @param {Uint8Array} data the image data
- * @param {number} w image width
- * @param {number} h image height
- */
-function BandW(data, w, h) {
-  for (let y = 0; y < h; y++)
-    for (let x = 0; x < w;x++) {
-      const offset = ((y * w) + x) * 4;
-      if (data[offset + 3] > alphaThreshold) {
-        let bw = data[offset + 0] * 0.3
-            + data[offset + 1] * 0.59
-            + data[offset + 2] * 0.11;
-        // We are painting on a white background, so colours that
-        // give a higher bw are increasingly washed out and need to
-        // map to white. Darker colours map to black.
-        if (bw > colourThreshold)
-          data[offset + 3] = 0;
-        else {
-          data[offset + 0] = 0;
-          data[offset + 1] = 0;
-          data[offset + 2] = 0;
-          data[offset + 3] = 255;
-        }
-      }
-    }
-}
-
-/**
- * Render the review window to the image canvas.
+ * Render the review window to the image canvas. In high resolution
+ * pixels are shorter along the tape than across it, so the label is
+ * stretched along the tape to keep the printed shape. The canvas holds
+ * the stretched image (what gets printed) but is displayed unstretched.
  */
 function refreshImage() {
+  // Any preview is out of date
+  $("#preview_liner").hide();
   setTimeout(() => {
     const node = $("#review_div")[0];
-    const w = node.scrollWidth;
+    // The tape the label is rendered for
+    const media_width_mm = currentStatus.media_width_mm;
+    // Stretch along the tape
+    const xs = currentStatus
+          ? currentStatus.pixel_size_mm / currentStatus.pixel_length_mm : 1;
+    const displayW = node.scrollWidth;
+    const w = Math.round(displayW * xs);
     let top = 0;
     let h = node.scrollHeight;
     domtoimage
@@ -130,7 +192,11 @@ function refreshImage() {
       // probably. Seems to work OK with +1, though. h doesn't seem to be a
       // problem.
       width: w + 1,
-      height: h
+      height: h,
+      style: {
+        transform: `scaleX(${xs})`,
+        transformOrigin: "top left"
+      }
     })
     .then(dom_canvas => {
       // Prepare the generated canvas for rendering
@@ -142,20 +208,29 @@ function refreshImage() {
         // the image in the tape.
         [ top, h ] = trim(imageData.data, w, h);
 
-      // Monochromise the image
-      BandW(imageData.data, w, h);
+      // Monochromise the image, the same way the server would
+      Monochrome.convert(imageData.data, w, imageData.height, {
+        method: monochromeMethod,
+        threshold: colourThreshold,
+        alpha: alphaThreshold,
+        gamma: gamma,
+        invert: invert,
+        two_colour: twoColour
+      });
       dom_ctx.putImageData(imageData, 0, 0);
 
       // Render the image onto the canvas
       const canvas = $("#image_canvas")[0];
-      $("#image_liner").width(canvas.width = w);
+      canvas.width = w;
+      $("#image_liner").width(displayW);
       $("#image_liner").height(canvas.height = h);
       const ctx = canvas.getContext('2d');
       ctx.drawImage(dom_canvas, 0, top, w, h,
                     0, 0, w, h);
+      labelMediaWidth = media_width_mm;
 
       $("#label_length_px").text(w);
-      $("#label_length_mm").text((w * currentStatus.pixel_size_mm).toFixed(2));
+      $("#label_length_mm").text((w * currentStatus.pixel_length_mm).toFixed(2));
 
       $("#label_width_px").text(h);
       $("#label_width_mm").text((h * currentStatus.pixel_size_mm).toFixed(2));
@@ -180,9 +255,47 @@ function refreshImage() {
 function onLabelChanged(refresh = true) {
   const content = $("#label_text").val();
   $("#review_div").html(content);
+  drawBarcodes();
   if (refresh) refreshImage();
 }
 
+/**
+ * Replace each <barcode> element in the label with the code it
+ * describes, drawn so that every module is a whole number of printer
+ * dots (see Barcode.draw()). The attributes are type, text, and
+ * optionally module (size of a module in mm) and height (height of a
+ * linear code in mm), e.g.
+ * <barcode type="qr" text="ASSET-0042" module="0.5"></barcode>
+ */
+function drawBarcodes() {
+  // Until the printer reports, assume 180dpi
+  const dot_mm = currentStatus.pixel_size_mm || 25.4 / 180;
+  const mm = value => typeof value === "undefined" ? undefined : Number(value);
+  $("#review_div barcode").each((i, el) => {
+    let code;
+    try {
+      code = Barcode.draw(bwipjs, {
+        type: $(el).attr("type"),
+        text: $(el).attr("text") ?? "",
+        module_mm: mm($(el).attr("module")),
+        height_mm: mm($(el).attr("height")),
+        // Not pixel_length_mm; refreshImage() stretches the label
+        // along the tape
+        pixel_size_mm: dot_mm
+      });
+    } catch (e) {
+      $(el).replaceWith($("<span></span>").text(e.message));
+      return;
+    }
+    const canvas = $("<canvas></canvas>").css("image-rendering", "pixelated")[0];
+    canvas.width = code.width;
+    canvas.height = code.height;
+    canvas.getContext("2d").putImageData(
+      new ImageData(code.data, code.width, code.height), 0, 0);
+    $(el).replaceWith(canvas);
+  });
+}
+
 /**
  * Handler for the font family changing
  */
@@ -220,13 +333,31 @@ function onRightMarginChanged(refresh = true) {
 
 // Handler to set the rendering alpha threshold
 function onAlphaThresholdChanged(refresh = true) {
-  alphaThreshold = $("#alpha_threshold").val();
+  alphaThreshold = Number($("#alpha_threshold").val());
   if (refresh) refreshImage();
 }
 
 // Handler to set the rendering colour threshold
 function onColourThresholdChanged(refresh = true) {
-  colourThreshold = $("#colour_threshold").val();
+  colourThreshold = Number($("#colour_threshold").val());
+  if (refresh) refreshImage();
+}
+
+// Handler to set the black and white conversion method
+function onMonochromeChanged(refresh = true) {
+  monochromeMethod = $("#monochrome").val();
+  if (refresh) refreshImage();
+}
+
+// Handler to set the rendering gamma
+function onGammaChanged(refresh = true) {
+  gamma = Number($("#gamma").val()) || 1;
+  if (refresh) refreshImage();
+}
+
+// Handler to set inverting
+function onInvertChanged(refresh = true) {
+  invert = $("#invert").is(":checked");
   if (refresh) refreshImage();
 }
 
@@ -239,7 +370,7 @@ function onTightCropChanged(refresh = true) {
 // Handler to set eject
 function onEjectChanged(refresh = true) {
   ejectPx = $("#eject_px").val();
-  $("#eject_px").text((ejectPx / currentStatus.pixel_size_mm).toFixed(2));
+  $("#eject_mm").text((ejectPx * currentStatus.pixel_length_mm).toFixed(2));
   if (refresh) refreshImage();
 }
 
@@ -268,23 +399,60 @@ $(function() {
   $("#colour_threshold").on("change", onColourThresholdChanged);
   onColourThresholdChanged(false);
 
+  for (const method of Monochrome.METHODS)
+    $("#monochrome").append($("<option></option>").val(method).text(method));
+  $("#monochrome").on("change", onMonochromeChanged);
+  onMonochromeChanged(false);
+
+  $("#gamma").on("change", onGammaChanged);
+  onGammaChanged(false);
+
+  $("#invert").on("change", onInvertChanged);
+  onInvertChanged(false);
+
   $("#eject_px").on("change", onEjectChanged);
   onEjectChanged(false);
 
-  $("#print").on("click", function() {
-    $.post("/ajax/print", { png: $("#image_canvas")[0].toDataURL() })
-    .then(res => $("#printer_status").text(res));
-  });
+  $("#print").on("click", () => $.post(printerURL("print"), printParams())
+                 .then(setJob, requestFailed));
 
-  $("#eject").on("click", () => $.post(`/ajax/eject?px=${ejectPx}`));
+  $("#preview").on("click", () => $.post(printerURL("preview"), printParams())
+                   .then(res => {
+                     $("#preview_pages").empty();
+                     for (const png of res.pages)
+                       $("#preview_pages").append($("<img>").attr("src", png));
+                     $("#preview_liner").show();
+                   }, requestFailed));
 
-  $.get("/ajax/status", setStatus);
+  $("#eject").on("click", () => $.post(printerURL(`eject?px=${ejectPx}`))
+                 .fail(requestFailed));
 
+  $("#select_printer").on("change", () => {
+    currentPrinter = $("#select_printer").val();
+    $("#printer_status").text("");
+    $.get(printerURL("status"), setStatus);
+  });
+
+  $.get("/ajax/printers", printers => {
+    for (const p of printers)
+      $("#select_printer").append(
+        $("<option></option>").val(p.name).text(`${p.name} (${p.model})`));
+    $("#select_printer").trigger("change");
+  });
+
+  // Events are tagged with the name of the printer
   const socket = io();
-  socket.on(PTouchStatus.UPDATE_EVENT, state => {
+  socket.on(PTouchStatus.UPDATE_EVENT, (state, printer) => {
+    if (printer !== currentPrinter) return;
     setStatus(state);
     console.log("Status", state);
   });
+  socket.on(PTouchStatus.ERROR_EVENT, (state, printer) => {
+    if (printer === currentPrinter) showErrors(state.errors);
+  });
+  socket.on(JOB_EVENT, (job, printer) => {
+    if (printer === currentPrinter) setJob(job);
+  });
 
   refreshImage();
 });
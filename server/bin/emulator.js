@@ -0,0 +1,89 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+import { promises as Fs } from "node:fs";
+import Path from "path";
+
+import getopt from "posix-getopt";
+
+import { Emulator } from "../src/Emulator.js";
+import { Models } from "../src/Models.js";
+
+const DESCRIPTION = [
+  "USAGE",
+  `\tnode ${Path.relative(".", process.argv[1])} [options]`,
+  "DESCRIPTION",
+  "\tEmulate a Brother label printer, for testing without hardware.",
+  "\tPrinted pages are saved as PNG images.",
+  "OPTIONS",
+  "\t-h, --help - output this information",
+  "\t-l, --length <mm> - length of loaded die-cut labels (QL printers)",
+  "\t-M, --models <dir> - directory of extra model descriptors (.json)",
+  "\t-m, --model <model> - printer model to emulate (default PT1230)",
+  "\t-o, --output <dir> - directory to save printed pages in (default .)",
+  "\t-p, --port <port> - listen for connections on a TCP port,",
+  "\t\tor unix domain socket if <port> isn't a number",
+  "\t-s, --stdio - read commands from stdin, and reply on stdout",
+  "\t-t, --tape <mm> - width of the loaded tape",
+  "\t-v, --verbose - (prints to console.debug)"
+].join("\n");
+
+const go_parser = new getopt.BasicParser(
+  "h(help)l:(length)M:(models)m:(model)o:(output)p:(port)s(stdio)t:(tape)v(verbose)",
+  process.argv);
+
+// Option defaults
+const options = {
+  output: ".",
+  debug: () => {}
+};
+
+function fail(message) {
+  if (message)
+    console.error(message);
+  console.log(DESCRIPTION);
+  console.log(`Supported printer models: ${Models.all().map(m => m.name).join(", ")}`);
+  process.exit();
+}
+
+let option;
+while ((option = go_parser.getopt())) {
+  switch (option.option) {
+  default: fail(`Unknown option -${option.option}\n${DESCRIPTION}`);
+  case 'h': fail();
+  case 'l': options.media_length_mm = parseFloat(option.optarg); break;
+  case 'M': options.models = option.optarg; break;
+  case 'm': options.model = option.optarg; break;
+  case 'o': options.output = option.optarg; break;
+  case 'p': options.port = option.optarg; break;
+  case 's': options.stdio = true; break;
+  case 't': options.media_width_mm = parseFloat(option.optarg); break;
+  case 'v': options.debug = console.debug; break;
+  }
+}
+if (process.argv.length > go_parser.optind())
+  fail(`Unexpected "${process.argv[go_parser.optind()]}"`);
+
+if (!options.stdio && typeof options.port === "undefined")
+  fail("One of --port or --stdio is required");
+
+(options.models ? Models.loadDirectory(options.models) : Promise.resolve())
+.then(() => {
+  const emulator = new Emulator(options);
+
+  let pageNumber = 0;
+  emulator.on(Emulator.PRINTED_EVENT, png => {
+    const file = Path.join(options.output, `page${++pageNumber}.png`);
+    Fs.writeFile(file, png)
+    .then(() => console.error(`Printed ${file}`));
+  });
+
+  if (options.stdio) {
+    emulator.on(Emulator.REPLY_EVENT, block => process.stdout.write(block));
+    process.stdin.on("data", data => emulator.receive(data));
+  } else {
+    const port = /^\d+$/.test(options.port)
+          ? parseInt(options.port) : options.port;
+    emulator.listen(port);
+    console.error(`Emulating ${emulator.model.name} on ${port}`);
+  }
+})
+.catch(e => fail(e.message));
@@ -0,0 +1,92 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+import { promises as Fs } from "node:fs";
+import Path from "path";
+
+import getopt from "posix-getopt";
+
+import { fromBinary, toBinary } from "../src/Readable.js";
+import { Models } from "../src/Models.js";
+
+const DESCRIPTION = [
+  "USAGE",
+  `\tnode ${Path.relative(".", process.argv[1])} [options] [<file>]`,
+  "DESCRIPTION",
+  "\tDisassemble the print commands sent to a Brother label printer",
+  "\t(e.g. a file saved by the server with --write_only, or captured",
+  "\tfrom P-touch Editor printing to a file) into readable text, one",
+  "\tcommand per line, or assemble edited text back into binary.",
+  "\tReads <file>, or stdin if no file is given.",
+  "OPTIONS",
+  "\t-a, --assemble - assemble text into binary",
+  "\t-h, --help - output this information",
+  "\t-m, --model <model> - the printer the stream is for, e.g. QL-800.",
+  "\t\tQL and P-touch printers use 'g' for different rasters; without",
+  "\t\tthis, which is meant is worked out from the stream",
+  "\t-o, --output <file> - file to write (default stdout)",
+  "\t-r, --art - draw rasters as ASCII art, one character per pin,",
+  "\t\tinstead of hex. Art can be edited and assembled like hex.",
+  "\t-u, --unknown - disassemble unknown bytes as \"Unknown <hex>\"",
+  "\t\tinstead of stopping"
+].join("\n");
+
+const go_parser = new getopt.BasicParser(
+  "a(assemble)h(help)m:(model)o:(output)r(art)u(unknown)",
+  process.argv);
+
+const options = {};
+
+function fail(message) {
+  if (message)
+    console.error(message);
+  console.log(DESCRIPTION);
+  process.exit();
+}
+
+let option;
+while ((option = go_parser.getopt())) {
+  switch (option.option) {
+  default: fail(`Unknown option -${option.option}\n${DESCRIPTION}`);
+  case 'a': options.assemble = true; break;
+  case 'h': fail();
+  case 'm': {
+    const model = Models.getModelByName(option.optarg);
+    if (!model)
+      fail(`Unknown model ${option.optarg}`);
+    options.ql = model.capabilities.ql_raster === true;
+    break;
+  }
+  case 'o': options.output = option.optarg; break;
+  case 'r': options.art = true; break;
+  case 'u': options.unknown = true; break;
+  }
+}
+const files = process.argv.slice(go_parser.optind());
+if (files.length > 1)
+  fail(`Unexpected "${files[1]}"`);
+
+/**
+ * Promise to read all of stdin
+ * @return {Promise.<Buffer>} promise resolving to the data
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on("data", chunk => chunks.push(chunk));
+    process.stdin.on("end", () => resolve(Buffer.concat(chunks)));
+    process.stdin.on("error", reject);
+  });
+}
+
+(files.length > 0 ? Fs.readFile(files[0]) : readStdin())
+.then(data => {
+  if (options.assemble)
+    return toBinary(data.toString().split(/\r?\n/));
+  return fromBinary(data, options).join("\n") + "\n";
+})
+.then(result => options.output
+      ? Fs.writeFile(options.output, result)
+      : process.stdout.write(result))
+.catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+import Path from "path";
+
+import getopt from "posix-getopt";
+
+import { Capture } from "../src/Capture.js";
+import { PTouch } from "../src/PTouch.js";
+import { Models } from "../src/Models.js";
+
+const DESCRIPTION = [
+  "USAGE",
+  `\tnode ${Path.relative(".", process.argv[1])} [options] <capture>`,
+  "DESCRIPTION",
+  "\tRe-send a print job captured by the server (see --capture) to a",
+  "\tprinter. <capture> is the directory the job was captured in. The",
+  "\tbytes are sent exactly as captured, so the printer should be the",
+  "\tsame model, with the same media loaded.",
+  "OPTIONS",
+  "\t-d, --device <path> - path to printer (e.g. /dev/usb/lp0),",
+  "\t\ttcp://host[:port] for a network printer (default port 9100),",
+  "\t\tor auto to use the first Brother printer found on USB (default)",
+  "\t-h, --help - output this information",
+  "\t-m, --model <model> - Set the printer type e.g. --model PT1230",
+  "\t\t--model is required if --write_only is given",
+  "\t-w, --write_only - only write, don't try to read from the device",
+  "\t-v, --verbose - (prints to console.debug)"
+].join("\n");
+
+const go_parser = new getopt.BasicParser(
+  "d:(device)h(help)m:(model)v(verbose)w(write_only)",
+  process.argv);
+
+const options = {
+  device: "auto",
+  reconnect: 0,
+  debug: () => {}
+};
+
+function fail(message) {
+  if (message)
+    console.error(message);
+  console.log(DESCRIPTION);
+  process.exit();
+}
+
+let option;
+while ((option = go_parser.getopt())) {
+  switch (option.option) {
+  default: fail(`Unknown option -${option.option}\n${DESCRIPTION}`);
+  case 'd': options.device = option.optarg; break;
+  case 'h': fail();
+  case 'm':
+    options.model = Models.getModelByName(option.optarg);
+    if (!options.model)
+      fail(`Unknown model ${option.optarg}`);
+    break;
+  case 'v': options.debug = console.debug; break;
+  case 'w': options.write_only = true; break;
+  }
+}
+const dirs = process.argv.slice(go_parser.optind());
+if (dirs.length !== 1)
+  fail(dirs.length === 0 ? "No capture given" : `Unexpected "${dirs[1]}"`);
+
+if (options.write_only && !options.model)
+  fail("--write_only requires --model");
+
+let printer;
+Capture.load(dirs[0])
+.then(capture => {
+  const was = capture.status.model ?? "unknown model";
+  console.log(`Replaying job ${capture.description.id}, captured on a ${was}`);
+  printer = new PTouch(options);
+  return printer.send(capture.data);
+})
+.then(() => console.log("Printed"))
+.catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+})
+.finally(() => printer?.close());
@@ -9,32 +9,52 @@ import getopt from "posix-getopt";
 
 import { Server } from "../src/Server.js";
 import { Models } from "../src/Models.js";
+import { PrinterRegistry } from "../src/PrinterRegistry.js";
+import { Discovery } from "../src/Discovery.js";
 
 const DESCRIPTION = [
   "USAGE",
   `\tnode ${Path.relative(".", process.argv[1])} [options]`,
   "DESCRIPTION",
-  "\tRun a label print server for a Brother label printer",
+  "\tRun a label print server for one or more Brother label printers",
   "OPTIONS",
-  "\t-d, --device <path> - path to printer (default /dev/usb/lp0)",
+  "\t-C, --capture <dir> - capture every job (the bytes sent to the",
+  "\t\tprinter, the image and the status) in <dir>, so it can be",
+  "\t\tdiagnosed or replayed, see README",
+  "\t-c, --printers <file> - JSON file describing the printers to serve,",
+  "\t\tsee README. The device and printer options below are ignored,",
+  "\t\texcept --capture, which applies to every printer.",
+  "\t-d, --device <path> - path to printer (e.g. /dev/usb/lp0),",
+  "\t\ttcp://host[:port] for a network printer (default port 9100),",
+  "\t\tor auto to use the first Brother printer found on USB (default)",
   "\t-m, --model <model> - Set the printer type e.g. --model PT1230",
   "\t\tIf the model is not specified, the --device will be interrogated",
   "\t\t--model is required if --write_only is given",
   "\t-h, --help - output this information",
+  "\t-M, --models <dir> - directory of extra model descriptors (.json),",
+  "\t\tsee server/models for examples",
   "\t-p, --port <file> - Port to start server on (default 9094)",
+  "\t-r, --high_resolution - print at twice the resolution along the tape,",
+  "\t\tif the printer supports it",
+  "\t-s, --sysfs <dir> - root of sysfs, where USB printers are looked",
+  "\t\tfor (default /sys)",
+  "\t-t, --timeout <s> - seconds to wait for the printer to report",
+  "\t\tprogress while printing (default 60)",
+  "\t-u, --uncompressed - send uncompressed rasters, even if the printer",
+  "\t\tsupports TIFF compression",
   "\t-w, --write_only - only write, don't try to read from the device",
   "\t-v, --verbose - (prints to console.debug)"
 ].join("\n");
 
 const go_parser = new getopt.BasicParser(
-  "d:(device)h(help)m:(model)p:(port)v(verbose)w(write_only)",
+  "C:(capture)c:(printers)d:(device)h(help)M:(models)m:(model)p:(port)r(high_resolution)s:(sysfs)t:(timeout)u(uncompressed)v(verbose)w(write_only)",
   process.argv);
 
 // Option defaults
 const options = {
   port: 9094,
   docRoot: docRoot,
-  device: "/dev/usb/lp0",
+  device: "auto",
   debug: () => {}
 };
 
@@ -46,14 +66,51 @@ function fail(message) {
   process.exit();
 }
 
+// ms between looking for printers that have been plugged in or unplugged
+const RESCAN = 10000;
+
+/**
+ * Devices found by the last scan
+ */
+let found = new Set();
+
+/**
+ * Promise to look for USB printers, and report any that have been
+ * plugged in or unplugged since the last look. Devices (including
+ * "auto") pick up printers that are plugged in when they reconnect.
+ */
+function scan() {
+  return Discovery.scan()
+  .then(printers => {
+    const now = new Set();
+    for (const d of printers) {
+      now.add(d.device);
+      if (!found.has(d.device))
+        console.log(`Found ${d.model ? d.model.name : "Brother printer"}`
+                    + ` on ${d.device}`);
+    }
+    for (const device of found)
+      if (!now.has(device))
+        console.log(`Printer on ${device} has gone`);
+    found = now;
+  });
+}
+
 let option;
 while ((option = go_parser.getopt())) {
   switch (option.option) {
   default: fail(`Unknown option -${option.option}\n${DESCRIPTION}`);
+  case 'C': options.capture = option.optarg; break;
+  case 'c': options.printers = option.optarg; break;
   case 'd': options.device = option.optarg ; break;
   case 'h': fail();
-  case 'm': options.model = Models.getModelByName(option.optarg); break;
+  case 'M': options.models = option.optarg; break;
+  case 'm': options.model = option.optarg; break;
   case 'p': options.port = option.optarg ; break;
+  case 'r': options.high_resolution = true; break;
+  case 's': Discovery.sysfs = option.optarg; break;
+  case 't': options.timeout = parseFloat(option.optarg) * 1000; break;
+  case 'u': options.compression = false; break;
   case 'v': options.debug = console.debug; break;
   case 'w': options.write_only = true; break;
   }
@@ -61,13 +118,36 @@ while ((option = go_parser.getopt())) {
 if (process.argv.length > go_parser.optind())
   fail(`Unexpected "${process.argv[go_parser.optind()]}"`);
 
-console.debug(
-  `Starting server for device ${options.device}`,
-  `on port ${options.port}`);
-
-if (options.write_only && !options.model)
+if (options.write_only && !options.model && !options.printers)
   fail("--write_only requires --model");
 
-const server = new Server(options);
-server.listen(options.port);
+(options.models ? Models.loadDirectory(options.models) : Promise.resolve())
+.then(() => {
+  if (options.printers)
+    return PrinterRegistry.load(
+      options.printers, options.debug, { capture: options.capture });
+
+  if (options.model) {
+    const model = Models.getModelByName(options.model);
+    if (!model)
+      fail(`Unknown model ${options.model}`);
+    options.model = model;
+  }
+  return undefined;
+})
+.then(printers => scan().then(() => printers))
+.then(printers => {
+  console.debug(
+    printers
+    ? `Starting server for printers ${printers.all().map(p => p.name).join(", ")}`
+    : `Starting server for device ${options.device}`,
+    `on port ${options.port}`);
+
+  const server = new Server({ ...options, printers: printers });
+  server.listen(options.port);
+
+  setInterval(() => scan().catch(e => options.debug("Scan failed", e.message)),
+              RESCAN);
+})
+.catch(e => fail(e.message));
 
@@ -4,4 +4,7 @@ import pluginJs from "@eslint/js";
 export default [
   {languageOptions: { globals: globals.browser }},
   pluginJs.configs.recommended,
+  // Express error handlers must take 4 arguments, even if they don't
+  // call next()
+  {rules: { "no-unused-vars": [ "error", { argsIgnorePattern: "^next$" } ] }},
 ];
@@ -0,0 +1,144 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, browser */
+
+// This module is shared with the browser, so must not statically
+// import any node.js modules.
+
+/**
+ * Supported barcode types, mapped to the bwip-js encoder for each
+ */
+const ENCODERS = {
+  code128: "code128",
+  code39: "code39",
+  ean13: "ean13",
+  qr: "qrcode",
+  datamatrix: "datamatrix"
+};
+
+/**
+ * Quiet zone (blank space needed round the code for it to scan) for
+ * each type, in modules
+ */
+const QUIET_ZONE = {
+  code128: 10,
+  code39: 10,
+  ean13: 11,
+  qr: 4,
+  datamatrix: 1
+};
+
+/**
+ * Barcodes and 2D codes, drawn so that every module (the narrowest bar
+ * or space, or a square in a 2D code) is a whole number of printer
+ * dots, so codes scan reliably. Codes are encoded by bwip-js, which
+ * the caller provides: the module imported from "bwip-js" on the
+ * server, or the bwipjs global loaded from bwip-js-min.js in the
+ * browser. The code is drawn as RGBA pixel data, with the bars opaque
+ * black and the rest transparent, as ImageRows expects. Codes are
+ * drawn without human-readable text.
+ */
+class Barcode {
+
+  /**
+   * Names of the supported types
+   */
+  static TYPES = Object.keys(ENCODERS);
+
+  /**
+   * Get the size of a module in printer dots.
+   * @param {number} module_mm requested size of a module
+   * @param {number} dot_mm size of a printer dot
+   * @return {number} whole number of dots nearest to the requested
+   * size, at least 1
+   */
+  static dots(module_mm, dot_mm) {
+    return Math.max(1, Math.round(module_mm / dot_mm));
+  }
+
+  /**
+   * Draw a barcode. The image has the long edge of the label across
+   * it, as the UI draws labels, so bars of a linear code run across
+   * the tape.
+   * @param {object} bwipjs the bwip-js module
+   * @param {object} options options
+   * @param {string} options.type one of Barcode.TYPES
+   * @param {string} options.text the text to encode
+   * @param {number} options.pixel_size_mm size of a printer dot across
+   * the tape (see PTouchStatus.pixel_size_mm)
+   * @param {number?} options.pixel_length_mm size of a printer dot
+   * along the tape, if different e.g. in high resolution (see
+   * PTouchStatus.pixel_length_mm)
+   * @param {number?} options.module_mm size of a module, which is
+   * rounded to whole dots (default 0.3)
+   * @param {number?} options.height_mm height of the bars of a linear
+   * code (default 10)
+   * @return {object} { data: Uint8ClampedArray, width: number, height:
+   * number } giving the RGBA pixel data and its size
+   * @throws {Error} if the type is unknown, or the text can't be
+   * encoded
+   */
+  static draw(bwipjs, options) {
+    const encoder = ENCODERS[options.type];
+    if (!encoder)
+      throw new Error(`Barcode: Unknown type ${options.type}`);
+    const module_mm = options.module_mm ?? 0.3;
+    const pixel_length_mm = options.pixel_length_mm ?? options.pixel_size_mm;
+    // Dots for each module along the tape (x) and across it (y)
+    const mx = Barcode.dots(module_mm, pixel_length_mm);
+    const my = Barcode.dots(module_mm, options.pixel_size_mm);
+    const quiet = QUIET_ZONE[options.type];
+
+    let encoding;
+    try {
+      encoding = bwipjs.raw(encoder, options.text, "")[0];
+    } catch (e) {
+      // bwip-js throws strings, or errors named for the encoder
+      throw new Error(`Barcode: Can't encode "${options.text}" as ${options.type}: ${e.message ?? e}`);
+    }
+
+    if (encoding.sbs) {
+      // Linear code: alternating bar and space widths, in modules
+      const modules = encoding.sbs.reduce((a, b) => a + b, 0);
+      const width = (modules + 2 * quiet) * mx;
+      const height = Math.max(
+        1, Math.round((options.height_mm ?? 10) / options.pixel_size_mm));
+      const data = new Uint8ClampedArray(width * height * 4);
+      let x = quiet * mx;
+      encoding.sbs.forEach((w, i) => {
+        if (i % 2 === 0)
+          Barcode.fill(data, width, x, 0, w * mx, height);
+        x += w * mx;
+      });
+      return { data: data, width: width, height: height };
+    }
+
+    // 2D code: a matrix of modules, 1 for dark
+    const width = (encoding.pixx + 2 * quiet) * mx;
+    const height = (encoding.pixy + 2 * quiet) * my;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < encoding.pixy; row++)
+      for (let col = 0; col < encoding.pixx; col++)
+        if (encoding.pixs[row * encoding.pixx + col])
+          Barcode.fill(data, width, (col + quiet) * mx, (row + quiet) * my,
+                       mx, my);
+    return { data: data, width: width, height: height };
+  }
+
+  /**
+   * Fill a rectangle with opaque black
+   * @param {Uint8ClampedArray} data RGBA pixel data
+   * @param {number} width width of the image
+   * @param {number} x left of the rectangle
+   * @param {number} y top of the rectangle
+   * @param {number} w width of the rectangle
+   * @param {number} h height of the rectangle
+   * @private
+   */
+  static fill(data, width, x, y, w, h) {
+    for (let row = y; row < y + h; row++)
+      for (let col = x; col < x + w; col++)
+        data[(row * width + col) * 4 + 3] = 255;
+  }
+}
+
+export { Barcode }
@@ -0,0 +1,171 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+
+import { PTouch } from "./PTouch.js";
+import { PTouchStatus } from "./PTouchStatus.js";
+
+/**
+ * A record of what was sent to, and received from, a printer while a
+ * print job was printed, for diagnosing labels that come out wrong and
+ * for replaying jobs (see PrintQueue.replay()). A capture listens to
+ * the printer from when it is constructed until it is saved, when it
+ * is written to its own directory:
+ * - job.json - the PrintJob, as it was sent
+ * - image.png - the image, as passed to PTouch.printRows() (so
+ *   with the long edge running down the image)
+ * - status.json - the PTouchStatus when the job was sent
+ * - sent.bin - every byte written to the printer (see bin/readable.js)
+ * - replies.json - the status reports received, in order
+ */
+class Capture {
+
+  /**
+   * @param {string} dir directory to save the capture in. It is
+   * saved in a subdirectory named for the job.
+   * @param {PrintJob} job the job being captured
+   * @param {PTouch} printer the printer the job is sent to
+   */
+  constructor(dir, job, printer) {
+
+    /**
+     * Directory the capture is saved in
+     * @member {string}
+     */
+    this.path = Path.join(dir, `job${job.id}-${job.created}`);
+
+    /**
+     * The job being captured
+     * @private
+     */
+    this.job = job;
+
+    /**
+     * The image, kept so it can still be saved after the job has
+     * released it
+     * @private
+     */
+    this.image = job.image;
+
+    /**
+     * The printer
+     * @private
+     */
+    this.printer = printer;
+
+    /**
+     * Description of the job, as it was sent
+     * @member {object}
+     */
+    this.description = job.toJSON();
+
+    /**
+     * Printer status when the job was sent. The printer may not have
+     * been initialised yet, so this is set when the first print data
+     * is written (see onWrite).
+     * @member {PTouchStatus}
+     */
+    this.status = undefined;
+
+    /**
+     * Number of bytes written to the printer
+     * @member {number}
+     */
+    this.sent = 0;
+
+    /**
+     * Promise resolving to the open sent.bin, once everything written
+     * to the printer so far has been written to it. Data is written as
+     * it is sent, so it isn't all held in memory.
+     * @private
+     */
+    this.sending = Fs.mkdir(this.path, { recursive: true })
+    .then(() => Fs.open(Path.join(this.path, "sent.bin"), "w"));
+    // Failures are reported by save()
+    this.sending.catch(() => {});
+
+    /**
+     * Status reports received from the printer
+     * @member {PTouchStatus[]}
+     */
+    this.replies = [];
+
+    /**
+     * Listener for data written to the printer. Anything written
+     * before the printer is initialised is part of initialising it.
+     * @private
+     */
+    this.onWrite = data => {
+      if (!this.status && printer.initialised)
+        this.status = PTouchStatus.from(printer.status);
+      this.sent += data.length;
+      this.sending = this.sending
+      .then(fh => fh.write(data)
+            .then(() => fh, e => fh.close().then(() => { throw e; })));
+      this.sending.catch(() => {});
+    };
+
+    /**
+     * Listener for status reports from the printer
+     * @private
+     */
+    this.onStatus = status => this.replies.push(status);
+    printer.on(PTouch.WRITE_EVENT, this.onWrite);
+    printer.on(PTouchStatus.UPDATE_EVENT, this.onStatus);
+  }
+
+  /**
+   * Promise to stop listening to the printer, and save the capture.
+   * Sets the capture directory in the job (PrintJob.capture).
+   * @return {Promise.<string>} promise resolving to the capture
+   * directory
+   */
+  save() {
+    this.printer.off(PTouch.WRITE_EVENT, this.onWrite);
+    this.printer.off(PTouchStatus.UPDATE_EVENT, this.onStatus);
+    this.status = this.status ?? PTouchStatus.from(this.printer.status);
+
+    const file = name => Path.join(this.path, name);
+    return this.sending
+    .then(fh => fh.close())
+    .then(() => Promise.all([
+      Fs.writeFile(file("job.json"), JSON.stringify(this.description, null, 1)),
+      Fs.writeFile(file("status.json"), JSON.stringify(this.status, null, 1)),
+      Fs.writeFile(file("replies.json"), JSON.stringify(this.replies, null, 1)),
+      this.image ? this.image.writePNG(file("image.png")) : undefined
+    ]))
+    .then(() => {
+      this.job.capture = this.path;
+      return this.path;
+    });
+  }
+
+  /**
+   * Promise to load a saved capture. The image isn't loaded.
+   * @param {string} path the capture directory
+   * @return {Promise.<object>} promise resolving to { path,
+   * description, status, data, replies } as described for Capture
+   */
+  static load(path) {
+    const file = name => Path.join(path, name);
+    const json = name => Fs.readFile(file(name))
+          .then(data => JSON.parse(data));
+    return Promise.all([
+      json("job.json"),
+      json("status.json"),
+      Fs.readFile(file("sent.bin")),
+      json("replies.json")
+    ])
+    .then(([ description, status, data, replies ]) => ({
+      path: path,
+      description: description,
+      status: PTouchStatus.from(status),
+      data: data,
+      replies: replies.map(s => PTouchStatus.from(s))
+    }));
+  }
+}
+
+export { Capture }
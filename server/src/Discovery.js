@@ -0,0 +1,87 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+
+import { Models } from "./Models.js";
+
+// USB vendor id of Brother Industries
+const BROTHER_VENDOR_ID = 0x04F9;
+
+/**
+ * Read a hex id (e.g. idVendor) from a USB device directory in sysfs
+ * @param {string} dir the device directory
+ * @param {string} file name of the file to read
+ * @return {Promise.<number>} promise resolving to the id
+ * @private
+ */
+function readId(dir, file) {
+  return Fs.readFile(Path.join(dir, file))
+  .then(data => parseInt(data.toString().trim(), 16));
+}
+
+/**
+ * Finds Brother printers attached by USB. The usblp driver gives each
+ * printer a character device /dev/usb/lpN, and sysfs links
+ * /sys/class/usbmisc/lpN/device to the USB interface, whose parent
+ * directory has the idVendor and idProduct of the printer.
+ * The roots of sysfs and /dev can be changed, so discovery can be
+ * tested against a fake tree.
+ */
+class Discovery {
+
+  /**
+   * Root of sysfs, used when scan() isn't given one
+   * @member {string}
+   */
+  static sysfs = "/sys";
+
+  /**
+   * Root of the device tree, used when scan() isn't given one
+   * @member {string}
+   */
+  static dev = "/dev";
+
+  /**
+   * Promise to find the Brother printers currently attached.
+   * @param {string?} sysfs root of sysfs (default Discovery.sysfs)
+   * @param {string?} dev root of the device tree (default Discovery.dev)
+   * @return {Promise.<object[]>} promise resolving to a list of
+   * { device, vendor_id, product_id, model } ordered by device number.
+   * model is the Model with the product id, or undefined if there
+   * isn't one.
+   */
+  static scan(sysfs = Discovery.sysfs, dev = Discovery.dev) {
+    const classDir = Path.join(sysfs, "class", "usbmisc");
+    return Fs.readdir(classDir)
+    // No usbmisc devices at all
+    .catch(() => [])
+    .then(names => Promise.all(
+      names.filter(name => /^lp\d+$/.test(name))
+      .sort((a, b) => Number(a.substring(2)) - Number(b.substring(2)))
+      .map(name => {
+        const device = Path.join(dev, "usb", name);
+        // Resolve the link before looking at the parent, as
+        // Path.join would remove "device/.." without following it
+        return Fs.realpath(Path.join(classDir, name, "device"))
+        .then(iface => Promise.all([
+          readId(Path.dirname(iface), "idVendor"),
+          readId(Path.dirname(iface), "idProduct"),
+          Fs.access(device)
+        ]))
+        .then(([ vendor_id, product_id ]) => ({
+          device: device,
+          vendor_id: vendor_id,
+          product_id: product_id,
+          model: Models.getModelByProductId(product_id)
+        }))
+        // Not a USB printer, or unplugged while we were looking
+        .catch(() => undefined);
+      })))
+    .then(found => found.filter(
+      d => d && d.vendor_id === BROTHER_VENDOR_ID));
+  }
+}
+
+export { Discovery }
@@ -0,0 +1,567 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+/* global Buffer */
+
+import { EventEmitter } from "node:events";
+import Net from "node:net";
+import Sharp from "sharp";
+
+import { PTouchStatus } from "./PTouchStatus.js";
+import { Model, Models } from "./Models.js";
+import { unpackBits } from "./PackBits.js";
+import { MemoryTransport } from "./Transport.js";
+
+/**
+ * Transport that connects directly to an Emulator. Data written is
+ * handed straight to the emulator, and isn't recorded.
+ * @private
+ */
+class EmulatorTransport extends MemoryTransport {
+
+  /**
+   * @param {Emulator} emulator the emulator to connect to
+   */
+  constructor(emulator) {
+    super();
+    this.emulator = emulator;
+    this.listener = block => this.push(block);
+  }
+
+  /**
+   * @override
+   */
+  open() {
+    this.emulator.on(Emulator.REPLY_EVENT, this.listener);
+    return super.open();
+  }
+
+  /**
+   * @override
+   */
+  write(data) {
+    return Promise.resolve()
+    .then(() => this.emulator.receive(data));
+  }
+
+  /**
+   * @override
+   */
+  close() {
+    this.emulator.off(Emulator.REPLY_EVENT, this.listener);
+    return super.close();
+  }
+
+  toString() {
+    return `emulated ${this.emulator.model.name}`;
+  }
+}
+
+/**
+ * A software printer that understands the Brother raster command
+ * stream, for testing without hardware. It replies to status
+ * requests with 32-byte status blocks, reports phase changes and
+ * printing completion the same way a real printer does, and renders
+ * each printed page to a PNG image.
+ *
+ * PTouch can talk to it directly (pass emulator.transport() as the
+ * device) or it can listen on a socket.
+ */
+class Emulator extends EventEmitter {
+
+  /**
+   * Event emitted whenever the emulator sends data to the host. The
+   * Buffer sent is passed.
+   */
+  static REPLY_EVENT = "EMULATOR_REPLY";
+
+  /**
+   * Event emitted when a page has been printed. The rendered PNG
+   * image is passed, as a Buffer.
+   */
+  static PRINTED_EVENT = "EMULATOR_PRINTED";
+
+  /**
+   * @param {object} params setup parameters
+   * @param {Model|string} params.model printer model to emulate
+   * @param {number?} params.media_width_mm width of the loaded tape,
+   * defaults to the model default
+   * @param {string?} params.media_type media type name, one of
+   * PTouchStatus.MEDIA_TYPES, defaults to the model default
+   * @param {number?} params.media_length_mm length of die-cut labels
+   * (QL printers), default 0 (continuous tape)
+   * @param {string?} params.tape_colour tape colour name, one of
+   * PTouchStatus.TAPE_COLOURS, defaults to "White" (not reported by
+   * QL printers)
+   * @param {string?} params.text_colour text colour name, one of
+   * PTouchStatus.TEXT_COLOURS, defaults to "Black" (not reported by
+   * QL printers)
+   * @param {number?} params.command_mode command mode the printer
+   * powers up in, see PTouchStatus.CommandMode (default ESC/P for
+   * models that have to be switched to raster mode, raster otherwise)
+   * @param {function?} params.debug function e.g. console.debug
+   */
+  constructor(params = {}) {
+    super();
+
+    /* c8 ignore next */
+    this.debug = params.debug ?? function() {};
+
+    /**
+     * Model being emulated
+     * @member {Model}
+     */
+    if (params.model instanceof Model)
+      this.model = params.model;
+    else if (typeof params.model === "string")
+      this.model = Models.getModelByName(params.model);
+    else
+      this.model = Models.default();
+
+    if (!this.model)
+      throw new Error(`Emulator: Unknown model ${params.model}`);
+
+    /**
+     * Width of the loaded tape
+     * @member {number}
+     */
+    this.media_width_mm = params.media_width_mm
+    ?? this.model.defaultStatus.media_width_mm;
+
+    /**
+     * Length of die-cut labels, 0 for continuous tape
+     * @member {number}
+     */
+    this.media_length_mm = params.media_length_mm ?? 0;
+
+    /**
+     * Name of the loaded media type
+     * @member {string}
+     */
+    this.media_type = params.media_type
+    ?? (this.media_length_mm > 0 ? "Die-cut labels"
+        : this.model.defaultStatus.media_type);
+
+    // QL printers don't report colours
+    const ql = this.model.seriesCode === PTouchStatus.QL_SERIES_CODE;
+
+    /**
+     * Name of the loaded tape colour, undefined if not reported
+     * @member {string?}
+     */
+    this.tape_colour = params.tape_colour ?? (ql ? undefined : "White");
+
+    /**
+     * Name of the loaded text colour, undefined if not reported
+     * @member {string?}
+     */
+    this.text_colour = params.text_colour ?? (ql ? undefined : "Black");
+
+    /**
+     * Mode bits, as set by the "various mode settings" command
+     * @member {number}
+     */
+    this.mode = 0;
+
+    /**
+     * Mode bits, as set by the "advanced mode settings" command
+     * @member {number}
+     */
+    this.advanced_mode = 0;
+
+    /**
+     * Margin fed before and after each page, in rasters, as set by
+     * FEED_AMOUNT
+     * @member {number}
+     */
+    this.feed_amount = 0;
+
+    /**
+     * Command mode, see PTouchStatus.CommandMode. Models that have to
+     * be switched to raster mode power up in ESC/P mode, and ignore
+     * rasters and print commands until they are switched.
+     * @member {number}
+     */
+    this.command_mode = params.command_mode
+    ?? (this.model.capabilities.dynamic_command_mode ? 0 : 1);
+
+    /**
+     * Error information bytes 1 and 2, see PTouchStatus.ERROR_BITS
+     * @member {number[]}
+     */
+    this.error_information = [ 0, 0 ];
+
+    /**
+     * PNG images of the pages printed so far
+     * @member {Buffer[]}
+     */
+    this.pages = [];
+
+    /**
+     * Promise that resolves when the pages printed so far have been
+     * rendered. Pages are rendered one at a time, so they are added
+     * to this.pages in the order they were printed.
+     * @private
+     */
+    this.rendering = Promise.resolve();
+
+    /**
+     * Bytes received that haven't been consumed yet
+     * @private
+     */
+    this.pending = Buffer.alloc(0);
+
+    /**
+     * Rasters received for the page currently being printed
+     * @private
+     */
+    this.rasters = [];
+
+    /**
+     * Red rasters received for the page currently being printed,
+     * when printing in two colours
+     * @private
+     */
+    this.red_rasters = [];
+
+    /**
+     * Set when a page has started printing
+     * @private
+     */
+    this.printing = false;
+
+    /**
+     * Compression mode, 2 for TIFF
+     * @private
+     */
+    this.compression = 0;
+  }
+
+  /**
+   * Construct a 32-byte status block reflecting the current state.
+   * @param {number} type status type, see PTouchStatus.Type
+   * @return {Buffer} the status block
+   * @private
+   */
+  statusBlock(type) {
+    const block = Buffer.alloc(32);
+    block[0] = PTouchStatus.PRINT_HEAD_MARK;
+    block[1] = 0x20; // size
+    block[2] = 0x42; // Brother code
+    block[3] = this.model.seriesCode;
+    block[4] = this.model.deviceCode;
+    block[5] = 0x30; // country code
+    block[8] = this.error_information[0];
+    block[9] = this.error_information[1];
+    block[10] = this.media_width_mm;
+    block[11] = PTouchStatus.codeOf(PTouchStatus.MEDIA_TYPES, this.media_type);
+    block[15] = this.mode;
+    block[17] = this.media_length_mm;
+    block[18] = type;
+    block[19] = this.printing ? 1 : 0; // phase type
+    block[24] = PTouchStatus.codeOf(PTouchStatus.TAPE_COLOURS, this.tape_colour);
+    block[25] = PTouchStatus.codeOf(PTouchStatus.TEXT_COLOURS, this.text_colour);
+    return block;
+  }
+
+  /**
+   * Send a status block to the host.
+   * @param {number} type status type, see PTouchStatus.Type
+   * @private
+   */
+  sendStatus(type) {
+    const block = this.statusBlock(type);
+    this.debug(`Emulator: status ${PTouchStatus.Type[type]}`);
+    this.emit(Emulator.REPLY_EVENT, block);
+  }
+
+  /**
+   * Set an error condition, and report it to the host.
+   * @param {string} error the error, one of PTouchStatus.errorBits()
+   * for the model
+   */
+  injectError(error) {
+    const bit = PTouchStatus.errorBits(this.model).indexOf(error);
+    if (bit < 0)
+      throw new Error(`Emulator: Unknown error ${error}`);
+    this.error_information[bit >> 3] |= 1 << (bit & 7);
+    this.sendStatus(2); // ERROR
+  }
+
+  /**
+   * Clear all error conditions.
+   */
+  clearErrors() {
+    this.error_information = [ 0, 0 ];
+  }
+
+  /**
+   * Render the rasters for a page to a PNG image. The image is one
+   * pixel per raster long and one pixel per pin wide, oriented the
+   * way the label was designed (i.e. before Server rotated it for
+   * printing). The margin fed before and after the page (see
+   * FEED_AMOUNT) is rendered as blank tape. Pages printed in two
+   * colours are rendered in colour.
+   * @param {Buffer[]|number[][]} rasters the uncompressed rasters
+   * @param {Buffer[]|number[][]} red_rasters the uncompressed red
+   * rasters, empty unless printing in two colours
+   * @return {Promise.<Buffer>} promise resolving to the PNG
+   * @private
+   */
+  renderPage(rasters, red_rasters = []) {
+    const pins = this.model.defaultStatus.raster_px;
+    const feed = this.feed_amount;
+    const width = Math.max(rasters.length + 2 * feed, 1);
+    const channels = red_rasters.length > 0 ? 3 : 1;
+    const image = Buffer.alloc(width * pins * channels, 255);
+    const paint = (raster, r, rgb) => {
+      const x = feed + rasters.length - 1 - r;
+      for (let pin = 0; pin < pins; pin++) {
+        if (raster[pin >> 3] & (0x80 >> (pin & 7))) {
+          const offset = ((pins - 1 - pin) * width + x) * channels;
+          for (let c = 0; c < channels; c++)
+            image[offset + c] = rgb[c];
+        }
+      }
+    };
+    // Black overprints red
+    red_rasters.forEach((raster, r) => paint(raster, r, [ 255, 0, 0 ]));
+    rasters.forEach((raster, r) => paint(raster, r, [ 0, 0, 0 ]));
+    return new Sharp(image, {
+      raw: { width: width, height: pins, channels: channels }
+    })
+    .png()
+    .toBuffer();
+  }
+
+  /**
+   * Handle a print command. Reports an error if any error condition
+   * is set, otherwise renders the page and reports completion.
+   * @private
+   */
+  print() {
+    if (this.command_mode !== 1) {
+      this.debug("Emulator: print ignored, not in raster mode");
+      return;
+    }
+
+    const rasters = this.rasters, red_rasters = this.red_rasters;
+    this.rasters = [];
+    this.red_rasters = [];
+
+    if (this.error_information[0] || this.error_information[1]) {
+      this.printing = false;
+      this.sendStatus(2); // ERROR
+      return;
+    }
+
+    if (!this.printing) {
+      this.printing = true;
+      this.sendStatus(6); // PHASE_CHANGED
+    }
+    this.sendStatus(1); // PRINTED
+    this.printing = false;
+    this.sendStatus(6); // PHASE_CHANGED
+
+    this.rendering = this.rendering
+    .then(() => this.renderPage(rasters, red_rasters))
+    .then(png => {
+      this.pages.push(png);
+      this.emit(Emulator.PRINTED_EVENT, png);
+    });
+  }
+
+  /**
+   * Promise to get the pages printed so far, once they have all been
+   * rendered. Printing is reported before the page is rendered, so
+   * this.pages may not be complete when the host sees a page printed.
+   * @return {Promise.<Buffer[]>} promise resolving to the PNG images
+   * of the pages, in the order they were printed
+   */
+  rendered() {
+    return this.rendering.then(() => this.pages);
+  }
+
+  /**
+   * Handle a raster.
+   * @param {Buffer} data raster data, possibly compressed
+   * @param {number?} colour 2 for a red raster when printing in two
+   * colours, otherwise black
+   * @private
+   */
+  raster(data, colour) {
+    if (this.command_mode !== 1)
+      return;
+
+    if (!this.printing) {
+      // Printing starts as soon as data is received
+      this.printing = true;
+      this.sendStatus(6); // PHASE_CHANGED
+    }
+    const raster = this.compression === 2 ? unpackBits(data) : data;
+    if (colour === 2)
+      this.red_rasters.push(raster);
+    else
+      this.rasters.push(raster);
+  }
+
+  /**
+   * Handle print information. If it says the media type, width or
+   * length is valid, and it doesn't match the loaded media, report
+   * an error.
+   * @param {Buffer} info the 10 bytes of print information
+   * @private
+   */
+  printInformation(info) {
+    const type = PTouchStatus.codeOf(PTouchStatus.MEDIA_TYPES, this.media_type);
+    if (((info[0] & 0x02) && info[1] !== type)
+        || ((info[0] & 0x04) && info[2] !== this.media_width_mm)
+        || ((info[0] & 0x08) && info[3] !== this.media_length_mm)) {
+      this.debug(`Emulator: media mismatch, ${info[2]}mm`);
+      this.injectError("Replace media");
+    }
+  }
+
+  /**
+   * Try to consume a single command.
+   * @param {Buffer} p bytes received, starting with the command
+   * @return {number} number of bytes consumed, 0 if the command is
+   * incomplete.
+   * @private
+   */
+  consume(p) {
+    // Check there are at least n bytes available
+    const need = n => p.length >= n;
+
+    switch (p[0]) {
+    case 0x00: // INVALIDATE
+      return 1;
+    case 0x1B: // ESC
+      if (!need(2)) return 0;
+      if (p[1] === 0x40) { // INITIALISE_CLEAR
+        this.compression = 0;
+        this.mode = 0;
+        this.advanced_mode = 0;
+        this.feed_amount = 0;
+        this.rasters = [];
+        this.red_rasters = [];
+        return 2;
+      }
+      if (p[1] !== 0x69) break;
+      if (!need(3)) return 0;
+      switch (p[2]) {
+      case 0x53: // SEND_STATUS
+        this.sendStatus(0); // REPLY
+        return 3;
+      case 0x4D: // MODE
+        if (!need(4)) return 0;
+        this.mode = p[3];
+        return 4;
+      case 0x61: // DYNAMIC_COMMAND_MODE
+        if (!need(4)) return 0;
+        this.command_mode = p[3];
+        return 4;
+      case 0x4B: // ADVANCED_MODE
+        if (!need(4)) return 0;
+        this.advanced_mode = p[3];
+        return 4;
+      case 0x52: // SET_TRANSFER_MODE
+      case 0x41: // PAGE_NUMBER
+      case 0x21: // AUTO_STATUS
+        return need(4) ? 4 : 0;
+      case 0x64: // FEED_AMOUNT
+        if (!need(5)) return 0;
+        this.feed_amount = p[3] + p[4] * 256;
+        return 5;
+      case 0x7A: // PRINT_INFORMATION
+        if (!need(13)) return 0;
+        this.printInformation(p.subarray(3, 13));
+        return 13;
+      }
+      break;
+    case 0x4D: // COMPRESSION
+      if (!need(2)) return 0;
+      this.compression = p[1];
+      return 2;
+    case 0x47: case 0x67: { // RASTER_DATA
+      if (!need(3)) return 0;
+      // QL printers have g 0x00 n
+      const length = p[0] === 0x67 && this.model.capabilities.ql_raster
+            ? p[2] : p[1] + p[2] * 256;
+      if (!need(3 + length)) return 0;
+      this.raster(p.slice(3, 3 + length));
+      return 3 + length;
+    }
+    case 0x77: { // TWO_COLOUR_RASTER
+      if (!need(3)) return 0;
+      const length = p[2];
+      if (!need(3 + length)) return 0;
+      this.raster(p.slice(3, 3 + length), p[1]);
+      return 3 + length;
+    }
+    case 0x5A: // EMPTY_RASTER
+      this.raster([]);
+      return 1;
+    case 0x0C: // PRINT_NOFEED
+    case 0x1A: // PRINT_FEED
+      this.print();
+      return 1;
+    }
+    // Real printers silently ignore what they don't understand
+    this.debug(`Emulator: ignored 0x${p[0].toString(16)}`);
+    return 1;
+  }
+
+  /**
+   * Receive data from the host.
+   * @param {Buffer|number[]} data data received
+   */
+  receive(data) {
+    this.pending = Buffer.concat([ this.pending, Buffer.from(data) ]);
+    let offset = 0, used;
+    while (offset < this.pending.length
+           && (used = this.consume(this.pending.subarray(offset))) > 0)
+      offset += used;
+    this.pending = this.pending.subarray(offset);
+  }
+
+  /**
+   * Construct a transport connected directly to the emulator, so it
+   * can be used as the device for PTouch.
+   * @return {Transport} the transport
+   */
+  transport() {
+    return new EmulatorTransport(this);
+  }
+
+  /**
+   * Listen for connections on a socket. Data received on any
+   * connection is processed, and replies are sent to all connections.
+   * @param {number|string} port port number, or path to a unix
+   * domain socket
+   * @param {string?} host host to listen on
+   * @return {net.Server} the server
+   */
+  listen(port, host) {
+    const sockets = new Set();
+    this.on(Emulator.REPLY_EVENT, block => {
+      for (const socket of sockets)
+        socket.write(block);
+    });
+    const server = Net.createServer(socket => {
+      this.debug("Emulator: connected");
+      sockets.add(socket);
+      socket.on("data", data => this.receive(data));
+      socket.on("close", () => sockets.delete(socket));
+      // e.g. the client resetting the connection
+      socket.on("error", e => {
+        this.debug("Emulator: connection error", e.message);
+        sockets.delete(socket);
+        socket.destroy();
+      });
+    });
+    server.listen(port, host);
+    return server;
+  }
+}
+
+export { Emulator }
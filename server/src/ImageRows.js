@@ -0,0 +1,448 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+
+import { promises as Fs } from "node:fs";
+import Os from "node:os";
+import Path from "node:path";
+import Sharp from "sharp";
+
+import { Monochrome } from "./Monochrome.js";
+
+/**
+ * Pixel colours in an image. Images for two-colour printing are
+ * reduced to a black, red and white palette.
+ */
+const Colour = {
+  WHITE: 0,
+  // Also the colour byte following TWO_COLOUR_RASTER
+  BLACK: 1,
+  RED: 2
+};
+
+/**
+ * Promise to pass rows to a handler one at a time. The handler is
+ * only waited for when it returns a promise, so rows are handled
+ * without building a chain of promises as long as the image.
+ * @param {number} count number of rows
+ * @param {function} row given an index, returns the planes for the row
+ * @param {function} handler see ImageRows.each()
+ * @return {Promise} promise that resolves when every row is handled
+ * @private
+ */
+function eachRow(count, row, handler) {
+  const next = i => {
+    while (i < count) {
+      const result = handler(row(i++));
+      if (result instanceof Promise)
+        return result.then(() => next(i));
+    }
+    return Promise.resolve();
+  };
+  return Promise.resolve().then(() => next(0));
+}
+
+/**
+ * The rows of an image to print, read one at a time so that labels
+ * of any length can be printed without holding the rasters for the
+ * whole label in memory. A row runs across the tape, and rows are
+ * read in the order they are printed, from the end of the image
+ * furthest from the start of the tape.
+ *
+ * Each row is delivered as 1-bit planes, packed 8 pixels to a byte
+ * with the leftmost pixel in the most significant bit. The UI
+ * converts the image to 1 bit per pixel (or to the two-colour
+ * palette), though this is encoded in RGBA with A being 255 for black
+ * (or red) and 0 for white. Other images (e.g. photos) need a
+ * threshold (see ImageRows.threshold), or converting (see
+ * Monochrome).
+ *
+ * Rows can be read as many times as needed, e.g. once for each tape
+ * run, until close() is called. Subclasses must implement each() and
+ * writePNG().
+ */
+class ImageRows {
+
+  /**
+   * @param {number} width width of the image, across the tape
+   * @param {number} height height of the image, along the tape
+   */
+  constructor(width, height) {
+
+    /**
+     * Width of the image, across the tape
+     * @member {number}
+     */
+    this.width = width;
+
+    /**
+     * Height of the image, along the tape
+     * @member {number}
+     */
+    this.height = height;
+
+    /**
+     * Brightness (0-255) below which a pixel is printed, after
+     * transparent pixels have been made white. If undefined, every
+     * pixel that isn't transparent is printed, as the UI expects.
+     * Pixels that are mostly red are red whatever the threshold.
+     * @member {number?}
+     */
+    this.threshold = undefined;
+  }
+
+  /**
+   * Promise to read every row, in print order. Each row is passed to
+   * a handler, which may return a promise; the next row isn't read
+   * until it resolves, so a slow printer holds up reading the image.
+   * @param {boolean} two_colour true to get separate black and red
+   * planes for each row, false to get a single plane where red prints
+   * as black
+   * @param {function} handler passed an array of planes (Uint8Array),
+   * [ black ] or [ black, red ]. If it throws or returns a promise
+   * that rejects, reading stops and the promise from each() rejects
+   * the same way.
+   * @return {Promise} promise that resolves when every row has been
+   * handled
+   */
+  each() {
+    return Promise.reject(new Error("ImageRows: each() not implemented"));
+  }
+
+  /**
+   * Promise to save the image as a PNG file, with rows running across
+   * the image (so the long edge of a label runs down it).
+   * @param {string} file path to the file
+   * @return {Promise} promise that resolves when the file is written
+   */
+  writePNG() {
+    return Promise.reject(new Error("ImageRows: writePNG() not implemented"));
+  }
+
+  /**
+   * Promise to find out if the image has any red pixels, and so
+   * would be printed in two colours on printers that can.
+   * @return {Promise.<boolean>} promise resolving to true if the
+   * image has red
+   */
+  hasRed() {
+    let red = false;
+    return this.each(true, planes => {
+      if (!red)
+        red = planes[1].some(byte => byte !== 0);
+    })
+    .then(() => red);
+  }
+
+  /**
+   * Promise to release anything held to read the rows. The rows can't
+   * be read afterwards.
+   * @return {Promise} promise that resolves when done
+   */
+  close() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Reduce a row of RGBA pixels to 1-bit planes.
+   * @param {Buffer} rgba buffer holding the row
+   * @param {number} offset offset of the row in the buffer
+   * @param {boolean} two_colour see each()
+   * @return {Uint8Array[]} the planes
+   * @private
+   */
+  planes(rgba, offset, two_colour) {
+    const bytes = Math.ceil(this.width / 8);
+    const black = new Uint8Array(bytes);
+    const red = two_colour ? new Uint8Array(bytes) : black;
+    for (let x = 0; x < this.width; x++, offset += 4) {
+      const r = rgba[offset], g = rgba[offset + 1], b = rgba[offset + 2];
+      const is_red = r >= 128 && g < 128 && b < 128;
+      if (typeof this.threshold === "undefined") {
+        if (rgba[offset + 3] === 0)
+          continue;
+      } else if (!is_red && 0.299 * r + 0.587 * g + 0.114 * b >= this.threshold)
+        continue;
+      (is_red ? red : black)[x >> 3] |= 0x80 >> (x & 7);
+    }
+    return two_colour ? [ black, red ] : [ black ];
+  }
+}
+
+/**
+ * Rows of an image held in memory, as raw RGBA pixel data with the
+ * long edge of the label running down the image.
+ */
+class BufferRows extends ImageRows {
+
+  /**
+   * @param {Buffer} image the image buffer (raw RGBA pixel data)
+   * @param {number} width width of the image
+   * @param {number} height height of the image
+   */
+  constructor(image, width, height) {
+    super(width, height);
+
+    /**
+     * The image
+     * @private
+     */
+    this.image = image;
+  }
+
+  /**
+   * @override
+   */
+  each(two_colour, handler) {
+    // Rows are printed from the bottom of the image up
+    const rowBytes = this.width * 4;
+    return eachRow(this.height, i => this.planes(
+      this.image, (this.height - 1 - i) * rowBytes, two_colour), handler);
+  }
+
+  /**
+   * @override
+   */
+  writePNG(file) {
+    return new Sharp(this.image, {
+      raw: { width: this.width, height: this.height, channels: 4 }
+    }).png().toFile(file);
+  }
+}
+
+/**
+ * Rows of an image decoded by Sharp, e.g. from a PNG sent to the
+ * server, in any format Sharp can read. The image has the long edge of
+ * the label running across it, as drawn in the UI. The image is
+ * decoded once, the first time it is read, into a temporary file of
+ * raw pixels (which libvips maps rather than reads into memory). Rows
+ * are then read from that file in bands, each turned on its side as it
+ * is read, so only one band of pixels is held in memory at a time,
+ * however long the label. close() removes the file.
+ */
+class SharpRows extends ImageRows {
+
+  /**
+   * Number of rows decoded at a time
+   */
+  static BAND_ROWS = 256;
+
+  /**
+   * Promise to read the size of an image, and get its rows.
+   * @param {Buffer|string} input the encoded image (e.g. PNG), or
+   * the path to a file holding it
+   * @param {object?} options options
+   * @param {number?} options.rotation degrees clockwise (0, 90, 180
+   * or 270) to turn the image before it is printed, as drawn (default 0)
+   * @param {number?} options.threshold see ImageRows.threshold. If
+   * given, transparent pixels are made white.
+   * @param {object?} options.monochrome options for
+   * Monochrome.convert(), to convert the image (once rotated) to black
+   * and white exactly as the UI would. The whole image is decoded to
+   * do this, so it takes more memory. options.threshold is ignored.
+   * @return {Promise.<SharpRows>} promise resolving to the rows, or
+   * rejecting if the image can't be decoded
+   */
+  static load(input, options = {}) {
+    const rotation = options.rotation ?? 0;
+    if (![ 0, 90, 180, 270 ].includes(rotation))
+      return Promise.reject(new Error(`SharpRows: Bad rotation ${rotation}`));
+    let info;
+    return new Sharp(input).metadata()
+    .then(metadata => {
+      info = metadata;
+      if (options.monochrome)
+        return SharpRows.convert(input, rotation, options.monochrome);
+      return input;
+    })
+    .then(image => {
+      // Turning it 90 degrees clockwise puts the long edge down the
+      // image
+      const angle = (rotation + 90) % 360;
+      const turned = angle % 180 !== 0;
+      const rows = new SharpRows(
+        image, turned ? info.height : info.width,
+        turned ? info.width : info.height);
+      if (options.monochrome)
+        // Already rotated
+        rows.angle = 90;
+      else {
+        rows.angle = angle;
+        rows.threshold = options.threshold;
+      }
+      rows.format = info.format;
+      rows.pages = info.pages ?? 1;
+      return rows;
+    });
+  }
+
+  /**
+   * Promise to rotate an image and convert it to black and white.
+   * @param {Buffer|string} input the encoded image
+   * @param {number} rotation degrees clockwise to turn the image
+   * @param {object} options options for Monochrome.convert()
+   * @return {Promise.<Buffer>} promise resolving to the converted
+   * image, as a PNG
+   * @private
+   */
+  static convert(input, rotation, options) {
+    return new Sharp(input).rotate(rotation).ensureAlpha().raw()
+    .toBuffer({ resolveWithObject: true })
+    .then(({ data, info }) => {
+      Monochrome.convert(data, info.width, info.height, options);
+      return new Sharp(data, {
+        raw: { width: info.width, height: info.height, channels: 4 }
+      }).png().toBuffer();
+    });
+  }
+
+  /**
+   * Use SharpRows.load()
+   * @param {Buffer|string} input the encoded image
+   * @param {number} width width of the image once turned on its side
+   * @param {number} height height of the image once turned on its side
+   * @private
+   */
+  constructor(input, width, height) {
+    super(width, height);
+
+    /**
+     * The encoded image
+     * @private
+     */
+    this.input = input;
+
+    /**
+     * Degrees to turn the image clockwise, so it is printed as drawn
+     * @private
+     */
+    this.angle = 90;
+
+    /**
+     * Format of the image, as named by Sharp e.g. "png", "svg"
+     * @member {string}
+     */
+    this.format = undefined;
+
+    /**
+     * Number of pages in the image (e.g. PDF). Only the first is
+     * printed.
+     * @member {number}
+     */
+    this.pages = 1;
+
+    /**
+     * Promise resolving to the path of the decoded image, once
+     * decoding has started
+     * @private
+     */
+    this.decoded = undefined;
+  }
+
+  /**
+   * Start decoding the image, as drawn (not turned).
+   * @return {Sharp} the Sharp pipeline
+   * @private
+   */
+  decode() {
+    const image = new Sharp(this.input);
+    if (typeof this.threshold !== "undefined")
+      image.flatten({ background: "#ffffff" });
+    return image;
+  }
+
+  /**
+   * Promise to decode the image into a temporary file, the first time
+   * it is needed. The image is read and written in one pass, so it is
+   * never all held in memory.
+   * @return {Promise.<string>} promise resolving to the path of the file
+   * @private
+   */
+  prepare() {
+    if (!this.decoded)
+      this.decoded = Fs.mkdtemp(Path.join(Os.tmpdir(), "clabel-"))
+      .then(dir => {
+        const file = Path.join(dir, "image.v");
+        return this.decode().toFile(file)
+        .then(() => file, e => Fs.rm(dir, { recursive: true })
+              .then(() => { throw e; }));
+      });
+    return this.decoded;
+  }
+
+  /**
+   * Promise to read a band of rows, turned so the long edge of the
+   * label runs down the image.
+   * @param {number} top index of the first row in the band
+   * @param {number} rows number of rows in the band
+   * @return {Promise.<Buffer>} promise resolving to the raw RGBA
+   * pixel data for the band
+   * @private
+   */
+  band(top, rows) {
+    // The part of the image, as drawn, that turns into the band
+    let region;
+    switch (this.angle) {
+    case 0:
+      region = { left: 0, top: top, width: this.width, height: rows };
+      break;
+    case 90:
+      region = { left: top, top: 0, width: rows, height: this.width };
+      break;
+    case 180:
+      region = { left: 0, top: this.height - top - rows,
+                 width: this.width, height: rows };
+      break;
+    default:
+      region = { left: this.height - top - rows, top: 0,
+                 width: rows, height: this.width };
+    }
+    return this.prepare()
+    .then(file => new Sharp(file).extract(region).rotate(this.angle)
+          .ensureAlpha().raw().toBuffer());
+  }
+
+  /**
+   * @override
+   */
+  each(two_colour, handler) {
+    const rowBytes = this.width * 4;
+    // Rows are printed from the bottom of the image up, so bands are
+    // read from the bottom up, and the rows in each band bottom up
+    const next = done => {
+      if (done >= this.height)
+        return Promise.resolve();
+      const rows = Math.min(SharpRows.BAND_ROWS, this.height - done);
+      return this.band(this.height - done - rows, rows)
+      .then(data => eachRow(
+        rows, i => this.planes(data, (rows - 1 - i) * rowBytes, two_colour),
+        handler))
+      .then(() => next(done + rows));
+    };
+    return next(0);
+  }
+
+  /**
+   * @override
+   */
+  writePNG(file) {
+    return this.prepare()
+    .then(decoded => new Sharp(decoded).rotate(this.angle).png().toFile(file));
+  }
+
+  /**
+   * @override
+   */
+  close() {
+    const decoded = this.decoded;
+    if (!decoded)
+      return Promise.resolve();
+    this.decoded = Promise.reject(new Error("SharpRows: closed"));
+    // Don't let it be an unhandled rejection if it is never read
+    this.decoded.catch(() => {});
+    return decoded
+    .then(file => Fs.rm(Path.dirname(file), { recursive: true }),
+          () => {});
+  }
+}
+
+export { Colour, ImageRows, BufferRows, SharpRows }
@@ -1,101 +1,316 @@
 /*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
-/* eslint-env node */
-
-const DEFAULT_PT1230 = {
-  // Number of rasters (though not all will have pins!)
-  raster_px: 128,
-  // Must be 18mm even though the PT1230 only supports up to 12mm tape.
-  raster_mm: 18,
-  // A single raster sent to the printer will have 4 pad bytes
-  // before and after the actual printable raster data.
-  printable_width_px: 64,
-  // 9mm printable width, not possible to print full raster_mm width
-  printable_width_mm: 9,
-  media_type: 'Laminated',
-  media_width_mm: 12
-};
+/* eslint-env node, browser */
+/* global process */
+
+// This module is shared with the browser, so must not statically
+// import any node.js modules.
 
 /**
- * Model information descriptor.
+ * Known capabilities. Missing capabilities are assumed not to be
+ * supported.
+ */
+const CAPABILITIES = [
+  "compression", "cutter", "half_cut", "cut_every", "esc_p",
+  "dynamic_command_mode", "print_information", "last_page",
+  "feed_amount", "high_resolution", "two_colour", "ql_raster"
+];
+
+// Series code reported in status reports by P-touch printers
+const PTOUCH_SERIES_CODE = 0x30;
+
+// Name of the model used when none is given
+const DEFAULT_MODEL = "PT1230";
+
+// Models, in the order they were added
+let MODELS = [];
+
+/**
+ * Model information descriptor, constructed from a JSON descriptor
+ * such as those in server/models. A descriptor has:
+ * - name: user-friendly device type identifier
+ * - device_code: model code reported in status reports, a number
+ *   or a string such as "0x59"
+ * - series_code: series code reported in status reports (default
+ *   "0x30", P-touch; QL printers report "0x34")
+ * - usb_product_id: USB product id, a number or a string such as
+ *   "0x2061", used to recognise the printer when it is plugged in
+ *   (optional)
+ * - resolution_dpi: nominal resolution across the tape
+ * - pins: number of pins on the print head (pixels in a raster)
+ * - raster_mm: width of a raster line in mm
+ * - printable_px: most pins that can be printed, for tapes that aren't
+ *   in the tapes table (default the widest tape in the table)
+ * - max_tape_mm: widest tape the model takes
+ * - default_tape_mm: width of tape assumed when the printer can't
+ *   be asked (default max_tape_mm)
+ * - default_media_type: name of the media type assumed when the
+ *   printer can't be asked, one of PTouchStatus.MEDIA_TYPES
+ *   (default "Laminated")
+ * - capabilities: map from capability name to true (see Model.capabilities)
+ * - tapes: map from tape width in mm to the left_margin_px (pins
+ *   before the print area) and printable_px (pins in the print area)
+ *   for that width, from the model's raster command reference
  */
 class Model {
-  constructor(deviceCode, name, defaultStatus) {
+
+  /**
+   * @param {object} descriptor the model descriptor
+   * @throws {Error} if the descriptor is incomplete
+   */
+  constructor(descriptor) {
+    function need(field, type) {
+      if (typeof descriptor[field] !== type)
+        throw new Error(`Model: ${descriptor.name ?? "Unnamed model"}`
+                        + ` needs ${type} ${field}`);
+      return descriptor[field];
+    }
+
     /**
-     * Device identifier code, as returned in a status report
-     * @member {number}
+     * The descriptor the model was constructed from
+     * @member {object}
+     * @private
      */
-    this.deviceCode = deviceCode;
+    this.descriptor = descriptor;
 
     /**
      * User-friendly device type identifier
      * @member {string}
      */
-    this.name = name;
+    this.name = need("name", "string");
+
+    /**
+     * Device identifier code, as returned in a status report
+     * @member {number}
+     */
+    this.deviceCode = Number(descriptor.device_code);
+    if (isNaN(this.deviceCode))
+      throw new Error(`Model: ${this.name} needs a device_code`);
+
+    /**
+     * Series code, as returned in a status report
+     * @member {number}
+     */
+    this.seriesCode = Number(descriptor.series_code ?? PTOUCH_SERIES_CODE);
+    if (isNaN(this.seriesCode))
+      throw new Error(`Model: ${this.name} has a bad series_code`);
+
+    /**
+     * USB product id, undefined if it isn't known
+     * @member {number?}
+     */
+    this.productId = typeof descriptor.usb_product_id === "undefined"
+    ? undefined : Number(descriptor.usb_product_id);
+    if (Number.isNaN(this.productId))
+      throw new Error(`Model: ${this.name} has a bad usb_product_id`);
+
+    /**
+     * Nominal resolution across the tape, in dots per inch
+     * @member {number}
+     */
+    this.resolution_dpi = need("resolution_dpi", "number");
+
+    /**
+     * Number of pins on the print head
+     * @member {number}
+     */
+    this.pins = need("pins", "number");
+
+    /**
+     * Widest tape the model takes, in mm
+     * @member {number}
+     */
+    this.max_tape_mm = need("max_tape_mm", "number");
+
+    /**
+     * Width of a raster line in mm
+     * @member {number}
+     */
+    this.raster_mm = need("raster_mm", "number");
+
+    /**
+     * Pins used for each tape width, a map from tape width in mm to
+     * { left_margin_px, printable_px }
+     * @member {object}
+     */
+    this.tapes = descriptor.tapes ?? {};
+
+    /**
+     * Most pins that can be printed, used for tapes that aren't in
+     * the tapes table
+     * @member {number}
+     */
+    this.printable_px = descriptor.printable_px
+    ?? Math.max(0, ...Object.values(this.tapes).map(t => t.printable_px));
+    if (!this.printable_px)
+      throw new Error(`Model: ${this.name} needs printable_px or tapes`);
+
+    /**
+     * Features supported by this model. Missing features are
+     * assumed not to be supported.
+     * compression: true if the model accepts TIFF (PackBits)
+     * compressed raster data
+     * cutter: true if the model has an automatic cutter, controlled
+     * by auto-cut and chain printing
+     * half_cut: true if the cutter can also half cut
+     * cut_every: true if the cutter can cut every N labels
+     * esc_p: true if the model also understands ESC/P commands
+     * dynamic_command_mode: true if the model has to be switched
+     * into raster mode with DYNAMIC_COMMAND_MODE
+     * print_information: true if the model accepts PRINT_INFORMATION,
+     * used to check the media before printing
+     * last_page: true if PRINT_INFORMATION can flag the last page
+     * feed_amount: true if the model accepts FEED_AMOUNT to set the
+     * margins, otherwise they are padded with empty rasters
+     * high_resolution: true if the model can print at twice the
+     * resolution along the tape
+     * two_colour: true if the model can print red as well as black,
+     * on two-colour media
+     * ql_raster: true if the model takes rasters as g 0x00 n (QL
+     * series), rather than G n1 n2
+     * @member {object}
+     */
+    this.capabilities = descriptor.capabilities ?? {};
+    for (const cap of Object.keys(this.capabilities)) {
+      if (CAPABILITIES.indexOf(cap) < 0)
+        throw new Error(`Model: ${this.name} has unknown capability ${cap}`);
+    }
+
+    const media_width_mm = descriptor.default_tape_mm ?? this.max_tape_mm;
+    const tape = this.tape(media_width_mm);
 
     /**
      * Block of default status info for this model. This is intended
      * to be used as a template for PTouchStatus.from()
      * @member {object}
      */
-    this.defaultStatus = defaultStatus;
+    this.defaultStatus = {
+      model: this.name,
+      raster_px: this.pins,
+      raster_mm: this.raster_mm,
+      left_margin_px: tape.left_margin_px,
+      printable_width_px: tape.printable_px,
+      printable_width_mm: tape.printable_px * this.raster_mm / this.pins,
+      media_type: descriptor.default_media_type ?? "Laminated",
+      media_width_mm: media_width_mm
+    };
   }
-}
 
-const MODELS = [
-  new Model(0x59, "PT1230", DEFAULT_PT1230),
-  // TODO: tune defaultStatus for different models.
-  new Model(0x4A, "PT500", DEFAULT_PT1230),
-  new Model(0x64, "PT-H500", DEFAULT_PT1230),
-  new Model(0x65, "PT-E500", DEFAULT_PT1230),
-  new Model(0x67, "PT-P700", DEFAULT_PT1230),
-  new Model(0x69, "PT-P900W", DEFAULT_PT1230),
-  new Model(0x70, "PT-P950NW", DEFAULT_PT1230),
-  new Model(0x71, "PT-P900", {
-    raster_px: 512,
-    raster_mm: 36,
-    printable_width_px: 454,
-    printable_width_mm: 32.03,
-    media_type: 'Laminated',
-    media_width_mm: 36
-  }),
-  new Model(0x78, "PT-P910BT", DEFAULT_PT1230)
-];
+  /**
+   * Get the pins used to print on a tape. Tapes that aren't in the
+   * tapes table are assumed to have the print area centred on the
+   * print head.
+   * @param {number} width_mm width of the tape
+   * @return {object} { left_margin_px, printable_px }
+   */
+  tape(width_mm) {
+    // Status reports give whole mm, so 3.5mm tape is reported as 4mm
+    const key = Object.keys(this.tapes).find(
+      k => Number(k) === width_mm || Math.round(Number(k)) === width_mm);
+    if (key)
+      return this.tapes[key];
+
+    const px = Math.min(
+      Math.floor(width_mm * this.pins / this.raster_mm), this.printable_px);
+    return {
+      left_margin_px: Math.floor((this.pins - px) / 2),
+      printable_px: px
+    };
+  }
+
+  /**
+   * Get the descriptor the model was constructed from, so the model
+   * can be sent to the browser
+   * @return {object} the descriptor
+   */
+  toJSON() {
+    return this.descriptor;
+  }
+}
 
 /**
- * Model information gleaned from Brother documents and printers.
- * name: text name of the device
- * deviceCode: model code reported in status reports
- * defaultStatus: a default status block, for use when the device can't be read
- * from.
- * TODO: split this out into json files
+ * Registry of printer models. Models are described by JSON
+ * descriptors. The built-in descriptors (in server/models) are loaded
+ * when this module is imported; on node.js they are read from disk,
+ * and in the browser they are fetched from the server (/ajax/models),
+ * which also gives the browser any descriptors the server has loaded.
  */
 class Models {
 
+  /**
+   * Add a model. A model with the same name replaces the existing model.
+   * @param {object} descriptor the model descriptor, see Model
+   * @return {Model} the new model
+   * @throws {Error} if the descriptor is incomplete
+   */
+  static add(descriptor) {
+    const model = new Model(descriptor);
+    MODELS = MODELS.filter(m => m.name !== model.name);
+    MODELS.push(model);
+    return model;
+  }
+
+  /**
+   * Promise to add all the models described by the .json files in a
+   * directory. node.js only.
+   * @param {string} dir path to the directory
+   * @return {Promise.<Model[]>} promise that resolves to the models added
+   */
+  static loadDirectory(dir) {
+    return Promise.all([ import("node:fs/promises"), import("node:path") ])
+    .then(([ Fs, Path ]) => Fs.readdir(dir)
+          .then(files => Promise.all(
+            files.filter(file => /\.json$/.test(file)).sort()
+            .map(file => Fs.readFile(Path.join(dir, file))
+                 .then(json => {
+                   try {
+                     return JSON.parse(json);
+                   } catch (e) {
+                     throw new Error(`Models: ${file}: ${e.message}`);
+                   }
+                 })))))
+    .then(descriptors => descriptors.map(d => Models.add(d)));
+  }
+
   /**
    * Get the model by device code.
    * @param {number} code model device code to find
-   * @return {object} object from the MODELS array above
+   * @param {number?} series series code the device code belongs to
+   * (default P-touch)
+   * @return {Model} the model, or undefined if it isn't known
    */
-  static getModelByDeviceCode(code) {
+  static getModelByDeviceCode(code, series = PTOUCH_SERIES_CODE) {
     for (const m of MODELS) {
-      if (m.deviceCode == code)
+      if (m.deviceCode == code && m.seriesCode == series)
         return m;
     }
     return undefined;
   }
 
+  /**
+   * Get the model by USB product id.
+   * @param {number} id the product id to find
+   * @return {Model} the model, or undefined if it isn't known
+   */
+  static getModelByProductId(id) {
+    return MODELS.find(m => m.productId === id);
+  }
+
   /**
    * Get the model by name. Matches if the name passed starts with
-   * the model name, so "PT1230PC", "PT1230F" will both match model "PT1230".
+   * the model name, so "PT1230PC", "PT1230F" will both match model
+   * "PT1230". The longest match wins, so "PT-P900W" matches "PT-P900W"
+   * rather than "PT-P900".
    * @param {string} name model name to find
-   * @return {Model} object from the MODELS array above
+   * @return {Model} the model, or undefined if it isn't known
    */
   static getModelByName(name) {
+    let found;
     for (const m of MODELS) {
-      if (name.indexOf(m.name) == 0)
-        return m;
+      if (name.indexOf(m.name) == 0
+          && (!found || m.name.length > found.name.length))
+        found = m;
     }
-    return undefined;
+    return found;
   }
 
   /**
@@ -103,7 +318,7 @@ class Models {
    * @return {Model[]} all models
    */
   static all() {
-    return MODELS;
+    return MODELS.slice();
   }
 
   /**
@@ -111,8 +326,20 @@ class Models {
    * @return {Model} the default model
    */
   static default() {
-    return MODELS[0];
+    return Models.getModelByName(DEFAULT_MODEL);
   }
 };
 
+// Load the built-in models
+if (typeof process !== "undefined" && process.versions?.node) {
+  const Url = await import("node:url");
+  await Models.loadDirectory(
+    Url.fileURLToPath(new URL("../models", import.meta.url)));
+} else {
+  await fetch("/ajax/models")
+  .then(res => res.json())
+  .then(descriptors => descriptors.forEach(d => Models.add(d)))
+  .catch(e => console.error("Models: could not load models", e));
+}
+
 export { Model, Models }
@@ -0,0 +1,243 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, browser */
+
+// This module is shared with the browser, so must not statically
+// import any node.js modules.
+
+/**
+ * Weights of red, green and blue in the brightness of a pixel
+ */
+const LUMINANCE = [ 0.3, 0.59, 0.11 ];
+
+/**
+ * Error diffusion kernels. Each entry is [ dx, dy, weight ], and the
+ * weights are divided by the divisor. Atkinson only diffuses 6/8 of
+ * the error, which keeps more contrast.
+ */
+const DIFFUSION = {
+  "floyd-steinberg": {
+    divisor: 16,
+    kernel: [ [ 1, 0, 7 ], [ -1, 1, 3 ], [ 0, 1, 5 ], [ 1, 1, 1 ] ]
+  },
+  atkinson: {
+    divisor: 8,
+    kernel: [ [ 1, 0, 1 ], [ 2, 0, 1 ], [ -1, 1, 1 ], [ 0, 1, 1 ],
+              [ 1, 1, 1 ], [ 0, 2, 1 ] ]
+  }
+};
+
+/**
+ * Make a Bayer matrix for ordered dithering
+ * @param {number} size width of the matrix, a power of 2
+ * @return {number[][]} the matrix, holding 0..size*size-1
+ */
+function bayerMatrix(size) {
+  let m = [ [ 0 ] ];
+  while (m.length < size) {
+    const n = m.length;
+    const quadrant = [ [ 0, 2 ], [ 3, 1 ] ];
+    m = Array.from({ length: 2 * n }, (row, y) => Array.from(
+      { length: 2 * n },
+      (cell, x) => 4 * m[y % n][x % n]
+        + quadrant[Math.floor(y / n)][Math.floor(x / n)]));
+  }
+  return m;
+}
+
+// 8x8 matrix used for ordered dithering
+const BAYER = bayerMatrix(8);
+
+/**
+ * Conversion of colour and greyscale images to the black and white
+ * (or black, red and white) that label printers print. It is shared
+ * by the server (see SharpRows.load()) and the browser UI, so an image
+ * converted by either gives the same bitmap.
+ *
+ * Images are RGBA pixel data, converted in place. Printed pixels are
+ * made opaque black (or red) and the rest transparent, which is the
+ * encoding ImageRows expects.
+ */
+class Monochrome {
+
+  /**
+   * Names of the conversion methods:
+   * - threshold - pixels darker than the threshold are black
+   * - otsu - threshold chosen to best separate the dark and light
+   *   pixels in the image (Otsu's method)
+   * - floyd-steinberg - Floyd-Steinberg error diffusion dithering
+   * - atkinson - Atkinson error diffusion dithering
+   * - bayer - ordered dithering with an 8x8 Bayer matrix
+   */
+  static METHODS = [ "threshold", "otsu", "floyd-steinberg", "atkinson", "bayer" ];
+
+  /**
+   * Convert an image to black and white.
+   * @param {Uint8Array|Uint8ClampedArray} data RGBA pixel data,
+   * converted in place
+   * @param {number} width width of the image
+   * @param {number} height height of the image
+   * @param {object?} options options
+   * @param {string?} options.method one of Monochrome.METHODS (default
+   * "threshold")
+   * @param {number?} options.threshold brightness (0-255) below which
+   * a pixel is black (default 128). For the dithering methods, lower
+   * values give a lighter image.
+   * @param {number?} options.alpha pixels with alpha at or below this
+   * are treated as white (default 0). Other pixels are blended with
+   * white according to their alpha.
+   * @param {number?} options.gamma gamma correction applied to the
+   * brightness before it is converted. Values above 1 darken the
+   * mid-tones (default 1)
+   * @param {boolean?} options.invert true to print the light parts of
+   * the image instead of the dark parts
+   * @param {boolean?} options.two_colour true to keep reddish pixels,
+   * as opaque red, for printers that can print red
+   * @throws {Error} if the method is unknown
+   */
+  static convert(data, width, height, options = {}) {
+    const method = options.method ?? "threshold";
+    if (!Monochrome.METHODS.includes(method))
+      throw new Error(`Monochrome: Unknown method ${method}`);
+    const threshold = options.threshold ?? 128;
+    const { grey, red } = Monochrome.brightness(data, width * height, options);
+
+    let black;
+    switch (method) {
+    case "threshold":
+      black = i => grey[i] < threshold;
+      break;
+    case "otsu": {
+      const t = Monochrome.otsu(grey, red);
+      black = i => Math.round(grey[i]) < t;
+      break;
+    }
+    case "bayer":
+      // Spread the matrix over 0..255, centred on the threshold
+      black = i => grey[i] < (BAYER[Math.floor(i / width) % 8][i % width % 8]
+                              + 0.5) * 4 + threshold - 128;
+      break;
+    default:
+      Monochrome.diffuse(grey, red, width, height, threshold,
+                         DIFFUSION[method]);
+      black = i => grey[i] === 0;
+    }
+
+    for (let i = 0, offset = 0; i < grey.length; i++, offset += 4) {
+      data[offset] = red[i] ? 255 : 0;
+      data[offset + 1] = 0;
+      data[offset + 2] = 0;
+      data[offset + 3] = red[i] || black(i) ? 255 : 0;
+    }
+  }
+
+  /**
+   * Get the brightness of each pixel, after blending with white and
+   * correcting.
+   * @param {Uint8Array} data RGBA pixel data
+   * @param {number} pixels number of pixels
+   * @param {object} options see convert()
+   * @return {object} { grey: Float32Array, red: Uint8Array } giving
+   * the brightness 0..255 of each pixel, and 1 for each pixel that is
+   * to print red (if options.two_colour)
+   * @private
+   */
+  static brightness(data, pixels, options) {
+    const alpha = options.alpha ?? 0;
+    const gamma = options.gamma ?? 1;
+    const grey = new Float32Array(pixels);
+    const red = new Uint8Array(pixels);
+    for (let i = 0, offset = 0; i < pixels; i++, offset += 4) {
+      const r = data[offset], g = data[offset + 1], b = data[offset + 2];
+      const a = data[offset + 3];
+      let v = 255;
+      if (a > alpha) {
+        if (options.two_colour && r >= 128 && r - Math.max(g, b) >= 64) {
+          red[i] = 1;
+          continue;
+        }
+        const lum = r * LUMINANCE[0] + g * LUMINANCE[1] + b * LUMINANCE[2];
+        v = 255 - (255 - lum) * a / 255;
+      }
+      if (gamma !== 1)
+        v = 255 * Math.pow(v / 255, gamma);
+      grey[i] = options.invert ? 255 - v : v;
+    }
+    return { grey: grey, red: red };
+  }
+
+  /**
+   * Choose a threshold using Otsu's method, which maximises the
+   * variance between the pixels either side of it.
+   * @param {Float32Array} grey brightness of each pixel (see
+   * brightness())
+   * @param {Uint8Array} red non-zero for pixels to ignore because
+   * they print red
+   * @return {number} the threshold; pixels below it are black
+   * @private
+   */
+  static otsu(grey, red) {
+    const histogram = new Array(256).fill(0);
+    let total = 0, sum = 0;
+    for (let i = 0; i < grey.length; i++) {
+      if (red[i])
+        continue;
+      const level = Math.round(grey[i]);
+      histogram[level]++;
+      total++;
+      sum += level;
+    }
+    let best = 0, threshold = 128, below = 0, belowSum = 0;
+    for (let t = 0; t < 256; t++) {
+      // Pixels at levels below t
+      if (below > 0 && below < total) {
+        const above = total - below;
+        const diff = belowSum / below - (sum - belowSum) / above;
+        const variance = below * above * diff * diff;
+        if (variance > best) {
+          best = variance;
+          threshold = t;
+        }
+      }
+      below += histogram[t];
+      belowSum += t * histogram[t];
+    }
+    return threshold;
+  }
+
+  /**
+   * Dither by error diffusion, in place. Each pixel is set to 0
+   * (black) or 255 (white), and the difference is spread over the
+   * neighbouring pixels that haven't been set yet. Red pixels are
+   * left alone.
+   * @param {Float32Array} grey brightness of each pixel
+   * @param {Uint8Array} red non-zero for pixels that print red
+   * @param {number} width width of the image
+   * @param {number} height height of the image
+   * @param {number} threshold brightness below which a pixel is black
+   * @param {object} diffusion kernel, see DIFFUSION
+   * @private
+   */
+  static diffuse(grey, red, width, height, threshold, diffusion) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (red[i])
+          continue;
+        const old = grey[i];
+        const v = old < threshold ? 0 : 255;
+        grey[i] = v;
+        const error = (old - v) / diffusion.divisor;
+        for (const [ dx, dy, weight ] of diffusion.kernel) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height)
+            continue;
+          const n = ny * width + nx;
+          if (!red[n])
+            grey[n] += error * weight;
+        }
+      }
+    }
+  }
+}
+
+export { Monochrome }
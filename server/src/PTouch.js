@@ -4,16 +4,19 @@
 
 /**
  * Support for Brother P-Touch printers, only tested with PT1230PC but
- * should be a suitable basis for supporting other models.
+ * should be a suitable basis for supporting other models. QL label
+ * printers use a very similar protocol, and are also supported.
  * See the "references" folder for details of the protocol for similar devices.
  * Also https://github.com/cbdevnet/pt1230
  */
-import { promises as Fs } from "node:fs";
 import { EventEmitter } from "node:events";
 
 import { PTouchStatus } from "./PTouchStatus.js";
 import { Model, Models } from "./Models.js";
-//import { fromBinary } from "./Readable.js"; // debugging
+import { packBits } from "./PackBits.js";
+import { Transport } from "./Transport.js";
+import { fromBinary } from "./Readable.js";
+import { Colour, BufferRows } from "./ImageRows.js";
 
 /**
  * Commands used to control a PTouch printer. See the references folder.
@@ -30,32 +33,41 @@ const Commands = {
   // Status request, response is 32 bytes.
   SEND_STATUS: [ 0x1B/*ESC*/, 0x69/*i*/, 0x53/*S*/ ],
 
-  // PT500 doc says "sets printer to raster mode" for
-  // 0x1B 0x69 0x61 0x01 and doesn't mention 0x1B 0x69 0x52
-  //(SET_TRANSFER_MODE)
-  // Not used
+  // Follow with 1 byte, see PTouchStatus.CommandMode. P-series
+  // printers can power up in ESC/P or P-touch Template mode, when
+  // they ignore raster data, so models with the dynamic_command_mode
+  // capability are switched to raster mode with this instead of
+  // SET_TRANSFER_MODE. The PT500 doc also says it "sets printer to
+  // raster mode".
   DYNAMIC_COMMAND_MODE: [ 0x1B/*ESC*/, 0x69/*i*/, 0x61/*a*/ ],
 
-  // Not used
+  // Follow with 10 bytes; PrintInformation valid flags, media type,
+  // media width (mm), media length (mm), raster count (4 bytes, LSB
+  // first), page (0 = first, 1 = other, 2 = last), 0. Sent before each
+  // tape run so the printer can check the media.
   PRINT_INFORMATION: [ 0x1B/*ESC*/, 0x69/*i*/, 0x7A/*z*/ ],
 
-  // Not used
+  // Follow with 1 byte of PTouchStatus.MODE_* bits. Only for models
+  // with a cutter.
   MODE: [ 0x1B/*ESC*/, 0x69/*i*/, 0x4D/*M*/ ],
 
-  // Follow with 1 byte 0=uncompressed, 2=TIFF
+  // Follow with 1 byte 0=uncompressed, 2=TIFF (PackBits)
   COMPRESSION: [ 0x4D/*M*/ ],
 
-  // Not used
+  // Follow with 1 byte of AdvancedMode bits
   ADVANCED_MODE: [ 0x1B/*ESC*/, 0x69/*i*/, 0x4B/*K*/ ],
 
-  // Follow with 2 bytes, b1+b2*256 dots
-  // Doc isn't clear what this means; possible feed amount for PRINT_FEED?
+  // Follow with 2 bytes, b1+b2*256 dots. The margin fed before and
+  // after the label, on models that support it (see
+  // Model.capabilities). Doc isn't clear what this means on the
+  // PT1230, so it isn't used there.
   FEED_AMOUNT: [ 0x1B/*ESC*/, 0x69/*i*/, 0x64/*d*/ ],
 
-  // Not used
+  // Follow with 1 byte, cut every n labels (1-99)
   PAGE_NUMBER: [ 0x1B/*ESC*/, 0x69/*i*/, 0x41/*A*/ ],
 
-  // Not used
+  // Follow with 1 byte, 0 = notify status automatically while
+  // printing, 1 = don't. Not used.
   AUTO_STATUS: [ 0x1B/*ESC*/, 0x69/*i*/, 0x21/*!*/ ],
 
   // Follow with 1 byte, 0 = ESC/P, 1 = raster. However the PT1230
@@ -64,51 +76,266 @@ const Commands = {
   SET_TRANSFER_MODE: [ 0x1B/*ESC*/, 0x69/*i*/, 0x52/*R*/ ],
 
   // Print with feeding
-  // Not used, mainly because it wastes so much tape. Possibly
-  // controllable with FEED_AMOUNT?
+  // Not used, mainly because it wastes so much tape. On the PT1230 it
+  // doesn't respect FEED_AMOUNT.
   PRINT_FEED: 0x1A/*SUB/Ctrl+Z*/,
 
   // Don't feed the tape
   PRINT_NOFEED: 0x0C/*FF*/,
 
-  RASTER_DATA: 0x47/*G*/, // SMELL: PTP700 document says 'g' 0x67?
+  // Follow with 2 bytes, n1+n2*256 bytes of raster data. The PTP700
+  // document says 'g' 0x67, but QL printers use that differently.
+  RASTER_DATA: 0x47/*G*/,
+
+  // QL printers. Follow with 1 byte, n bytes of raster data.
+  QL_RASTER_DATA: [ 0x67/*g*/, 0x00 ],
+
+  // QL printers, two-colour printing. Follow with 1 byte colour
+  // (TwoColour), then 1 byte, n bytes of raster data. Each raster is
+  // sent as a black line followed by a red line.
+  TWO_COLOUR_RASTER: 0x77/*w*/,
 
   // PTP900 manual says this is esc/p mode only! But it works, so...
   EMPTY_RASTER: 0x5A/*Z*/
 };
 
+/**
+ * Command mode for raster printing, see PTouchStatus.CommandMode
+ */
+const RASTER_MODE = 1;
+
+/**
+ * Valid flags, the first byte following PRINT_INFORMATION
+ */
+const PrintInformation = {
+  KIND: 0x02, // media type is valid
+  WIDTH: 0x04, // media width is valid
+  LENGTH: 0x08, // media length is valid
+  RECOVER: 0x80 // printer recovery always on
+};
+
+/**
+ * Bits in the byte following ADVANCED_MODE
+ */
+const AdvancedMode = {
+  // Print red as well as black (QL printers)
+  TWO_COLOUR: 0x01,
+  HALF_CUT: 0x04,
+  // Feed and cut after the last label
+  NO_CHAIN: 0x08,
+  // Twice as many rasters along the tape
+  HIGH_RESOLUTION: 0x40
+};
+
+/**
+ * Limits on FEED_AMOUNT, from the PT-P700 and PT-P900 raster command
+ * references. Requests for smaller margins get the minimum.
+ */
+const FEED_AMOUNT_MIN_PX = 14;
+const FEED_AMOUNT_MAX_MM = 127;
+
+/**
+ * Size of the chunks print data is written in. Each chunk is written
+ * before the next is made, so this is about as much print data as is
+ * ever held in memory.
+ */
+const CHUNK_SIZE = 16384;
+
+/**
+ * Error raised when the printer reports an error, or fails to report
+ * at all.
+ */
+class PrinterError extends Error {
+
+  /**
+   * Code for an error reported by the printer
+   */
+  static PRINTER_ERROR = "PRINTER_ERROR";
+
+  /**
+   * Code for the printer not reporting in time
+   */
+  static TIMEOUT = "TIMEOUT";
+
+  /**
+   * Code for a job designed for a different width of tape to the
+   * one loaded
+   */
+  static MEDIA_MISMATCH = "MEDIA_MISMATCH";
+
+  /**
+   * Code for a printer that can't be reached, e.g. because it has
+   * been unplugged
+   */
+  static OFFLINE = "OFFLINE";
+
+  /**
+   * Code for a print that was cancelled while it was being sent
+   */
+  static CANCELLED = "CANCELLED";
+
+  /**
+   * @param {string} code one of PrinterError.PRINTER_ERROR,
+   * PrinterError.TIMEOUT, PrinterError.MEDIA_MISMATCH,
+   * PrinterError.OFFLINE or PrinterError.CANCELLED
+   * @param {PTouchStatus} status the last status reported by the printer
+   * @param {string?} message optional message, overrides the default
+   * for the code
+   */
+  constructor(code, status, message) {
+    const errors = status.errors.slice();
+    if (!message) {
+      if (code === PrinterError.TIMEOUT)
+        message = "Timed out waiting for the printer";
+      else if (code === PrinterError.OFFLINE)
+        message = "Printer is offline";
+      else if (code === PrinterError.CANCELLED)
+        message = "Print cancelled";
+      else
+        message = errors.length > 0 ? errors.join(", ") : "Unknown error";
+    }
+    super(`PTouch: ${message}`);
+
+    /**
+     * PrinterError.PRINTER_ERROR, PrinterError.TIMEOUT,
+     * PrinterError.MEDIA_MISMATCH, PrinterError.OFFLINE or
+     * PrinterError.CANCELLED
+     * @member {string}
+     */
+    this.code = code;
+
+    /**
+     * Names of the errors reported by the printer, see
+     * PTouchStatus.ERROR_BITS
+     * @member {string[]}
+     */
+    this.errors = errors;
+
+    /**
+     * The last status reported by the printer
+     * @member {PTouchStatus}
+     */
+    this.status = status;
+  }
+}
+
+/**
+ * Print data waiting to be written to a printer, collected into
+ * chunks of about CHUNK_SIZE bytes. Commands are never split across
+ * chunks.
+ * @private
+ */
+class Chunks {
+
+  /**
+   * @param {PTouch} printer the printer to write to
+   */
+  constructor(printer) {
+
+    /**
+     * The printer
+     * @private
+     */
+    this.printer = printer;
+
+    /**
+     * Buffer holding the chunk
+     * @private
+     */
+    this.buffer = Buffer.alloc(CHUNK_SIZE);
+
+    /**
+     * Number of bytes used in the buffer
+     * @private
+     */
+    this.length = 0;
+  }
+
+  /**
+   * Add a command, or part of one
+   * @param {number|number[]|Uint8Array} bytes the bytes to add
+   */
+  add(bytes) {
+    if (typeof bytes === "number")
+      bytes = [ bytes ];
+    if (this.length + bytes.length > this.buffer.length) {
+      // Grow to fit, the chunk is flushed soon enough
+      const bigger = Buffer.alloc(this.length + bytes.length + CHUNK_SIZE);
+      this.buffer.copy(bigger, 0, 0, this.length);
+      this.buffer = bigger;
+    }
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Is the chunk ready to be written?
+   * @return {boolean} true if the chunk is full
+   */
+  full() {
+    return this.length >= CHUNK_SIZE;
+  }
+
+  /**
+   * Promise to write the chunk. A new buffer is started, as the
+   * transport (or a PTouch.WRITE_EVENT listener) may keep the old one.
+   * @return {Promise} promise that resolves when it has been written
+   */
+  flush() {
+    if (this.length === 0)
+      return Promise.resolve();
+    const chunk = this.buffer.subarray(0, this.length);
+    this.buffer = Buffer.alloc(CHUNK_SIZE);
+    this.length = 0;
+    return this.printer.write(chunk);
+  }
+}
+
 /**
  * Interface to a Brother P-Touch printer.
  * To avoid having to write a device driver (or farting about with
  * usb), the comms with the printer are done via the /dev/usb/lp0
- * interface. However it also supports the concept of a "write only"
+ * interface, or over the network to printers that accept raw print
+ * data on a TCP port (see Transport). It also supports the concept of
+ * a "write only"
  * device that allows for undirectional comms and saving to files for
  * later cat-ing to the printer.
  */
 class PTouch extends EventEmitter {
 
+  /**
+   * Event emitted whenever data is written to the printer. The
+   * Buffer written is passed.
+   */
+  static WRITE_EVENT = "PTOUCH_WRITE";
+
   /**
    * Write to the device.
    * @param {Buffer|Array} buff data to write
-   * @return {Promise.<undefined>} promise that resolves to undefined
+   * @return {Promise.<undefined>} promise that resolves to undefined,
+   * or rejects with a PrinterError.OFFLINE if the device can't be
+   * written
    * @private
    */
   write(buff) {
     const b = (buff instanceof Buffer) ? buff : Buffer.from(buff);
     //this.debug("->", b);
-    return this.fd.write(b);
+    this.emit(PTouch.WRITE_EVENT, b);
+    return this.transport.write(b)
+    .catch(e => {
+      this.disconnected(e);
+      throw new PrinterError(PrinterError.OFFLINE, this.status, e.message);
+    });
   }
 
   /**
-   * Reads all available data from the device (up to 16384 bytes).
-   * @return {Promise.<Buffer>} promise that resolves to an object
-   * with two properties:
-   * bytesRead: The number of bytes read
-   * buffer: the data read from the device
+   * Reads all available data from the device.
+   * @return {Promise.<Buffer>} promise that resolves to the data
+   * read from the device, which may be empty
    * @private
    */
   read() {
-    return this.fd.read()
+    return this.transport.read()
     .then(data => {
       //this.debug("<-", data);
       return data;
@@ -117,8 +344,22 @@ class PTouch extends EventEmitter {
 
   /**
    * @param {object} params setup parameters
-   * @param {String} params.device device name (e.g. /dev/usb/lp0)
+   * @param {String|Transport} params.device device name (e.g.
+   * /dev/usb/lp0), network printer address (e.g. tcp://host:9100),
+   * or a Transport
    * @param {Model} params.model printer model.
+   * @param {boolean?} params.compression true to compress rasters, false
+   * to send them uncompressed. Defaults to compression if the model
+   * supports it.
+   * @param {boolean?} params.high_resolution true to print at twice
+   * the resolution along the tape, if the model supports it (default
+   * false). Images must then have twice as many rows (rasters) for
+   * the same label length, see PTouchStatus.pixel_length_mm.
+   * @param {number?} params.timeout ms to wait for a status report
+   * while initialising or printing, before giving up (default 60000)
+   * @param {number?} params.reconnect ms between attempts to reopen
+   * the device when it can't be reached, e.g. because it has been
+   * unplugged (default 5000, 0 to never retry)
    * @param {function?} params.debug function e.g. console.debug
    */
   constructor(params = {}) {
@@ -133,22 +374,53 @@ class PTouch extends EventEmitter {
     this.debug = params.debug ?? function() {};
 
     /**
-     * Pathname of the output device e.g. /dev/usb/lp0
-     * @member {string}
+     * Pathname of the output device e.g. /dev/usb/lp0, network
+     * printer address, or a Transport
+     * @member {string|Transport}
      */
     this.device = params.device;
 
     if (!this.device) throw new Error("No device specified");
 
+    /**
+     * Transport used to talk to the device
+     * @member {Transport}
+     */
+    this.transport = Transport.fromDevice(this.device);
+
+    /**
+     * False if compression has been disabled in the params
+     * @private
+     */
+    this.allowCompression = params.compression ?? true;
+
+    /**
+     * True if high resolution has been requested in the params
+     * @private
+     */
+    this.allowHighResolution = params.high_resolution ?? false;
+
+    /**
+     * ms to wait for a status report while printing
+     * @member {number}
+     */
+    this.timeout = params.timeout ?? 60000;
+
+    /**
+     * ms between attempts to reopen the device, 0 to never retry
+     * @member {number}
+     */
+    this.reconnect = params.reconnect ?? 5000;
+
     /**
      * Device model
      */
     if (params.model instanceof Model)
-      this.model = params.model;
+      this.setModel(params.model);
     else if (typeof params.model === "string")
-      this.model = Models.getModelByName(params.model);
+      this.setModel(Models.getModelByName(params.model));
     else
-      this.model = Models.default();
+      this.setModel(Models.default());
 
     /**
      * Current printer status will be read from the printer during
@@ -156,10 +428,12 @@ class PTouch extends EventEmitter {
      * if the printer can't be talked to.
      * @member {PTouchStatus}
      */
-    this.status = PTouchStatus.from(this.model.defaultStatus);
+    this.status = PTouchStatus.from({
+      ...this.model.defaultStatus, high_resolution: this.high_resolution
+    });
     this.status.model = this.model.name;
 
-    console.log(`Printer type ${this.model.name}`);
+    this.debug(`PTouch: printer type ${this.model.name}`);
 
     /**
      * Flag indicating if the device can be interrogated for status
@@ -178,94 +452,299 @@ class PTouch extends EventEmitter {
      * @private
      */
     this.polling = false;
-    
+
+    /**
+     * Timer for the next poll
+     * @private
+     */
+    this.pollTimer = undefined;
+
+    /**
+     * Promise from initialise(), while it is in progress
+     * @private
+     */
+    this.initialising = undefined;
+
+    /**
+     * Function to reject the initialise() promise while it waits for
+     * the first status report
+     * @private
+     */
+    this.abortInitialise = undefined;
+
+    /**
+     * Function to stop sending the print in progress, passed the
+     * error to stop it with. Undefined unless a print is being sent.
+     * @private
+     */
+    this.abortPrint = undefined;
+
+    /**
+     * Timer for the next attempt to reopen the device
+     * @private
+     */
+    this.reconnectTimer = undefined;
+
+    /**
+     * True once close() has been called, so the device isn't reopened
+     * @private
+     */
+    this.closed = false;
+
     /**
      * @private
      */
     this.statusBlock = [];
   }
 
+  /**
+   * Set the printer model, and the features that depend on it.
+   * @param {Model} model the printer model
+   * @private
+   */
+  setModel(model) {
+    /**
+     * Device model
+     * @member {Model}
+     */
+    this.model = model;
+
+    /**
+     * Whether to send TIFF (PackBits) compressed rasters. Falls back
+     * to uncompressed if the model doesn't support compression.
+     * @member {boolean}
+     */
+    this.compression = this.allowCompression
+    && model.capabilities.compression === true;
+
+    /**
+     * Whether to print in high resolution. Falls back to normal
+     * resolution if the model doesn't support it.
+     * @member {boolean}
+     */
+    this.high_resolution = this.allowHighResolution
+    && model.capabilities.high_resolution === true;
+    if (this.status)
+      this.status.copy({ high_resolution: this.high_resolution });
+  }
+
   /**
    * Disconnect from the printer
    */
   close() {
     // Shut down polling
     this.polling = false;
-    if (this.fd) {
-      this.fd.close();
-      this.fd = undefined;
-    }
+    clearTimeout(this.pollTimer);
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = undefined;
+    this.transport.close();
     this.initialised = false;
   }
 
+  /**
+   * Handle the device going away, e.g. because it has been unplugged.
+   * Stops polling, closes the transport and marks the status offline
+   * (emitting PTouchStatus.UPDATE_EVENT if it was online), then tries
+   * to initialise() again every this.reconnect ms until it succeeds.
+   * @param {Error} e the error that showed the device has gone
+   * @private
+   */
+  disconnected(e) {
+    this.polling = false;
+    clearTimeout(this.pollTimer);
+    this.initialised = false;
+    this.statusBlock = [];
+    this.transport.close().catch(() => {});
+    if (this.abortInitialise)
+      this.abortInitialise(e);
+    if (this.status.online) {
+      this.debug(`PTouch: ${this.transport} is offline`, e.message);
+      this.status.online = false;
+      this.emit(PTouchStatus.UPDATE_EVENT, this.status);
+    }
+
+    if (this.closed || !this.reconnect || this.reconnectTimer)
+      return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this.initialise()
+      .then(() => this.debug(`PTouch: ${this.transport} is back online`),
+            () => {}); // disconnected() will try again
+    }, this.reconnect);
+    // Don't keep the process alive just to retry
+    this.reconnectTimer.unref();
+  }
+
   /**
    * Promise to initialise the device. Opens the device and sends
    * commands to reset it to a known state. If the device is read-write,
-   * requests and analyses a status report.
+   * requests and analyses a status report. If the device can't be
+   * opened, or doesn't report in time, the status is marked offline
+   * and initialisation is retried (see disconnected()).
    * @return {Promise} Promise that resolves to undefined when
-   * the printer has been initialised.
+   * the printer has been initialised, or rejects if it can't be.
    */
   initialise() {
     if (this.initialised)
       return Promise.resolve(this);
+    if (this.initialising)
+      return this.initialising;
 
-    const mode = this.write_only ? "w" : "r+";
-
-    return Fs.open(this.device, mode)
-    .then(fd => {
-      this.fd = fd;
+    this.closed = false;
+    this.initialising = this.transport.open(this.write_only)
+    .then(() => {
       // Reset the printer to a known state
-      const inval = new Uint8Array(200);
-      inval.fill(Commands.INVALIDATE);
-      return this.write([
-        ...inval,
-        ...Commands.INITIALISE_CLEAR,
-        // Docs don't say what the initial state is.
-        // Try to be sure.
-        ...Commands.COMPRESSION, 0, // uncompressed
-        ...Commands.SET_TRANSFER_MODE, 1 // raster
-      ]);
+      return this.write(this.clearCommands());
     })
     .then(() => {
-      if (this.write_only) {
-        this.initialised = true;
-        this.debug("PTouch: write-only initialised");
+      if (this.write_only)
         return undefined;
-      }
 
       // Return a promise that will resolve when the printer has
       // responded to an initial SEND_STATUS
-      return new Promise(resolve => {
+      let listener, timer;
+      return new Promise((resolve, reject) => {
         // Set up a one-time handler for the status report
-        this.once(PTouchStatus.UPDATE_EVENT, state => {
-          this.initialised = true;
-          this.debug(`PTouch: read-write initialised. ${state.phase}`);
+        listener = state => {
+          // The printer knows best what model it is
+          const model = Models.getModelByName(state.model);
+          if (model && model !== this.model) {
+            this.debug(`PTouch: printer reports model ${model.name}`);
+            this.setModel(model);
+          }
           resolve();
-        });
+        };
+        this.once(PTouchStatus.UPDATE_EVENT, listener);
+        // Give up if the device goes away, see disconnected()
+        this.abortInitialise = reject;
+        timer = setTimeout(
+          () => reject(new PrinterError(PrinterError.TIMEOUT, this.status)),
+          this.timeout);
         // Start polling
         this.polling = true;
         this.pollStatus();
         this.debug("PTouch: polling started");
         // Request a first status report. This will be handled
-        // by the .once, above
-        this.write(Commands.SEND_STATUS);
+        // by the listener, above
+        this.write(Commands.SEND_STATUS).catch(reject);
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        this.off(PTouchStatus.UPDATE_EVENT, listener);
+        this.abortInitialise = undefined;
       });
+    })
+    // Docs don't say what the initial state is. Try to be sure.
+    .then(() => this.write(this.rasterModeCommands()))
+    .then(() => {
+      this.status.online = true;
+      this.initialised = true;
+      if (this.write_only)
+        this.debug("PTouch: write-only initialised");
+      else
+        this.debug(`PTouch: read-write initialised. ${this.status.phase}`);
+    })
+    .catch(e => {
+      this.disconnected(e);
+      throw e;
+    })
+    .finally(() => this.initialising = undefined);
+
+    return this.initialising;
+  }
+
+  /**
+   * Construct the commands that clear the print buffer and reset the
+   * printer.
+   * @return {number[]} the commands
+   * @private
+   */
+  clearCommands() {
+    const inval = new Uint8Array(200);
+    inval.fill(Commands.INVALIDATE);
+    return [ ...inval, ...Commands.INITIALISE_CLEAR ];
+  }
+
+  /**
+   * Construct the commands that set compression and switch the
+   * printer to raster mode.
+   * @return {number[]} the commands
+   * @private
+   */
+  rasterModeCommands() {
+    return [
+      ...Commands.COMPRESSION, this.compression ? 2 : 0,
+      ...(this.model.capabilities.dynamic_command_mode
+          ? Commands.DYNAMIC_COMMAND_MODE : Commands.SET_TRANSFER_MODE),
+      RASTER_MODE
+    ];
+  }
+
+  /**
+   * Cancel the print being sent by printRows(), if any. Sending stops
+   * after the chunk being written, and the printer is told to throw
+   * away what it has buffered, though anything it has already started
+   * printing may still come out. The promise from printRows() rejects
+   * with a PrinterError.CANCELLED.
+   * @return {boolean} true if a print was being sent, false if there
+   * was none, or it has all been sent
+   */
+  cancel() {
+    if (!this.abortPrint)
+      return false;
+    this.abortPrint(new PrinterError(PrinterError.CANCELLED, this.status));
+    return true;
+  }
+
+  /**
+   * Promise to get a fresh status report from the printer. Write-only
+   * printers just get the current (default) status.
+   * @return {Promise.<PTouchStatus>} Promise that resolves to the new
+   * status, or rejects with a PrinterError if the printer doesn't reply.
+   */
+  requestStatus() {
+    if (this.write_only)
+      return Promise.resolve(this.status);
+
+    let listener, timer;
+    return new Promise((resolve, reject) => {
+      listener = status => {
+        if (PTouchStatus.Type[status.status_type] === "REPLY")
+          resolve(status);
+      };
+      this.on(PTouchStatus.UPDATE_EVENT, listener);
+      timer = setTimeout(
+        () => reject(new PrinterError(PrinterError.TIMEOUT, this.status)),
+        this.timeout);
+      this.write(Commands.SEND_STATUS).catch(reject);
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      this.off(PTouchStatus.UPDATE_EVENT, listener);
     });
   }
 
   /**
    * Promise to eject the tape. This is done by printing empty
-   * rasters, rather than using PRINT_FEED, as it's not clear how
-   * to control it (PRINT_FEED doesn't respect FEED_AMOUNT).
-   * Despite the name, PRINT_NOFEED does in fact feed, just a small
-   * amount (could this be the FEED_AMOUNT?)
-   * @return {Promise} Promise that resolves to undefined
+   * rasters, rather than using PRINT_FEED, which feeds a lot more
+   * tape than is needed (and on the PT1230 doesn't respect
+   * FEED_AMOUNT). Despite the name, PRINT_NOFEED does in fact feed,
+   * just a small amount. Labels already get their margins from
+   * printImage(), so this is only needed to get at the end of a
+   * chain print, or on printers without a cutter.
+   * If the printer is read-write, the promise doesn't resolve until
+   * the printer has reported the tape printed.
+   * @return {Promise} Promise that resolves to undefined, or rejects
+   * with a PrinterError
    */
   eject(px) {
     this.debug(`PTouch: Eject ${px} rasters`);
     const buff = Buffer.alloc(px + 1, Commands.EMPTY_RASTER);
     buff[buff.length - 1] = Commands.PRINT_NOFEED;
-    return this.write(buff);
+    if (this.write_only)
+      return this.write(buff);
+    return this.sendAndWait(() => this.write(buff), 1);
   }
 
   /**
@@ -285,76 +764,462 @@ class PTouch extends EventEmitter {
     this.read()
     .then(reply => {
       // Suck up 32 byte blocks that begin with a PRINT_HEAD_MARK
-      if (reply.bytesRead > 0) {
+      if (reply.length > 0) {
         let i = 0;
-        while (i < reply.bytesRead) {
+        while (i < reply.length) {
           // Are we in the process of assembling a status block?
           if (this.statusBlock.length > 0) {
-            this.statusBlock.push(reply.buffer[i]);
+            this.statusBlock.push(reply[i]);
             // Is the status block complete?
             if (this.statusBlock.length === 32) {
-              this.status = new PTouchStatus(this.statusBlock, this.debug);
+              this.statusReceived(this.statusBlock);
               this.statusBlock = [];
-              this.emit(PTouchStatus.UPDATE_EVENT, this.status);
-              this.debug("PTouch: update event emitted", this.status);
             }
           } else
             // Is this the start of a status block?
-            if (reply.buffer[i] === PTouchStatus.PRINT_HEAD_MARK) {
-              this.statusBlock = [ reply.buffer[i] ];
+            if (reply[i] === PTouchStatus.PRINT_HEAD_MARK) {
+              this.statusBlock = [ reply[i] ];
             }
           // Otherwise ignore this byte
           i++;
         }
       }
+    })
+    .then(() => {
       // Poll again in 1/5s
-      setTimeout(() => this.pollStatus(), 200);
+      this.pollTimer = setTimeout(() => this.pollStatus(), 200);
+    }, e => {
+      // The device has most likely been unplugged
+      this.debug("PTouch: status read failed", e.message);
+      this.disconnected(e);
     });
   }
 
   /**
-   * Format and print a monochrome image held in an RGBA byte buffer.
+   * Handle a complete status block read from the printer. Emits
+   * PTouchStatus.UPDATE_EVENT, and PTouchStatus.ERROR_EVENT if the
+   * printer reported errors. Blocks that can't be parsed are reported
+   * and ignored, so polling continues.
+   * @param {number[]} block the 32 byte status block
+   * @private
+   */
+  statusReceived(block) {
+    let status;
+    try {
+      status = new PTouchStatus(block, this.debug);
+    } catch (e) {
+      this.debug("PTouch: bad status report", e.message);
+      return;
+    }
+    // Settings that aren't in status reports
+    status.copy({ high_resolution: this.high_resolution });
+    this.status = status;
+    this.emit(PTouchStatus.UPDATE_EVENT, status);
+    this.debug("PTouch: update event emitted", status);
+    if (status.errors.length > 0) {
+      this.debug(`PTouch: printer reports ${status.errors.join(", ")}`);
+      this.emit(PTouchStatus.ERROR_EVENT, status);
+    }
+  }
+
+  /**
+   * Get the number of tape runs needed to print an image. Images wider
+   * than the printable width of the tape are split across several
+   * runs, each of which is reported as PRINTED separately.
+   * @param {number} width width of the image
+   * @return {number} the number of tape runs
+   */
+  tapeRuns(width) {
+    return Math.ceil(width / this.status.printable_width_px);
+  }
+
+  /**
+   * Promise to send print data, then wait for the printer to report
+   * PRINTED the given number of times. The printer must report
+   * within this.timeout of the last write, or of the last report.
+   * @param {function} send function that sends the print data,
+   * returning a promise that resolves when it has all been written
+   * @param {number} runs number of PRINTED reports to wait for
+   * @return {Promise} Promise that resolves to undefined, or rejects
+   * with a PrinterError, or the error send() rejected with
+   * @private
+   */
+  sendAndWait(send, runs) {
+    let listener, timer, restartTimer;
+    return new Promise((resolve, reject) => {
+      restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(
+          () => reject(new PrinterError(PrinterError.TIMEOUT, this.status)),
+          this.timeout);
+      };
+
+      // Listen before sending, so no reports are missed
+      listener = status => {
+        switch (PTouchStatus.Type[status.status_type]) {
+        case "PRINTED":
+          this.debug(`PTouch: tape run printed, ${runs - 1} to go`);
+          if (--runs === 0)
+            resolve();
+          break;
+        case "ERROR":
+          reject(new PrinterError(PrinterError.PRINTER_ERROR, status));
+          break;
+        default:
+          // e.g. cover opened while receiving
+          if (status.errors.length > 0)
+            reject(new PrinterError(PrinterError.PRINTER_ERROR, status));
+        }
+        // The printer is still talking to us
+        restartTimer();
+      };
+      this.on(PTouchStatus.UPDATE_EVENT, listener);
+      // Writing is progress too
+      this.on(PTouch.WRITE_EVENT, restartTimer);
+
+      send()
+      .then(restartTimer, reject);
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      this.off(PTouchStatus.UPDATE_EVENT, listener);
+      this.off(PTouch.WRITE_EVENT, restartTimer);
+    });
+  }
+
+  /**
+   * Construct the commands that set up the cutter, resolution and
+   * colours for a print. Nothing is sent to models that don't have a
+   * cutter.
+   * @param {object} options see printImage()
+   * @param {boolean} two_colour true if printing in red as well as black
+   * @return {number[]} the commands
+   * @private
+   */
+  modeCommands(options, two_colour) {
+    const caps = this.model.capabilities;
+    if (!caps.cutter)
+      return [];
+
+    const auto_cut = options.auto_cut ?? true;
+    const commands = [
+      ...Commands.MODE, auto_cut ? PTouchStatus.MODE_AUTO_CUT : 0
+    ];
+
+    if (caps.cut_every && auto_cut) {
+      const n = Math.min(Math.max(options.cut_every ?? 1, 1), 99);
+      commands.push(...Commands.PAGE_NUMBER, n);
+    }
+
+    let advanced = 0;
+    if (caps.half_cut && options.half_cut)
+      advanced |= AdvancedMode.HALF_CUT;
+    if (!options.chain)
+      advanced |= AdvancedMode.NO_CHAIN;
+    if (this.high_resolution)
+      advanced |= AdvancedMode.HIGH_RESOLUTION;
+    if (two_colour)
+      advanced |= AdvancedMode.TWO_COLOUR;
+    commands.push(...Commands.ADVANCED_MODE, advanced);
+
+    this.debug(`\tMode: auto_cut ${auto_cut} advanced ${advanced}`);
+    return commands;
+  }
+
+  /**
+   * Get the margin for a print, in dots. On models that support
+   * FEED_AMOUNT it is kept within the limits the printer accepts.
+   * @param {number} margin_mm requested margin, in mm
+   * @return {number} the margin in dots
+   * @private
+   */
+  marginPx(margin_mm) {
+    const pixel_length_mm = this.status.pixel_length_mm;
+    const px = Math.max(Math.round(margin_mm / pixel_length_mm), 0);
+    if (!this.model.capabilities.feed_amount)
+      return px;
+    // The minimum doubles in high resolution
+    const min = Math.round(FEED_AMOUNT_MIN_PX
+                           * this.status.pixel_size_mm / pixel_length_mm);
+    const max = Math.round(FEED_AMOUNT_MAX_MM / pixel_length_mm);
+    return Math.min(Math.max(px, min), max);
+  }
+
+  /**
+   * Check that the tape loaded is the tape a label was designed for.
+   * Write-only printers can't say what is loaded, so aren't checked.
+   * @param {number?} media_width_mm width of the tape the label was
+   * designed for, undefined to skip the check
+   * @throws {PrinterError} if the tape doesn't match
+   */
+  checkMedia(media_width_mm) {
+    if (this.write_only || typeof media_width_mm === "undefined"
+        || media_width_mm === this.status.media_width_mm)
+      return;
+    throw new PrinterError(
+      PrinterError.MEDIA_MISMATCH, this.status,
+      `Label was designed for ${media_width_mm}mm tape, but`
+      + ` ${this.status.media_width_mm}mm tape is loaded`);
+  }
+
+  /**
+   * Check that an image fits on the die-cut labels loaded, if any.
+   * @param {number} height length of the image, in rasters
+   * @throws {PrinterError} if the image is longer than a label
+   * @private
+   */
+  checkLength(height) {
+    const status = this.status;
+    if (!status.media_length_mm)
+      return; // continuous tape
+    const length_mm = height * status.pixel_length_mm;
+    if (length_mm <= status.media_length_mm)
+      return;
+    throw new PrinterError(
+      PrinterError.MEDIA_MISMATCH, status,
+      `Label is ${length_mm.toFixed(1)}mm long, but the die-cut`
+      + ` labels loaded are ${status.media_length_mm}mm long`);
+  }
+
+  /**
+   * Construct the command to send a raster. Compressed rasters cover
+   * every pin on the print head, but uncompressed rasters stop after
+   * byte_count bytes.
+   * @param {Uint8Array} raster the raster, one bit per pin
+   * @param {number} byte_count number of bytes to send uncompressed
+   * @param {number?} colour Colour.BLACK or Colour.RED when printing
+   * in two colours, undefined otherwise
+   * @return {number[]} the command
+   * @private
+   */
+  rasterCommand(raster, byte_count, colour) {
+    const data = this.compression
+          ? packBits(raster) : raster.subarray(0, byte_count);
+    if (colour)
+      return [ Commands.TWO_COLOUR_RASTER, colour, data.length, ...data ];
+    if (this.model.capabilities.ql_raster)
+      return [ ...Commands.QL_RASTER_DATA, data.length, ...data ];
+    return [ Commands.RASTER_DATA, data.length % 256,
+             Math.floor(data.length / 256), ...data ];
+  }
+
+  /**
+   * Construct a PRINT_INFORMATION command for a tape run, telling the
+   * printer what media the run was designed for. Nothing is sent to
+   * models that don't support it.
+   * @param {number} rasters number of rasters in the tape run
+   * @param {number} run index of the tape run
+   * @param {number} runs total number of tape runs
+   * @return {number[]} the command
+   * @private
+   */
+  printInformation(rasters, run, runs) {
+    const caps = this.model.capabilities;
+    if (!caps.print_information)
+      return [];
+
+    let page = run === 0 ? 0 : 1;
+    if (caps.last_page && run > 0 && run === runs - 1)
+      page = 2;
+    // Die-cut labels have a length, continuous tape is 0
+    const length_mm = this.status.media_length_mm;
+    return [
+      ...Commands.PRINT_INFORMATION,
+      PrintInformation.KIND | PrintInformation.WIDTH
+      | (length_mm ? PrintInformation.LENGTH : 0)
+      | PrintInformation.RECOVER,
+      PTouchStatus.codeOf(PTouchStatus.MEDIA_TYPES, this.status.media_type),
+      this.status.media_width_mm,
+      length_mm,
+      rasters & 0xFF, (rasters >> 8) & 0xFF,
+      (rasters >> 16) & 0xFF, (rasters >> 24) & 0xFF,
+      page,
+      0
+    ];
+  }
+
+  /**
+   * Promise to send print data prepared earlier, for example by
+   * printImage() on this or another printer and saved in a Capture,
+   * and wait for it to be printed. The data is sent as-is, so it must
+   * suit the model and the media loaded.
+   * @param {Buffer} data the print data
+   * @return {Promise} Promise that resolves to undefined, or rejects
+   * with a PrinterError if the printer reports an error or doesn't
+   * report in time, or with an Error if the data is truncated
+   */
+  send(data) {
+    return this.initialise()
+    .then(() => {
+      // One PRINTED report is expected for each Print command
+      const runs = fromBinary(data, {
+        unknown: true, ql: this.model.capabilities.ql_raster === true
+      })
+            .filter(command => /^Print \d/.test(command)).length;
+      this.debug(`PTouch: *** Sending ${data.length} bytes, ${runs} tape runs`);
+      if (this.write_only || runs === 0)
+        return this.write(data);
+      return this.sendAndWait(() => this.write(data), runs);
+    });
+  }
+
+  /**
+   * Format and print an image held in an RGBA byte buffer. See
+   * printRows(), which this uses.
    * @param {Buffer} image the image buffer (raw pixel data)
    * @param {number} width width of the image
    * @param {number} height height of the image
-   * @return {Promise} Promise that resolves to undefined
+   * @param {object?} options print options, see printRows()
+   * @return {Promise} see printRows()
    */
-  printImage(image, width, height) {
+  printImage(image, width, height, options = {}) {
+    return this.printRows(new BufferRows(image, width, height), options);
+  }
 
-    /**
-     * Read a pixel from the image.
-     * @param {number} x x coordinate
-     * @param {number} y y coordinate
-     * @return {boolean} true if the pixel is black
-     */
-    function isBlack(x, y) {
-      // The UI converts the image to 1 bit per pixel, though this is
-      // encoded in RGBA with A being 255 for black and 0 for white.
-      const offset = (y * width + x) * 4;
-      return image[offset + 3] > 0;
-    }
+  /**
+   * Format and print an image. The image is monochrome, except on
+   * models that can print in two colours, where it may be reduced to
+   * a black, red and white palette; if there are any red pixels, the
+   * image is printed in two colours. Red pixels are printed black on
+   * other models.
+   * On die-cut labels, each tape run is printed on a label.
+   * The image is read a row at a time, and the rasters are written
+   * to the printer in chunks as they are made, each chunk waiting for
+   * the last to be written, so labels of any length can be printed
+   * without holding them in memory. Sending can be stopped with
+   * cancel().
+   * If the printer is read-write, the promise doesn't resolve until
+   * the printer has reported every tape run as printed.
+   * @param {ImageRows} rows the rows of the image
+   * @param {object?} options print options. Cutting options are only
+   * used on models with a cutter (see Model.capabilities).
+   * @param {boolean?} options.auto_cut true to cut after each tape run
+   * (default true)
+   * @param {boolean?} options.half_cut true to half cut, leaving the
+   * backing intact (default false)
+   * @param {boolean?} options.chain true for chain printing, where the
+   * tape isn't fed and cut after the last tape run, saving tape
+   * on the next print (default false)
+   * @param {number?} options.cut_every cut after every N tape runs,
+   * if auto_cut is on (default 1)
+   * @param {number?} options.media_width_mm width of the tape the
+   * image was designed for. If the printer reports different tape
+   * loaded, the print is refused.
+   * @param {number?} options.margin_mm margin before and after each
+   * tape run. Sent using FEED_AMOUNT on models that support it,
+   * otherwise by padding with empty rasters. If undefined, no margin
+   * is added, and the tape is fed as much as the printer normally
+   * feeds. Die-cut labels have no margin.
+   * @param {number?} options.copies number of copies to print
+   * (default 1). Each copy is printed as its own tape runs.
+   * @return {Promise} Promise that resolves to undefined, or rejects
+   * with a PrinterError if the printer reports an error, doesn't
+   * report in time, has the wrong tape loaded, or the print is
+   * cancelled.
+   */
+  printRows(rows, options = {}) {
+    const width = rows.width, height = rows.height;
+
+    // The error that stops sending, if anything does
+    let stopped;
+    const stop = e => stopped = stopped ?? e;
+    this.abortPrint = stop;
+    const check = () => {
+      if (stopped)
+        throw stopped;
+    };
+    let started = false;
 
     // Promise to initialise, if needed
     return this.initialise()
     .then(() => {
       this.debug(`PTouch: *** Printing image w=${width} h=${height}`);
 
-      // Each raster is padded by blank bits to centre the image
-      const padding = (this.status.raster_px - this.status.printable_width_px) / 2;
+      this.checkMedia(options.media_width_mm);
+      this.checkLength(height);
+
+      // Print in two colours if the model can, and the image has red
+      return this.model.capabilities.two_colour
+      ? rows.hasRed() : false;
+    })
+    .then(two_colour => {
+      check();
+      this.debug(`\tTwo colour ${two_colour}`);
+
+      const caps = this.model.capabilities;
+
+      // Each raster is padded by blank bits up to the printable area
+      const padding = this.status.left_margin_px;
       this.debug(`\tStart padding ${padding}px (${padding / 8} bytes)`);
 
+      /**
+       * Pack part of a plane of a row into a raster.
+       * @param {Uint8Array} raster the raster to pack into
+       * @param {Uint8Array} plane the plane, see ImageRows
+       * @param {number} offset first column of the tape run
+       * @param {number} printwidth number of columns in the tape run
+       * @return {boolean} true if any pixel was printed
+       */
+      function pack(raster, plane, offset, printwidth) {
+        raster.fill(0);
+        let empty = true;
+        for (let x = 0; x < printwidth; x++) {
+          const col = offset + x;
+          if (plane[col >> 3] & (0x80 >> (col & 7))) {
+            // Fill bytes from the MSB
+            const pin = padding + x;
+            raster[pin >> 3] |= 0x80 >> (pin & 7);
+            empty = false;
+          }
+        }
+        return !empty;
+      }
+
+      const out = new Chunks(this);
+
       // The print buffer
-      const buffer = [];
+      out.add(this.modeCommands(options, two_colour));
 
-      this.debug(`\tRequires ${Math.ceil(width / this.status.printable_width_px)} tape runs`);
+      // Every copy has the same tape runs
+      const runs_per_copy = this.tapeRuns(width);
+      const runs = runs_per_copy * (options.copies ?? 1);
 
-      // Split into tape lengths, each max printable_width_px wide
-      let offset = 0, x, bit;
-      while (offset < width) {
-        let printwidth = this.status.printable_width_px;
-        if (offset + printwidth > width) {
-          printwidth = width - offset;
-        }
+      // Models that can't feed the margin have it padded with
+      // empty rasters before and after each tape run. Die-cut labels
+      // don't need a margin. Without a margin, the printer feeds
+      // what it normally does.
+      const die_cut = this.status.media_length_mm > 0;
+      const fed = die_cut || typeof options.margin_mm !== "undefined";
+      const margin = fed && !die_cut ? this.marginPx(options.margin_mm) : 0;
+      let pad = 0;
+      if (caps.feed_amount && fed)
+        out.add([ ...Commands.FEED_AMOUNT, margin % 256,
+                  Math.floor(margin / 256) ]);
+      else
+        pad = margin;
+      this.debug(`\tMargin ${margin}px, padded ${pad}px`);
+
+      // Empty rasters after each tape run. Not (yet) set for any model.
+      const label_gap = this.status.label_gap_px ?? 0;
+      this.debug(`\tRequires ${runs} tape runs`);
+
+      // Uncompressed rasters stop at the end of the printable area,
+      // except on QL printers which expect every pin, but compressed
+      // rasters must cover every pin on the print head.
+      const raster = new Uint8Array(Math.ceil(this.status.raster_px / 8));
+      const byte_count = caps.ql_raster ? raster.length : Math.ceil(
+        (padding + this.status.printable_width_px) / 8);
+
+      /**
+       * Promise to send a tape run, max printable_width_px wide
+       * @param {number} run index of the tape run
+       * @return {Promise} promise that resolves when the run has been
+       * handed to the printer
+       */
+      const sendRun = run => {
+        const offset = (run % runs_per_copy) * this.status.printable_width_px;
+        const printwidth = Math.min(
+          this.status.printable_width_px, width - offset);
 
         // Offset to start of raster info for this tape run
         this.debug(`\tTape run starting at offset ${offset}`);
@@ -362,66 +1227,72 @@ class PTouch extends EventEmitter {
         // Number of bits in this tape run
         this.debug(`\t\tRun width ${printwidth}px (${printwidth / 8} bytes)`);
 
-        // Construct rasters
-        const byte_count = (padding + this.status.printable_width_px) / 8;
-        const raster = new Uint8Array(byte_count);
-        for (let y = height - 1; y >= 0 ; y--) {
-          raster.fill(0);
-          let raster_byte = 0;
-          let empty = true;
-
-          // Pack leading padding
-          bit = 7;
-          for (x = 0; x < padding; x++) {
-            // Pack 8 pixels into a byte
-            if (--bit < 0) {
-              raster_byte++;
-              bit = 7;
-            }
-          }
+        // Tell the printer what's coming; a raster per row of the
+        // image, plus the padding and label gap
+        out.add(this.printInformation(
+          height + 2 * pad + label_gap, run, runs));
+
+        for (let i = 0; i < pad; i++)
+          out.add(Commands.EMPTY_RASTER);
 
-          //const debugBM = [];
-          // Pack bits from the image
-          let byte = 0; // byte currently being packed
-          for (x = 0; x < printwidth; x++) {
-            if (isBlack(offset + x, y)) {
-              // Fill byte from MSB
-              byte = byte | (1 << bit);
-              empty = false;
-              //debugBM.push(`X${byte}`);
-            }// else debugBM.push(".");
-
-            if (--bit < 0) { // byte is full
-              raster[raster_byte++] = byte;
-              byte = 0;
-              bit = 7;
+        return rows.each(two_colour, planes => {
+          check();
+          if (two_colour) {
+            // Black then red, even if they are empty
+            for (const colour of [ Colour.BLACK, Colour.RED ]) {
+              pack(raster, planes[colour - 1], offset, printwidth);
+              out.add(this.rasterCommand(raster, byte_count, colour));
             }
-          }
-          raster[raster_byte++] = byte;
-          if (empty) {
-            buffer.push(Commands.EMPTY_RASTER);
-          } else {
-            buffer.push(Commands.RASTER_DATA,
-                        byte_count % 256,
-                        Math.floor(byte_count / 256));
-            buffer.push(...raster);
-          }
-        }
-        // Increment for next tape length
-        offset += printwidth;
+          } else if (pack(raster, planes[0], offset, printwidth))
+            out.add(this.rasterCommand(raster, byte_count));
+          else
+            out.add(Commands.EMPTY_RASTER);
+          return out.full() ? out.flush() : undefined;
+        })
+        .then(() => {
+          // push the label gap of empty rasters. Without this,
+          // the printer loses several rasters off the end of the
+          // print.
+          for (let i = 0; i < pad + label_gap; i++)
+            out.add(Commands.EMPTY_RASTER);
 
-        // push the label gap of empty rasters. Without this,
-        // the printer loses several rasters off the end of the
-        // print.
-        for (let i = 0; i < this.status.label_gap_px; i++)
-          buffer.push(Commands.EMPTY_RASTER);
+          out.add(Commands.PRINT_NOFEED);
+          return run + 1 < runs ? sendRun(run + 1) : undefined;
+        });
+      };
 
-        buffer.push(Commands.PRINT_NOFEED);
-      }
-      //console.log(fromBinary(buffer).join("\n"));
-      return this.write(buffer);
+      const send = () => {
+        started = true;
+        return sendRun(0)
+        .then(() => out.flush())
+        // Everything has been sent, so it's too late to cancel
+        .then(() => this.abortPrint = undefined);
+      };
+      if (this.write_only)
+        return send();
+      return this.sendAndWait(send, runs)
+      .catch(e => {
+        // Stop sending, if it hasn't already stopped
+        stop(e);
+        throw e;
+      });
+    })
+    .catch(e => {
+      if (!(started && e.code === PrinterError.CANCELLED))
+        throw e;
+      // Throw away anything the printer has buffered, and put it
+      // back into raster mode
+      this.debug("PTouch: print cancelled");
+      return this.write([
+        ...this.clearCommands(), ...this.rasterModeCommands()
+      ])
+      .then(() => { throw e; });
+    })
+    .finally(() => {
+      if (this.abortPrint === stop)
+        this.abortPrint = undefined;
     });
   }
 }
 
-export { PTouch }
+export { PTouch, PrinterError }
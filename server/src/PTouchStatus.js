@@ -14,6 +14,12 @@ class PTouchStatus {
    */
   static UPDATE_EVENT = "PTOUCH_UPDATE";
 
+  /**
+   * Event emitted whenever a status report from the printer includes
+   * errors. The PTouchStatus is passed.
+   */
+  static ERROR_EVENT = "PTOUCH_ERROR";
+
   /**
    * Byte marker for the beginning of a raw status block read
    * from the printer
@@ -32,6 +38,55 @@ class PTouchStatus {
     'Cover open', 'Overheating', 'Black marking not detected', 'System error'
   ]);
 
+  /**
+   * Interpretation of bits in error_information on QL printers. Errors
+   * that mean the same as on P-touch printers have the same names.
+   * @private
+   */
+  static QL_ERROR_BITS = Object.freeze([
+    'No media', 'End of media', 'Cutter jam', 'Unused',
+    'Printer in use', 'Printer turned off', 'High-voltage adapter',
+    'Fan motor error',
+    'Replace media', 'Expansion buffer full', 'Comms error', 'Buffer full',
+    'Cover open', 'Cancel key', 'Media cannot be fed', 'System error'
+  ]);
+
+  /**
+   * Series code reported by QL printers, see Model.seriesCode
+   */
+  static QL_SERIES_CODE = 0x34;
+
+  /**
+   * Get the interpretation of bits in error_information for a model.
+   * @param {Model?} model the model, undefined for P-touch printers
+   * @return {string[]} ERROR_BITS or QL_ERROR_BITS
+   */
+  static errorBits(model) {
+    return model && model.seriesCode === PTouchStatus.QL_SERIES_CODE
+    ? PTouchStatus.QL_ERROR_BITS : PTouchStatus.ERROR_BITS;
+  }
+
+  /**
+   * Decode error_information into a list of error names.
+   * @param {number} error_information error information 1 in the
+   * high byte, error information 2 in the low byte
+   * @param {string[]?} bits interpretation of the bits, see
+   * errorBits() (default ERROR_BITS)
+   * @return {string[]} names of the errors
+   */
+  static decodeErrors(error_information, bits = PTouchStatus.ERROR_BITS) {
+    const errors = [];
+    if (!error_information)
+      return errors;
+    bits.forEach((name, i) => {
+      // Bits 0-7 are in error information 1, 8-15 in error information 2
+      const bit = i < 8 ? i + 8 : i - 8;
+      if (error_information & (1 << bit))
+        errors.push(name);
+    });
+    return errors;
+  }
+
   /**
    * Types of media, lookup values for media_type
    */
@@ -39,9 +94,96 @@ class PTouchStatus {
     0x01: 'Laminated', 0x02: "Lettering", 0x03: 'Non-laminated',
     0x04: 'Fabric', 0x08: "AV",  0x09: "HG", 0x11: 'Heat shrink 2:1',
     0x13: "Fle", 0x14: "Flexible ID", 0x15: "Satin",
-    0x17: 'Heat shrink 3:1', 0xFF: 'Incompatible tape'
+    0x17: 'Heat shrink 3:1', 0xFF: 'Incompatible tape',
+    // QL media
+    0x0A: 'Continuous length tape', 0x0B: 'Die-cut labels'
+  });
+
+  /**
+   * Tape colours, lookup values for tape_colour
+   */
+  static TAPE_COLOURS = Object.freeze({
+    0x01: "White", 0x02: "Other", 0x03: "Clear", 0x04: "Red",
+    0x05: "Blue", 0x06: "Yellow", 0x07: "Green", 0x08: "Black",
+    0x09: "Clear (white text)", 0x20: "Matte white", 0x21: "Matte clear",
+    0x22: "Matte silver", 0x23: "Satin gold", 0x24: "Satin silver",
+    0x30: "Blue (D)", 0x31: "Red (D)", 0x40: "Fluorescent orange",
+    0x41: "Fluorescent yellow", 0x50: "Berry pink (S)",
+    0x51: "Light gray (S)", 0x52: "Lime green (S)", 0x60: "Yellow (F)",
+    0x61: "Pink (F)", 0x62: "Blue (F)", 0x70: "White (heat-shrink tube)",
+    0x90: "White (flex. ID)", 0x91: "Yellow (flex. ID)",
+    0xF0: "Cleaning", 0xF1: "Stencil", 0xFF: "Incompatible"
+  });
+
+  /**
+   * Text colours, lookup values for text_colour
+   */
+  static TEXT_COLOURS = Object.freeze({
+    0x01: "White", 0x02: "Other", 0x04: "Red", 0x05: "Blue",
+    0x08: "Black", 0x0A: "Gold", 0x62: "Blue (F)",
+    0xF0: "Cleaning", 0xF1: "Stencil", 0xFF: "Incompatible"
+  });
+
+  /**
+   * Notifications, lookup values for notification
+   */
+  static NOTIFICATIONS = Object.freeze({
+    0x00: "Not available", 0x01: "Cover open", 0x02: "Cover closed",
+    0x03: "Cooling started", 0x04: "Cooling finished"
   });
 
+  /**
+   * Bit in mode, set if the printer will automatically cut
+   */
+  static MODE_AUTO_CUT = 0x40;
+
+  /**
+   * Bit in mode, set if the printer will mirror the print
+   */
+  static MODE_MIRROR = 0x80;
+
+  /**
+   * Find the code for a name in one of the lookup tables, such as
+   * MEDIA_TYPES
+   * @param {object} table the table
+   * @param {string|number} name the name to look up. Numbers are
+   * assumed to be codes already.
+   * @return {number} the code, 0 if the name isn't found
+   */
+  static codeOf(table, name) {
+    if (typeof name === "number")
+      return name;
+    for (const code of Object.keys(table)) {
+      if (table[code] === name)
+        return parseInt(code);
+    }
+    return 0;
+  }
+
+  /**
+   * Describe the loaded media, e.g. "12mm black on yellow laminated".
+   * Colours are omitted if the printer doesn't report them.
+   * @param {PTouchStatus|object} status the status to describe (may be
+   * a plain object e.g. received from /ajax/status)
+   * @return {string} the description
+   */
+  static describeMedia(status) {
+    // Die-cut labels have a length
+    const words = [ status.media_length_mm
+                    ? `${status.media_width_mm}x${status.media_length_mm}mm`
+                    : `${status.media_width_mm}mm` ];
+    const tape = PTouchStatus.TAPE_COLOURS[status.tape_colour];
+    const text = PTouchStatus.TEXT_COLOURS[status.text_colour];
+    if (text && tape)
+      words.push(text, "on", tape);
+    else if (tape)
+      words.push(tape);
+    // media_type may be a name, in a model defaultStatus
+    words.push(PTouchStatus.MEDIA_TYPES[status.media_type]
+               ?? status.media_type);
+    return words.join(" ").toLowerCase();
+  }
+
   /**
    * Values for status_type, the type of the status report
    * @readonly
@@ -50,12 +192,18 @@ class PTouchStatus {
    * @property {number} REPLY reply to status request
    * @property {number} PRINTED report generated when printing completed
    * @property {number} ERROR report generated because of error
+   * @property {number} TURNED_OFF report generated when the printer
+   * was turned off
+   * @property {number} NOTIFICATION report generated to give a
+   * notification, see NOTIFICATIONS
    * @property {number} PHASE_CHANGED report generated because phase changed
    */
   static Type = Object.freeze({
     0: "REPLY",
     1: "PRINTED",
     2: "ERROR",
+    4: "TURNED_OFF",
+    5: "NOTIFICATION",
     6: "PHASE_CHANGED"
   });
 
@@ -75,6 +223,23 @@ class PTouchStatus {
     2: "FEEDING"
   });
 
+  /**
+   * Command mode the printer is in, see DYNAMIC_COMMAND_MODE. Status
+   * reports don't include it, so it can't be read back from the
+   * printer.
+   * @readonly
+   * @typedef CommandMode
+   * @enum {number}
+   * @property {number} ESC_P ESC/P mode
+   * @property {number} RASTER raster mode, needed for printing
+   * @property {number} TEMPLATE P-touch Template mode
+   */
+  static CommandMode = Object.freeze({
+    0: "ESC_P",
+    1: "RASTER",
+    3: "TEMPLATE"
+  });
+
   /**
    * Derive shortcut dimensions from a partially-filled status report.
    * @param {function} debug function
@@ -89,13 +254,29 @@ class PTouchStatus {
           + `A raster is ${this.raster_px}px (${this.raster_mm}mm)\n`
           + `Max printable width is ${this.printable_width_px}px`
           + `(${this.printable_width_px * this.pixel_size_mm}mm)`);
-    
-    if (this.media_width_px < this.printable_width_px) {
-      this.printable_width_px =
-      this.media_width_mm / this.pixel_size_mm;
-      debug(`Tape is narrower than printable area. `
-            + `Reducing printable area to `
-            + `${this.printable_width_px}px for ${this.media_width_mm}mm media`);
+
+    // High resolution halves the pixel length along the tape
+    this.pixel_length_mm = this.high_resolution
+    ? this.pixel_size_mm / 2 : this.pixel_size_mm;
+
+    // The model knows which pins print on each tape
+    const model = this.model && Models.getModelByName(this.model);
+    if (model) {
+      const tape = model.tape(this.media_width_mm);
+      this.left_margin_px = tape.left_margin_px;
+      this.printable_width_px = tape.printable_px;
+      debug(`Printing ${this.printable_width_px}px after`
+            + ` ${this.left_margin_px}px for ${this.media_width_mm}mm media`);
+    } else {
+      if (this.media_width_px < this.printable_width_px) {
+        this.printable_width_px =
+        this.media_width_mm / this.pixel_size_mm;
+        debug(`Tape is narrower than printable area. `
+              + `Reducing printable area to `
+              + `${this.printable_width_px}px for ${this.media_width_mm}mm media`);
+      }
+      // Assume the printable area is centred
+      this.left_margin_px = (this.raster_px - this.printable_width_px) / 2;
     }
     this.printable_width_mm = 
     this.printable_width_px * this.pixel_size_mm;
@@ -114,11 +295,10 @@ class PTouchStatus {
 
     // raw[1] = Print head size, don't know what this is
     if (raw[2] !== 0x42) throw new Error(`PTouchStatus: Bad Brother code ${raw[2]}`);
-    if (raw[3] !== 0x30) throw new Error(`PTouchStatus: Bad series code ${raw[2]}`);
     if (raw[5] !== 0x30) throw new Error(`PTouchStatus: Bad country code ${raw[3]}`);
 
-    // Determine the printer model
-    const model = Models.getModelByDeviceCode(raw[4]);
+    // Determine the printer model from the series and device codes
+    const model = Models.getModelByDeviceCode(raw[4], raw[3]);
     if (!model)
       throw new Error(`PTouchStatus: Unsupported device code 0x${Number(raw[4]).toString(16)}`);
 
@@ -130,8 +310,9 @@ class PTouchStatus {
     // raw[6] Reserved
     // raw[7] Reserved
 
-    if (raw[8] !== 0 || raw[9] !== 0)
-      this.error_information = (raw[8] << 8) | raw[9];
+    this.error_information = (raw[8] << 8) | raw[9];
+    this.errors = PTouchStatus.decodeErrors(
+      this.error_information, PTouchStatus.errorBits(model));
 
     this.media_type = raw[11];
 
@@ -146,57 +327,45 @@ class PTouchStatus {
         this.phase = 0; // READY;
       break;
     case 1: // "Printing state"
-      switch (raw[21]) {
-      case 0x00:
-        this.phase = 1; // PRINTING;
-        break;
-      case 0x0a:
-      case 0x14: // cover open while receiving
-      case 0x19:
-      default:
-        throw new Error(`Unsupported printing state ${raw[21]}`);
-      }
+      this.phase = 1; // PRINTING;
+      // 0x0a and 0x19 are documented as "not used"
+      if (raw[21] === 0x14 && this.errors.indexOf("Cover open") < 0)
+        this.errors.push("Cover open"); // while receiving
       break;
     default:
       throw new Error(`Unknown phase type ${raw[19]}`);
     }
 
-    // For completeness, other stuff from the status report which
-    // will usually be all zeros.
-    /*
-    if (raw[12] !== 0) this.number_of_colours = raw[12];
-    if (raw[13] !== 0) this.fonts = raw[13]; // Fonts
-    if (raw[14] !== 0) this.japanese_fonts = raw[14]; // Japanese Fonts
-    if ((raw[15] && 1) !== 0) this.mirror_printing = true;
-    if ((raw[15] && 2) !== 0) this.auto_cut = true;
-
-    if (raw[16] !== 0) this.density = raw[16];
-    if (raw[17] !== 0) this.media_length = raw[17];
-    if (raw[16] !== 0) this.density = raw[16];
-
-    switch (raw[22]) {
-    case 1: this.cover = "Opened"; break;
-    case 2: this.cover = "Closed"; break;
-    }
-
-    if (raw[23] !== 0) this.expansion_area = raw[23];
-    if (raw[24] !== 0) this.tape_color_info = raw[24];
-    if (raw[25] !== 0) this.text_color_info = raw[25];
-    if (raw[26] !== 0) this.hw_settings_0 = raw[26];
-    if (raw[27] !== 0) this.hw_sttings_1 = raw[27];
-    if (raw[28] !== 0) this.hw_settings_2 = raw[28];
-    if (raw[29] !== 0) this.hw_settings_3 = raw[29];
-    */
+    this.number_of_colours = raw[12];
+    this.fonts = raw[13];
+    this.japanese_fonts = raw[14];
+    this.mode = raw[15];
+    this.auto_cut = (raw[15] & PTouchStatus.MODE_AUTO_CUT) !== 0;
+    this.mirror_printing = (raw[15] & PTouchStatus.MODE_MIRROR) !== 0;
+    this.density = raw[16];
+    this.media_length_mm = raw[17];
+    this.notification = raw[22];
+    this.cover_open = raw[22] === 1 || this.errors.indexOf("Cover open") >= 0;
+    this.expansion_area = raw[23];
+    this.tape_colour = raw[24];
+    this.text_colour = raw[25];
+    this.hardware_settings = [ raw[26], raw[27], raw[28], raw[29] ];
   }
 
   /**
-   * Copy a block of status information.
-   * @param {PTouchStatus|object} status to copy
-   * @private
+   * Copy a block of status information, and derive dimensions
+   * from the result.
+   * @param {PTouchStatus|object} status to copy. Fields that are
+   * undefined aren't copied.
    */
   copy(status) {
-    for (const key of Object.keys(this))
-      this[key] = status[key];
+    for (const key of Object.keys(this)) {
+      // Fields missing from status (e.g. in a model defaultStatus)
+      // keep their defaults
+      if (typeof status[key] !== "undefined")
+        this[key] = Array.isArray(status[key])
+        ? status[key].slice() : status[key];
+    }
     this.deriveDimensions();
   }
 
@@ -219,7 +388,13 @@ class PTouchStatus {
    * @param {function?} debug function
    */
   constructor(raw, debug = () => {}) {
-    
+
+    /**
+     * Name of the printer model, see Models.
+     * @member {string}
+     */
+    this.model = undefined;
+
     /**
      * Number of pixels in a raster line. From model defaultStatus.
      * @member {number}
@@ -233,8 +408,15 @@ class PTouchStatus {
     this.raster_mm = 0;
 
     /**
-     * Number of printable pixels at the centre of each raster line.
-     * From model defaultStatus.
+     * Number of unprinted pixels at the start of each raster line,
+     * before the printable area. Derived from the model's tape table.
+     * @member {number}
+     */
+    this.left_margin_px = 0;
+
+    /**
+     * Number of printable pixels in each raster line, for the tape
+     * loaded. Derived from the model's tape table.
      * @member {number}
      */
     this.printable_width_px = 0;
@@ -262,12 +444,20 @@ class PTouchStatus {
     this.media_width_mm = 0;
 
     /**
-     * Width/height of a single pixel in mm. Derived, assuming
-     * pixels are square.
+     * Size of a pixel across the tape (the distance between pins) in
+     * mm. Derived.
      * @member {number}
      */
     this.pixel_size_mm = 0;
 
+    /**
+     * Length of a pixel along the tape (the distance between rasters)
+     * in mm. The same as pixel_size_mm unless printing in high
+     * resolution. Derived.
+     * @member {number}
+     */
+    this.pixel_length_mm = 0;
+
     /**
      * Width of tape media in px. Derived.
      * @member {number}
@@ -286,32 +476,131 @@ class PTouchStatus {
      */
     this.status_type = PTouchStatus.Type.UNKNOWN;
 
+    /**
+     * Raw error information bits, error information 1 in the high
+     * byte and error information 2 in the low byte.
+     * @member {number}
+     */
+    this.error_information = 0;
+
+    /**
+     * Names of errors reported by the printer, decoded from
+     * error_information (see ERROR_BITS). Empty if there are no errors.
+     * @member {string[]}
+     */
+    this.errors = [];
+
+    // Availability/usefulness of the following status information
+    // varies from printer to printer; most are zero on the PT1230.
+
+    /**
+     * Number of colours. Fixed at 0.
+     * @member {number}
+     */
+    this.number_of_colours = 0;
+
+    /**
+     * Fonts. Fixed at 0.
+     * @member {number}
+     */
+    this.fonts = 0;
+
+    /**
+     * Japanese fonts. Fixed at 0.
+     * @member {number}
+     */
+    this.japanese_fonts = 0;
+
+    /**
+     * Mode bits, as set by "various mode settings", see MODE_*
+     * @member {number}
+     */
+    this.mode = 0;
+
+    /**
+     * True if the printer will automatically cut. From mode.
+     * @member {boolean}
+     */
+    this.auto_cut = false;
+
+    /**
+     * True if the printer will mirror the print. From mode.
+     * @member {boolean}
+     */
+    this.mirror_printing = false;
+
+    /**
+     * Print density. Fixed at 0.
+     * @member {number}
+     */
+    this.density = 0;
+
+    /**
+     * Length of the media in mm, 0 for continuous tape. Die-cut
+     * labels (QL printers) report the length of a label.
+     * @member {number}
+     */
+    this.media_length_mm = 0;
+
+    /**
+     * Notification given by a NOTIFICATION report, see NOTIFICATIONS
+     * @member {number}
+     */
+    this.notification = 0;
+
+    /**
+     * True if the cover is known to be open
+     * @member {boolean}
+     */
+    this.cover_open = false;
+
+    /**
+     * Number of bytes in the expansion area. Fixed at 0.
+     * @member {number}
+     */
+    this.expansion_area = 0;
+
+    /**
+     * Tape colour, see TAPE_COLOURS. 0 if not reported.
+     * @member {number}
+     */
+    this.tape_colour = 0;
+
+    /**
+     * Text colour, see TEXT_COLOURS. 0 if not reported.
+     * @member {number}
+     */
+    this.text_colour = 0;
+
+    /**
+     * Hardware settings bytes, used by the printer for checking
+     * @member {number[]}
+     */
+    this.hardware_settings = [ 0, 0, 0, 0 ];
+
+    /**
+     * True if printing in high resolution, with twice as many rasters
+     * along the tape. Status reports don't include this, so it is
+     * set by PTouch.
+     * @member {boolean}
+     */
+    this.high_resolution = false;
+
+    /**
+     * True if the printer can be reached. A status report is proof
+     * that it can; otherwise this is set by PTouch, and is false
+     * until the printer has been initialised, or after it has been
+     * unplugged.
+     * @member {boolean}
+     */
+    this.online = false;
+
     if (raw) {
       this.parseRaw(raw);
+      this.online = true;
       // Use the report to determine additional dimensions
       this.deriveDimensions(debug);
     }
-
-    // Availability/usefulness of the following status information
-    // varies from printer to printer
-    /*
-      this.number_of_colours = undefined;
-      this.fonts = undefined;
-      this.japanese_fonts = undefined;
-      this.mirror_printing = undefined;
-      this.auto_cut = undefined;
-      this.density = undefined;
-      this.media_length = undefined;
-      this.density = undefined;
-      this.cover = undefined;
-      this.expansion_area = undefined;
-      this.tape_color_info = undefined;
-      this.text_color_info = undefined;
-      this.hw_settings_0 = undefined;
-      this.hw_sttings_1 = undefined;
-      this.hw_settings_2 = undefined;
-      this.hw_settings_3 = undefined;
-    */
   }
 }
 
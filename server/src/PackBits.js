@@ -0,0 +1,78 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+
+/**
+ * TIFF (PackBits) run-length coding, as used by the printers for
+ * raster graphics transfer when compression mode 2 is selected.
+ * See "Select compression mode" in the references.
+ *
+ * Each block starts with a header byte n. If n is 0..127, then the
+ * next n + 1 bytes are copied literally. If n is 129..255 (-127..-1)
+ * then the next byte is repeated 257 - n times. 128 is a no-op.
+ */
+
+/**
+ * Compress a byte array.
+ * @param {Uint8Array|number[]} bytes the data to compress
+ * @return {number[]} the compressed data
+ */
+function packBits(bytes) {
+  const out = [];
+  let i = 0;
+  while (i < bytes.length) {
+    // Measure the run of identical bytes starting at i
+    let run = 1;
+    while (i + run < bytes.length && run < 128
+           && bytes[i + run] === bytes[i])
+      run++;
+
+    if (run > 1) {
+      out.push(257 - run, bytes[i]);
+      i += run;
+    } else {
+      // Collect literals up to the start of the next run
+      const start = i++;
+      while (i < bytes.length && i - start < 128
+             && !(i + 1 < bytes.length && bytes[i] === bytes[i + 1]))
+        i++;
+      out.push(i - start - 1);
+      for (let j = start; j < i; j++)
+        out.push(bytes[j]);
+    }
+  }
+
+  // The docs say that if compression makes the data bigger, then
+  // it should be sent as a single literal block.
+  if (out.length > bytes.length + 1 && bytes.length <= 128) {
+    out.length = 0;
+    out.push(bytes.length - 1);
+    for (const b of bytes)
+      out.push(b);
+  }
+
+  return out;
+}
+
+/**
+ * Expand compressed data.
+ * @param {Uint8Array|number[]} bytes the data to expand
+ * @return {number[]} the expanded data
+ */
+function unpackBits(bytes) {
+  const out = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const n = bytes[i++];
+    if (n < 128) {
+      for (let j = 0; j <= n; j++)
+        out.push(bytes[i++]);
+    } else if (n > 128) {
+      const b = bytes[i++];
+      for (let j = 0; j < 257 - n; j++)
+        out.push(b);
+    }
+  }
+  return out;
+}
+
+export { packBits, unpackBits }
@@ -0,0 +1,408 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+
+import { EventEmitter } from "node:events";
+
+import { Capture } from "./Capture.js";
+import { PrinterError } from "./PTouch.js";
+import { PTouchStatus } from "./PTouchStatus.js";
+import { BufferRows } from "./ImageRows.js";
+
+/**
+ * A single print job, as tracked by a PrintQueue.
+ */
+class PrintJob {
+
+  /**
+   * States a job moves through. A job starts QUEUED, moves to SENDING
+   * while the rasters are written to the printer, to PRINTING once the
+   * printer reports it has started, and finishes DONE, FAILED or
+   * CANCELLED (only jobs that are still being sent can be cancelled).
+   * @readonly
+   * @enum {string}
+   */
+  static State = Object.freeze({
+    QUEUED: "queued",
+    SENDING: "sending",
+    PRINTING: "printing",
+    DONE: "done",
+    FAILED: "failed",
+    CANCELLED: "cancelled"
+  });
+
+  /**
+   * @param {number} id unique job id
+   * @param {ImageRows?} image the image, undefined if the job replays
+   * a capture
+   * @param {number} width width of the image
+   * @param {number} height height of the image
+   * @param {object?} options print options, see PTouch.printRows()
+   */
+  constructor(id, image, width, height, options = {}) {
+
+    /**
+     * Unique job id
+     * @member {number}
+     */
+    this.id = id;
+
+    /**
+     * Image to print, released once the job is finished
+     * @private
+     */
+    this.image = image;
+
+    /**
+     * Width of the image
+     * @member {number}
+     */
+    this.width = width;
+
+    /**
+     * Height of the image
+     * @member {number}
+     */
+    this.height = height;
+
+    /**
+     * Print options, see PTouch.printRows()
+     * @member {object}
+     */
+    this.options = options;
+
+    /**
+     * Current state of the job
+     * @member {PrintJob.State}
+     */
+    this.state = PrintJob.State.QUEUED;
+
+    /**
+     * Time the job was queued (epoch ms)
+     * @member {number}
+     */
+    this.created = Date.now();
+
+    /**
+     * Time the job finished (epoch ms), undefined until it does
+     * @member {number?}
+     */
+    this.finished = undefined;
+
+    /**
+     * Reason the job failed, undefined unless it did
+     * @member {string?}
+     */
+    this.error = undefined;
+
+    /**
+     * Errors reported by the printer if the job failed, see
+     * PTouchStatus.errors
+     * @member {string[]}
+     */
+    this.errors = [];
+
+    /**
+     * Print data to send instead of the image, when replaying a
+     * Capture
+     * @private
+     */
+    this.data = undefined;
+
+    /**
+     * Directory the job was captured in, undefined unless it was
+     * @member {string?}
+     */
+    this.capture = undefined;
+
+    /**
+     * Directory of the capture this job replays, undefined unless it
+     * is a replay
+     * @member {string?}
+     */
+    this.replay = undefined;
+  }
+
+  /**
+   * Is the job finished, one way or another?
+   * @return {boolean} true if the job is finished
+   */
+  isFinished() {
+    return this.state === PrintJob.State.DONE
+    || this.state === PrintJob.State.FAILED
+    || this.state === PrintJob.State.CANCELLED;
+  }
+
+  /**
+   * Get the serialisable part of the job (everything except the image)
+   * @return {object} the job description
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      state: this.state,
+      width: this.width,
+      height: this.height,
+      options: this.options,
+      created: this.created,
+      finished: this.finished,
+      error: this.error,
+      errors: this.errors,
+      capture: this.capture,
+      replay: this.replay
+    };
+  }
+}
+
+/**
+ * Queue of print jobs for a printer. Jobs are printed one at a time,
+ * so that rasters from different jobs are never interleaved on the
+ * device. When the printer can report status, a job is only DONE
+ * when PTouch.printImage() has seen it printed.
+ */
+class PrintQueue extends EventEmitter {
+
+  /**
+   * Event emitted whenever a job changes state. The PrintJob is passed.
+   */
+  static JOB_EVENT = "PRINT_JOB";
+
+  /**
+   * @param {object} params setup parameters
+   * @param {PTouch} params.printer the printer to print on
+   * @param {number?} params.history number of finished jobs to remember
+   * (default 20)
+   * @param {string?} params.capture directory to capture jobs in, see
+   * Capture. If undefined, jobs aren't captured.
+   * @param {function?} params.debug function e.g. console.debug
+   */
+  constructor(params = {}) {
+    super();
+
+    /* c8 ignore next */
+    this.debug = params.debug ?? function() {};
+
+    /**
+     * The printer
+     * @member {PTouch}
+     */
+    this.printer = params.printer;
+
+    /**
+     * Number of finished jobs to remember
+     * @member {number}
+     */
+    this.history = params.history ?? 20;
+
+    /**
+     * Directory to capture jobs in, undefined if they aren't
+     * @member {string?}
+     */
+    this.capture = params.capture;
+
+    /**
+     * All known jobs, in the order they were added
+     * @private
+     */
+    this.jobs = [];
+
+    /**
+     * Id for the next job
+     * @private
+     */
+    this.nextId = 1;
+
+    /**
+     * The job currently being printed
+     * @private
+     */
+    this.current = undefined;
+  }
+
+  /**
+   * Add an image held in memory to the queue.
+   * @param {Buffer} image the image buffer (raw RGBA pixel data)
+   * @param {number} width width of the image
+   * @param {number} height height of the image
+   * @param {object?} options print options, see PTouch.printRows()
+   * @return {PrintJob} the new job
+   */
+  add(image, width, height, options) {
+    return this.addRows(new BufferRows(image, width, height), options);
+  }
+
+  /**
+   * Add an image to the queue.
+   * @param {ImageRows} rows the rows of the image
+   * @param {object?} options print options, see PTouch.printRows()
+   * @return {PrintJob} the new job
+   */
+  addRows(rows, options) {
+    return this.queue(new PrintJob(
+      this.nextId++, rows, rows.width, rows.height, options));
+  }
+
+  /**
+   * Add a job that replays a saved capture. The captured print data
+   * is sent as-is, see PTouch.send().
+   * @param {object} capture the capture, as loaded by Capture.load()
+   * @return {PrintJob} the new job
+   */
+  replay(capture) {
+    const desc = capture.description;
+    const job = new PrintJob(this.nextId++, undefined,
+                             desc.width, desc.height, desc.options);
+    job.data = capture.data;
+    job.replay = capture.path;
+    return this.queue(job);
+  }
+
+  /**
+   * Add a job to the queue, and start it if the printer is free.
+   * @param {PrintJob} job the job
+   * @return {PrintJob} the job
+   * @private
+   */
+  queue(job) {
+    this.jobs.push(job);
+    this.debug(`PrintQueue: job ${job.id} queued`);
+    this.emit(PrintQueue.JOB_EVENT, job);
+    this.next();
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {number} id the job id
+   * @return {PrintJob?} the job, or undefined if it isn't known
+   */
+  get(id) {
+    return this.jobs.find(job => job.id === id);
+  }
+
+  /**
+   * Get all known jobs, in the order they were added
+   * @return {PrintJob[]} the jobs
+   */
+  all() {
+    return this.jobs.slice();
+  }
+
+  /**
+   * Cancel a job. Jobs that are still queued are cancelled at once.
+   * Jobs that are being sent are stopped (see PTouch.cancel()), and
+   * become CANCELLED once the printer has been cleared.
+   * @param {number} id the job id
+   * @return {boolean} true if the job was (or is being) cancelled,
+   * false if it is finished, or has all been sent to the printer.
+   * @throws {Error} if the job isn't known
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job)
+      throw new Error(`PrintQueue: Unknown job ${id}`);
+    if (job.state === PrintJob.State.QUEUED) {
+      this.finish(job, PrintJob.State.CANCELLED);
+      return true;
+    }
+    if (job === this.current && !job.data)
+      return this.printer.cancel();
+    return false;
+  }
+
+  /**
+   * Move a job to a new state, and tell the world.
+   * @param {PrintJob} job the job
+   * @param {PrintJob.State} state the new state
+   * @private
+   */
+  setState(job, state) {
+    job.state = state;
+    this.debug(`PrintQueue: job ${job.id} ${state}`
+               + (job.error ? ` ${job.error}` : ""));
+    this.emit(PrintQueue.JOB_EVENT, job);
+  }
+
+  /**
+   * Finish a job, and forget the oldest finished jobs if the history
+   * is full.
+   * @param {PrintJob} job the job
+   * @param {PrintJob.State} state the final state
+   * @param {Error?} error reason for failure, may be a PrinterError
+   * @private
+   */
+  finish(job, state, error) {
+    job.finished = Date.now();
+    job.image?.close()
+    .catch(e => this.debug(`PrintQueue: job ${job.id} image not closed`,
+                           e.message));
+    job.image = undefined;
+    job.data = undefined;
+    if (error) {
+      job.error = error.message;
+      job.errors = error.errors ?? [];
+    }
+    this.setState(job, state);
+
+    let excess = this.jobs.filter(j => j.isFinished()).length - this.history;
+    this.jobs = this.jobs.filter(j => !(j.isFinished() && excess-- > 0));
+  }
+
+  /**
+   * Start the next queued job, if the printer is free.
+   * @private
+   */
+  next() {
+    if (this.current)
+      return;
+    const job = this.jobs.find(j => j.state === PrintJob.State.QUEUED);
+    if (!job)
+      return;
+    this.current = job;
+    this.run(job)
+    .then(() => this.finish(job, PrintJob.State.DONE),
+          e => this.finish(job, e.code === PrinterError.CANCELLED
+                           ? PrintJob.State.CANCELLED
+                           : PrintJob.State.FAILED, e))
+    .then(() => {
+      this.current = undefined;
+      this.next();
+    });
+  }
+
+  /**
+   * Promise to print a job.
+   * @param {PrintJob} job the job
+   * @return {Promise} promise that resolves when the printer reports
+   * the job printed, or rejects with a PrinterError
+   * @private
+   */
+  run(job) {
+    const printer = this.printer;
+
+    this.setState(job, PrintJob.State.SENDING);
+
+    const listener = status => {
+      if (PTouchStatus.Type[status.status_type] === "PHASE_CHANGED"
+          && PTouchStatus.Phase[status.phase] === "PRINTING"
+          && job.state === PrintJob.State.SENDING)
+        this.setState(job, PrintJob.State.PRINTING);
+    };
+    printer.on(PTouchStatus.UPDATE_EVENT, listener);
+
+    const capture = this.capture
+          ? new Capture(this.capture, job, printer) : undefined;
+
+    return (job.data
+            ? printer.send(job.data)
+            : printer.printRows(job.image, job.options))
+    .finally(() => {
+      printer.off(PTouchStatus.UPDATE_EVENT, listener);
+      // A failed capture mustn't fail the job
+      return capture?.save()
+      .catch(e => this.debug(`PrintQueue: job ${job.id} capture failed`,
+                             e.message));
+    });
+  }
+}
+
+export { PrintJob, PrintQueue }
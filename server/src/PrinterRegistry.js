@@ -0,0 +1,194 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+
+import { PTouch } from "./PTouch.js";
+import { PrintQueue } from "./PrintQueue.js";
+import { Models } from "./Models.js";
+
+/**
+ * A named printer served by the Server, with its own queue of jobs.
+ */
+class RegisteredPrinter {
+
+  /**
+   * @param {string} name name of the printer, used in routes
+   * @param {object} params parameters for the PTouch
+   * @param {string?} params.capture directory to capture jobs in.
+   * Jobs for this printer are captured in a subdirectory named for
+   * the printer.
+   * @param {function?} debug function e.g. console.debug
+   */
+  constructor(name, params, debug) {
+
+    /**
+     * Name of the printer
+     * @member {string}
+     */
+    this.name = name;
+
+    /**
+     * The printer
+     * @member {PTouch}
+     */
+    this.printer = new PTouch({ ...params, debug: debug });
+
+    /**
+     * Queue of jobs for the printer
+     * @member {PrintQueue}
+     */
+    this.queue = new PrintQueue({
+      printer: this.printer,
+      capture: params.capture && Path.join(params.capture, name),
+      debug: debug
+    });
+  }
+
+  /**
+   * Get a description of the printer, as sent by /ajax/printers
+   * @return {object} { name, model, device, status }
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      model: this.printer.model.name,
+      device: this.printer.transport.toString(),
+      status: this.printer.status
+    };
+  }
+}
+
+/**
+ * The printers served by a Server, each with a unique name.
+ * Printers can be described in a JSON file, which maps printer names
+ * to printer descriptions:
+ * ```
+ * {
+ *   "office": { "device": "/dev/usb/lp0" },
+ *   "warehouse": { "device": "tcp://192.168.1.20:9100", "model": "QL-820NWB" }
+ * }
+ * ```
+ * A description has the fields of the server command line options:
+ * device, model, write_only, compression, high_resolution and timeout
+ * (seconds), and also reconnect (seconds between attempts to reopen
+ * the device when it has gone away, see PTouch) and capture (directory
+ * to capture jobs in, see Capture).
+ */
+class PrinterRegistry {
+
+  /**
+   * @param {function?} debug function e.g. console.debug
+   */
+  constructor(debug) {
+
+    /* c8 ignore next */
+    this.debug = debug ?? function() {};
+
+    /**
+     * Printers, in the order they were added
+     * @private
+     */
+    this.printers = [];
+  }
+
+  /**
+   * Promise to construct a registry from a file describing the printers.
+   * @param {string} file path to the file
+   * @param {function?} debug function e.g. console.debug
+   * @param {object?} defaults fields for printers that don't describe
+   * them, e.g. { capture: "/var/spool/clabel" }
+   * @return {Promise.<PrinterRegistry>} promise resolving to the registry
+   */
+  static load(file, debug, defaults = {}) {
+    return Fs.readFile(file)
+    .then(json => {
+      let descriptions;
+      try {
+        descriptions = JSON.parse(json);
+      } catch (e) {
+        throw new Error(`PrinterRegistry: ${file}: ${e.message}`);
+      }
+      const registry = new PrinterRegistry(debug);
+      for (const name of Object.keys(descriptions)) {
+        const d = { ...defaults, ...descriptions[name] };
+        registry.add(name, {
+          ...d,
+          timeout: typeof d.timeout === "number"
+          ? d.timeout * 1000 : undefined,
+          reconnect: typeof d.reconnect === "number"
+          ? d.reconnect * 1000 : undefined
+        });
+      }
+      return registry;
+    });
+  }
+
+  /**
+   * Add a printer.
+   * @param {string} name name of the printer. Letters, digits, _ and
+   * - only, as it is used in routes.
+   * @param {object} params parameters for the PTouch, see
+   * PTouch.constructor. The model may be given by name.
+   * @return {RegisteredPrinter} the new printer
+   * @throws {Error} if the printer can't be added
+   */
+  add(name, params) {
+    if (!/^[-\w]+$/.test(name))
+      throw new Error(`PrinterRegistry: Bad printer name "${name}"`);
+    if (this.get(name))
+      throw new Error(`PrinterRegistry: ${name} is already registered`);
+    if (!params.device)
+      throw new Error(`PrinterRegistry: ${name} needs a device`);
+
+    let model = params.model;
+    if (typeof model === "string") {
+      model = Models.getModelByName(model);
+      if (!model)
+        throw new Error(`PrinterRegistry: ${name} has unknown model ${params.model}`);
+    }
+    if (params.write_only && !model)
+      throw new Error(`PrinterRegistry: ${name} is write only, so needs a model`);
+
+    const p = new RegisteredPrinter(
+      name, { ...params, model: model }, this.debug);
+    this.printers.push(p);
+    return p;
+  }
+
+  /**
+   * Get a printer
+   * @param {string} name the name of the printer
+   * @return {RegisteredPrinter?} the printer, or undefined if it isn't known
+   */
+  get(name) {
+    return this.printers.find(p => p.name === name);
+  }
+
+  /**
+   * Get all printers, in the order they were added
+   * @return {RegisteredPrinter[]} the printers
+   */
+  all() {
+    return this.printers.slice();
+  }
+
+  /**
+   * Get the default printer, used by routes that don't name a printer
+   * @return {RegisteredPrinter?} the first printer added
+   */
+  default() {
+    return this.printers[0];
+  }
+
+  /**
+   * Disconnect from all printers
+   */
+  close() {
+    for (const p of this.printers)
+      p.printer.close();
+  }
+}
+
+export { PrinterRegistry, RegisteredPrinter }
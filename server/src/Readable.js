@@ -2,93 +2,357 @@
 /* eslint-env node */
 /* global Buffer */
 
+import { packBits, unpackBits } from "./PackBits.js";
+
+/**
+ * Format raster data as hex, expanding it if it is compressed.
+ * @param {Buffer} data the raster data
+ * @param {boolean} compressed true if the data is compressed
+ * @param {boolean} art true to draw the raster as ASCII art, one
+ * character per pin, instead of hex
+ * @return {string} the hex or art
+ * @private
+ */
+function rasterHex(data, compressed, art) {
+  if (compressed)
+    data = unpackBits(data);
+  let s = "";
+  for (const byte of data) {
+    if (art) {
+      for (let bit = 0x80; bit > 0; bit >>= 1)
+        s += (byte & bit) ? "#" : ".";
+    } else
+      s += Number(byte).toString(16).padStart(2, "0");
+  }
+  return s;
+}
+
+/**
+ * Convert hex or ASCII art raster data to bytes, compressing it if
+ * needed.
+ * @param {string?} hex the hex or art, see rasterHex()
+ * @param {boolean} compressed true to compress the data
+ * @return {number[]} the bytes
+ * @private
+ */
+function rasterBytes(hex = "", compressed) {
+  let data = [];
+  if (/^[.#]+$/.test(hex)) {
+    for (let i = 0; i < hex.length; i += 8) {
+      let byte = 0;
+      for (let bit = 0; bit < 8; bit++)
+        if (hex[i + bit] === "#")
+          byte |= 0x80 >> bit;
+      data.push(byte);
+    }
+  } else {
+    for (let i = 0; i < hex.length; i += 2)
+      data.push(parseInt(`${hex[i]}${hex[i + 1]}`, 16));
+  }
+  return compressed ? packBits(data) : data;
+}
+
+/**
+ * Media types in PRINT_INFORMATION used only by QL printers
+ * @private
+ */
+const QL_MEDIA = [ 0x0A, 0x0B ];
+
 /**
  * Decode a byte buffer full of PTouch print commands to a simple
- * readable text format.
+ * readable text format, one command per line. Every command in the
+ * raster command references is understood:
+ * ```
+ * NULL          Invalidate
+ * ESC @         Initialise_clear
+ * ESC i S       Status
+ * ESC i R n     Raster_mode n
+ * ESC i a n     Command_mode n
+ * ESC i ! n     Auto_status n
+ * ESC i M n     Mode n
+ * ESC i K n     Advanced_mode n
+ * ESC i A n     Cut_every n
+ * ESC i d n1 n2 Feed dots
+ * ESC i z ...   Print_information flags type width length rasters page
+ * ESC i c ...   Print_information_c flags type width length energy (PT-9500PC)
+ * ESC i B n1 n2 Baud_rate setting (PT-9500PC)
+ * M n           Compress n
+ * G n1 n2 data  Raster data
+ * g n1 n2 data  Raster_g data (P-touch)
+ * g 0 n data    Ql_raster data (QL)
+ * w c n data    Colour_raster c data (QL two colour)
+ * Z             Empty_raster
+ * FF            Print 0
+ * Control-Z     Print 1
+ * ```
+ * Compressed rasters are expanded, so a raster always reads the same
+ * whatever the compression mode. The two forms of 'g' can't be told
+ * apart by their bytes (a P-touch raster of 256 bytes starts g 0x00),
+ * so they are told apart by the printer, if options.ql says what it
+ * is, or else by the commands seen earlier in the stream: QL media in
+ * Print_information, or Colour_raster, mean QL; P-touch media,
+ * Print_information_c or Raster mean P-touch. Failing that, a 'g'
+ * followed by 0 is taken to be a QL raster.
+ * @param {Buffer} buff the bytes to decode
+ * @param {object?} options decoding options
+ * @param {boolean?} options.ql true if the stream is for a QL
+ * printer, false if it is for a P-touch printer, undefined to work
+ * it out from the stream
+ * @param {boolean?} options.art true to draw rasters as ASCII art,
+ * one character per pin ('#' printed, '.' not), instead of hex
+ * @param {boolean?} options.unknown true to decode bytes that aren't
+ * part of a known command as "Unknown <hex>", instead of throwing
+ * @return {string[]} the commands
+ * @throws {Error} if the buffer holds an unknown or truncated command
  */
-function fromBinary(buff) {
+function fromBinary(buff, options = {}) {
   let output = [];
-  let i = 0, fa, length, s;
+  let i = 0, start, fa, length, data;
+  let compressed = false;
+  let ql = options.ql;
+
+  // Check that n more bytes are available
+  const need = n => {
+    if (i + n > buff.length)
+      throw new Error(`Readable: Truncated command at offset ${start}`);
+  };
+  // Handle a command that isn't known
+  const unknown = () => {
+    if (!options.unknown) {
+      const bytes = [ ...buff.slice(start, i) ]
+            .map(b => `0x${Number(b).toString(16)}`).join(" ");
+      throw new Error(`Readable: Unknown command ${bytes} at offset ${start}`);
+    }
+    // Skip just the first byte, the rest may be a known command
+    output.push(`Unknown ${rasterHex(buff.slice(start, start + 1))}`);
+    i = start + 1;
+  };
+  // Read a raster of the given length
+  const raster = length => {
+    need(length);
+    data = buff.slice(i, i + length);
+    i += length;
+    return rasterHex(data, compressed, options.art);
+  };
+
   while (i < buff.length) {
+    start = i;
     switch (buff[i++]) {
     case 0x00:
       output.push(`Invalidate`);
       continue;
     case 0x1B:
+      need(1);
       switch(buff[i++]) {
       case 0x40:
         output.push(`Initialise_clear`);
         continue;
       case 0x69:
+        need(1);
         switch (buff[i++]) {
         case 0x53:
           output.push(`Status`);
           continue;
         case 0x52:
+          need(1);
           output.push(`Raster_mode ${buff[i++]}`);
           continue;
+        case 0x61:
+          need(1);
+          output.push(`Command_mode ${buff[i++]}`);
+          continue;
+        case 0x21:
+          need(1);
+          output.push(`Auto_status ${buff[i++]}`);
+          continue;
+        case 0x4D:
+          need(1);
+          output.push(`Mode ${buff[i++]}`);
+          continue;
+        case 0x4B:
+          need(1);
+          output.push(`Advanced_mode ${buff[i++]}`);
+          continue;
+        case 0x41:
+          need(1);
+          output.push(`Cut_every ${buff[i++]}`);
+          continue;
+        case 0x7A:
+          need(10);
+          if (typeof options.ql === "undefined" && buff[i + 1] !== 0)
+            ql = QL_MEDIA.includes(buff[i + 1]);
+          // flags, type, width, length, rasters, page
+          output.push(`Print_information ${[
+            buff[i], buff[i + 1], buff[i + 2], buff[i + 3],
+            buff[i + 4] + buff[i + 5] * 0x100
+            + buff[i + 6] * 0x10000 + buff[i + 7] * 0x1000000,
+            buff[i + 8] ].join(" ")}`);
+          i += 10;
+          continue;
+        case 0x63:
+          need(5);
+          if (typeof options.ql === "undefined")
+            ql = false;
+          // flags, type, width, length, print energy
+          output.push(`Print_information_c ${[
+            ...buff.slice(i, i + 5) ].join(" ")}`);
+          i += 5;
+          continue;
         case 0x64:
+          need(2);
           fa = buff[i++];
           output.push(`Feed ${fa + buff[i++] * 256}`);
           continue;
-        default:
-          throw new Error(`Command error 0x1B 0x69 0x52 0x${buff[i-1].toString(16)}`);
+        case 0x42:
+          need(2);
+          fa = buff[i++];
+          output.push(`Baud_rate ${fa + buff[i++] * 256}`);
+          continue;
         }
       }
-      throw new Error(`Protocol violation 0x1B 0x${buff[i-1].toString(16)}`);
+      unknown();
+      continue;
     case 0x1A: output.push(`Print 1`); continue;
     case 0x0C: output.push(`Print 0`); continue;
     case 0x5A: output.push(`Empty_raster`); continue;
-    case 0x4D: output.push(`Compress ${buff[i++]}`); continue;
+    case 0x4D:
+      need(1);
+      compressed = (buff[i] === 2);
+      output.push(`Compress ${buff[i++]}`);
+      continue;
     case 0x47:
+      need(2);
+      if (typeof options.ql === "undefined")
+        ql = false;
       length = buff[i++];
       length += buff[i++] * 256;
-      s = "";
-      for (let j = 0; j < length; j++)
-        s += Number(buff[i++]).toString(16).padStart(2, "0");
-      output.push(`Raster ${s}`);
+      output.push(`Raster ${raster(length)}`);
+      continue;
+    case 0x67:
+      need(2);
+      if (ql ?? (buff[i] === 0x00)) {
+        // QL, g 0x00 n
+        length = buff[i + 1];
+        i += 2;
+        output.push(`Ql_raster ${raster(length)}`);
+      } else {
+        // P-touch, g n1 n2
+        length = buff[i] + buff[i + 1] * 256;
+        i += 2;
+        output.push(`Raster_g ${raster(length)}`);
+      }
       continue;
+    case 0x77: {
+      need(2);
+      if (typeof options.ql === "undefined")
+        ql = true;
+      const colour = buff[i++];
+      length = buff[i++];
+      output.push(`Colour_raster ${colour} ${raster(length)}`);
+      continue;
+    }
     default:
-      throw new Error(`Protocol violation 0x${buff[i-1].toString(16)}`);
+      unknown();
     }
   }
   return output;
 }
 
 /**
- * Convert a set of text commands to a binary buffer.
+ * Convert a set of text commands, as produced by fromBinary(), to a
+ * binary buffer. Rasters may be given in hex or ASCII art, and are
+ * compressed if they follow "Compress 2". Blank lines and lines
+ * starting with # are ignored.
  * @param {string[]} commands list of commands
  * @return {Buffer} a byte buffer
+ * @throws {Error} if a command isn't known
  */
 function toBinary(commands) {
   const buff = [];
+  let compressed = false;
   for (const command of commands) {
-    let cmd = command.split(/\s+/);
+    let cmd = command.trim().split(/\s+/);
     const verb = cmd[0];
     let param = cmd[1];
     switch (verb) {
+    case "": break;
     case "Invalidate": buff.push(0x00); break;
     case "Initialise_clear": buff.push(0x1B, 0x40); break;
     case "Status": buff.push(0x1B, 0x69, 0x53); break;
     case "Raster_mode":
       buff.push(0x1B, 0x69, 0x52, parseInt(param));
       break;
+    case "Command_mode":
+      buff.push(0x1B, 0x69, 0x61, parseInt(param));
+      break;
+    case "Auto_status":
+      buff.push(0x1B, 0x69, 0x21, parseInt(param));
+      break;
+    case "Mode":
+      buff.push(0x1B, 0x69, 0x4D, parseInt(param));
+      break;
+    case "Advanced_mode":
+      buff.push(0x1B, 0x69, 0x4B, parseInt(param));
+      break;
+    case "Cut_every":
+      buff.push(0x1B, 0x69, 0x41, parseInt(param));
+      break;
+    case "Print_information": {
+      const p = cmd.slice(1).map(n => parseInt(n));
+      const rasters = p[4];
+      buff.push(0x1B, 0x69, 0x7A, p[0], p[1], p[2], p[3],
+                rasters & 0xFF, (rasters >> 8) & 0xFF,
+                (rasters >> 16) & 0xFF, (rasters >> 24) & 0xFF,
+                p[5], 0);
+      break;
+    }
+    case "Print_information_c":
+      buff.push(0x1B, 0x69, 0x63,
+                ...cmd.slice(1, 6).map(n => parseInt(n)));
+      break;
     case "Feed":
       param = parseInt(param);
       buff.push(0x1B, 0x69, 0x64, param % 256, Math.floor(param / 256));
       break;
+    case "Baud_rate":
+      param = parseInt(param);
+      buff.push(0x1B, 0x69, 0x42, param % 256, Math.floor(param / 256));
+      break;
     case "Print": buff.push(param == "1" ? 0x1A : 0x0C); break;
     case "Empty_raster": buff.push(0x5A); break;
-    case "Compress": buff.push(0x4D, parseInt(param)); break;
-    case "Raster":
-      buff.push(0x47, (param.length / 2) % 256, Math.floor((param.length / 2) / 256));
+    case "Compress":
+      compressed = (parseInt(param) === 2);
+      buff.push(0x4D, parseInt(param));
+      break;
+    case "Raster": {
       // Repack the raster
-      for (let i = 0; i < param.length; i += 2) {
-        const byte = parseInt(`${param[i]}${param[i + 1]}`, 16);
-        buff.push(byte);
-      }
+      const data = rasterBytes(param, compressed);
+      buff.push(0x47, data.length % 256, Math.floor(data.length / 256));
+      buff.push(...data);
+      break;
+    }
+    case "Raster_g": {
+      const data = rasterBytes(param, compressed);
+      buff.push(0x67, data.length % 256, Math.floor(data.length / 256));
+      buff.push(...data);
+      break;
+    }
+    case "Ql_raster": {
+      const data = rasterBytes(param, compressed);
+      buff.push(0x67, 0x00, data.length, ...data);
+      break;
+    }
+    case "Colour_raster": {
+      const data = rasterBytes(cmd[2], compressed);
+      buff.push(0x77, parseInt(param), data.length, ...data);
+      break;
+    }
+    case "Unknown":
+      buff.push(...rasterBytes(param, false));
       break;
     default:
+      if (verb[0] === "#")
+        break;
       throw new Error(`toBinary error at ${command}`);
     }
   }
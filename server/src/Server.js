@@ -6,70 +6,736 @@
 import Path from "path";
 import Cors from "cors";
 import Express from "express";
+import Multer from "multer";
+import Sharp from "sharp";
+import bwipjs from "bwip-js";
 import { Server as SocketServer } from "socket.io";
 import HTTP from "http";
-// Using Sharp for image processing
-import Sharp from "sharp";
 
-import { PTouch } from "./PTouch.js";
+import { PTouch, PrinterError } from "./PTouch.js";
 import { PTouchStatus } from "./PTouchStatus.js";
+import { Models } from "./Models.js";
+import { PrintQueue } from "./PrintQueue.js";
+import { PrinterRegistry } from "./PrinterRegistry.js";
+import { Emulator } from "./Emulator.js";
+import { SharpRows } from "./ImageRows.js";
+import { Monochrome } from "./Monochrome.js";
+import { TextLabel } from "./TextLabel.js";
+import { Barcode } from "./Barcode.js";
+import { Capture } from "./Capture.js";
 
 // Header for a base64 encoded PNG datUrl
 const PNGhead = "data:image/png;base64,";
 
 /**
- * A server for printing labels on a PTouch label printer.
+ * Types of image that can be uploaded for printing, mapped to the
+ * name Sharp gives the format.
+ * @private
+ */
+const IMAGE_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpeg",
+  "image/svg+xml": "svg",
+  "application/pdf": "pdf"
+};
+
+/**
+ * Largest image that can be uploaded, in bytes
+ * @private
+ */
+const MAX_UPLOAD = 20 * 1024 * 1024;
+
+/**
+ * Threshold used for uploaded images, which (unlike images from the
+ * UI) may have colours and shades of grey. See ImageRows.threshold.
+ * @private
+ */
+const UPLOAD_THRESHOLD = 128;
+
+/**
+ * An error in a request, sent with a 4xx HTTP status
+ * @private
+ */
+class RequestError extends Error {
+
+  /**
+   * @param {number} status the HTTP status
+   * @param {string} message the message
+   */
+  constructor(status, message) {
+    super(message);
+
+    /**
+     * HTTP status
+     * @member {number}
+     */
+    this.status = status;
+  }
+}
+
+/**
+ * Get the parameters of a request. They may be in the query, in a
+ * url-encoded or JSON body, or in the fields of a multipart upload.
+ * @param {Request} req the request
+ * @return {object} the parameters
+ * @private
+ */
+function requestParams(req) {
+  const body = req.body && !Buffer.isBuffer(req.body) ? req.body : {};
+  return { ...req.query, ...body };
+}
+
+/**
+ * Interpret a boolean request parameter, which may have come from a
+ * form ("true", "on") or from JSON.
+ * @param {string|boolean|undefined} value the parameter value
+ * @return {boolean|undefined} the boolean, or undefined if the
+ * parameter wasn't given
+ * @private
+ */
+function booleanParam(value) {
+  if (typeof value === "undefined" || typeof value === "boolean")
+    return value;
+  return value === "true" || value === "on" || value === "1";
+}
+
+/**
+ * Interpret a numeric request parameter.
+ * @param {object} params the request parameters
+ * @param {string} name name of the parameter
+ * @param {number} min smallest allowed value
+ * @param {number} max largest allowed value
+ * @param {boolean} integer true if the value must be a whole number
+ * @return {number|undefined} the number, or undefined if the
+ * parameter wasn't given
+ * @throws {RequestError} if the value isn't an allowed number
+ * @private
+ */
+function numberParam(params, name, min, max, integer) {
+  const value = params[name];
+  if (typeof value === "undefined" || value === "")
+    return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max
+      || (integer && !Number.isInteger(n)))
+    throw new RequestError(
+      400, `Bad ${name} "${value}", expected ${integer ? "a whole" : "a"} number from ${min} to ${max}`);
+  return n;
+}
+
+/**
+ * Get the options for PTouch.printRows() from a print or preview
+ * request.
+ * @param {object} params the request parameters
+ * @return {object} the options
+ * @throws {RequestError} if an option is bad
+ * @private
+ */
+function printOptions(params) {
+  return {
+    auto_cut: booleanParam(params.auto_cut),
+    half_cut: booleanParam(params.half_cut),
+    chain: booleanParam(params.chain),
+    cut_every: numberParam(params, "cut_every", 1, 99, true),
+    copies: numberParam(params, "copies", 1, 99, true),
+    margin_mm: numberParam(params, "margin_mm", 0, 127, false),
+    media_width_mm: numberParam(params, "media_width_mm", 0, 255, false)
+  };
+}
+
+/**
+ * Get the options for Monochrome.convert() from a print or preview
+ * request. Images are only converted if one of the parameters
+ * monochrome (the method), invert or gamma is given.
+ * @param {object} params the request parameters
+ * @param {number?} threshold the threshold parameter
+ * @param {boolean} two_colour true if the printer can print red
+ * @return {object?} the options, or undefined if the image isn't to
+ * be converted
+ * @throws {RequestError} if an option is bad
+ * @private
+ */
+function monochromeOptions(params, threshold, two_colour) {
+  const method = params.monochrome;
+  const invert = booleanParam(params.invert);
+  const gamma = numberParam(params, "gamma", 0.1, 10, false);
+  if (typeof method === "undefined" && typeof invert === "undefined"
+      && typeof gamma === "undefined")
+    return undefined;
+  if (typeof method !== "undefined" && !Monochrome.METHODS.includes(method))
+    throw new RequestError(
+      400, `Bad monochrome "${method}", expected one of ${Monochrome.METHODS.join(", ")}`);
+  return {
+    method: method,
+    threshold: threshold,
+    invert: invert,
+    gamma: gamma,
+    two_colour: two_colour
+  };
+}
+
+/**
+ * Get the encoded image sent in a print or preview request. It may be
+ * uploaded as the file "image" in a multipart form, sent as the body
+ * of the request with a Content-Type from IMAGE_TYPES, or sent as the
+ * parameter "png" holding a PNG dataurl (as the UI does).
+ * @param {Request} req the request
+ * @param {object} params the request parameters
+ * @return {object} { data: Buffer, uploaded: boolean } where uploaded
+ * is false if the image came from a dataurl (so is already black and
+ * white, see decodeImage)
+ * @throws {RequestError} if there's no image, or it's an unsupported type
+ * @private
+ */
+function imageData(req, params) {
+  if (req.file)
+    return { data: req.file.buffer, uploaded: true };
+  if (Buffer.isBuffer(req.body))
+    return { data: req.body, uploaded: true };
+  if (typeof params.png === "string") {
+    if (!params.png.startsWith(PNGhead))
+      throw new RequestError(400, "Bad image: png is not a PNG dataurl");
+    return {
+      data: Buffer.from(params.png.substr(PNGhead.length), 'base64'),
+      uploaded: false
+    };
+  }
+  const type = req.get("Content-Type");
+  if (type && !req.is("urlencoded", "json", "multipart"))
+    throw new RequestError(415, `Unsupported image type ${type}, expected one of ${Object.keys(IMAGE_TYPES).join(", ")}`);
+  throw new RequestError(400, "No image given; upload a file called image, send the image as the request body, or send a PNG dataurl in png");
+}
+
+/**
+ * Promise to draw the barcode asked for in a print or preview request,
+ * with modules sized in whole dots of the printer (see Barcode.draw()).
+ * Parameters are barcode (the type), barcode_text, and optionally
+ * module_mm and barcode_height_mm. Bars are as long as the tape is
+ * wide, unless barcode_height_mm is given.
+ * @param {object} params the request parameters
+ * @param {PTouchStatus} status the printer status
+ * @return {Promise.<object>} promise resolving to the encoded image,
+ * as for imageData(), or rejecting with a RequestError
+ * @private
+ */
+function barcodeImage(params, status) {
+  return Promise.resolve()
+  .then(() => {
+    if (!Barcode.TYPES.includes(params.barcode))
+      throw new RequestError(
+        400, `Bad barcode "${params.barcode}", expected one of ${Barcode.TYPES.join(", ")}`);
+    if (typeof params.barcode_text !== "string" || params.barcode_text === "")
+      throw new RequestError(400, "No barcode_text given");
+    const module_mm = numberParam(params, "module_mm", 0.05, 10, false);
+    const height_mm = numberParam(params, "barcode_height_mm", 1, 1000, false);
+    if (!(status.pixel_size_mm > 0))
+      throw new RequestError(
+        409, "The printer hasn't reported its resolution, so the barcode can't be sized");
+    let code;
+    try {
+      code = Barcode.draw(bwipjs, {
+        type: params.barcode,
+        text: params.barcode_text,
+        module_mm: module_mm,
+        height_mm: height_mm ?? status.printable_width_mm,
+        pixel_size_mm: status.pixel_size_mm,
+        pixel_length_mm: status.pixel_length_mm
+      });
+    } catch (e) {
+      throw new RequestError(400, e.message);
+    }
+    return new Sharp(Buffer.from(code.data.buffer), {
+      raw: { width: code.width, height: code.height, channels: 4 }
+    }).png().toBuffer();
+  })
+  .then(png => ({ data: png, uploaded: false }));
+}
+
+/**
+ * Promise to decode the image for a print or preview request. Only
+ * the encoded image is kept in memory; it is decoded once, to a
+ * temporary file, when it is first read, and read from that a band of
+ * rows at a time as it is printed (see SharpRows). Optional parameters rotation
+ * and threshold are passed to SharpRows.load(); uploaded images
+ * default to UPLOAD_THRESHOLD. The image may also be converted to
+ * black and white (see monochromeOptions).
+ * @param {object} image the encoded image, see imageData()
+ * @param {object} params the request parameters
+ * @param {boolean} two_colour true if the printer can print red
+ * @return {Promise.<SharpRows>} promise resolving to the rows of the
+ * image, ready for PTouch.printRows(), or rejecting with a RequestError
+ * @private
+ */
+function decodeImage(image, params, two_colour) {
+  const rotation = numberParam(params, "rotation", 0, 270, true);
+  if (typeof rotation !== "undefined" && rotation % 90 !== 0)
+    throw new RequestError(
+      400, `Bad rotation "${params.rotation}", expected 0, 90, 180 or 270`);
+  const threshold = numberParam(params, "threshold", 0, 255, false);
+  const monochrome = monochromeOptions(params, threshold, two_colour);
+  const { data, uploaded } = image;
+  if (data.subarray(0, 4).toString() === "%PDF" && !Sharp.format.pdf.input.buffer)
+    throw new RequestError(415, "PDF can't be printed, as this server's image library was built without PDF support");
+  return SharpRows.load(data, {
+    rotation: rotation,
+    threshold: threshold ?? (uploaded ? UPLOAD_THRESHOLD : undefined),
+    monochrome: monochrome
+  })
+  .catch(e => {
+    throw new RequestError(400, `Bad image: ${e.message}`);
+  })
+  .then(rows => {
+    if (!Object.values(IMAGE_TYPES).includes(rows.format))
+      throw new RequestError(415, `Unsupported image format ${rows.format}`);
+    if (rows.pages > 1)
+      throw new RequestError(400, `Image has ${rows.pages} pages, only single page images can be printed`);
+    return rows;
+  });
+}
+
+/**
+ * Promise to read the image and options from a print or preview
+ * request. The image is either sent (see imageData()), or is a
+ * barcode (see barcodeImage()).
+ * @param {Request} req the request
+ * @param {RegisteredPrinter} p the printer the request is for
+ * @return {Promise.<object>} promise resolving to { rows: SharpRows,
+ * options: object }, or rejecting with a RequestError
+ * @private
+ */
+function readPrintRequest(req, p) {
+  return Promise.resolve()
+  .then(() => {
+    const params = requestParams(req);
+    const options = printOptions(params);
+    const two_colour = p.printer.model.capabilities.two_colour === true;
+    const source = typeof params.barcode === "undefined"
+          ? Promise.resolve(imageData(req, params))
+          : barcodeImage(params, p.printer.status);
+    return source
+    .then(image => decodeImage(image, params, two_colour))
+    .then(rows => ({ rows: rows, options: options }));
+  });
+}
+
+/**
+ * Get the options for TextLabel.render() from a text print or preview
+ * request.
+ * @param {object} params the request parameters
+ * @return {object} the options
+ * @throws {RequestError} if an option is bad
+ * @private
+ */
+function textOptions(params) {
+  let text = params.text;
+  // JSON may give the lines as an array
+  if (Array.isArray(text))
+    text = text.join("\n");
+  if (typeof text !== "string" || text.trim() === "")
+    throw new RequestError(400, "No text given");
+  const family = params.font_family;
+  if (typeof family !== "undefined" && !/^[\w -]+$/.test(family))
+    throw new RequestError(400, `Bad font_family "${family}"`);
+  const align = params.align;
+  if (typeof align !== "undefined" && !TextLabel.ALIGNMENTS.includes(align))
+    throw new RequestError(
+      400, `Bad align "${align}", expected one of ${TextLabel.ALIGNMENTS.join(", ")}`);
+  return {
+    text: text,
+    font_family: family,
+    font_size: params.font_size === "fit"
+    ? "fit" : numberParam(params, "font_size", 1, 1000, false),
+    align: align,
+    border: numberParam(params, "border", 0, 100, true),
+    padding: numberParam(params, "padding_px", 0, 1000, true)
+  };
+}
+
+/**
+ * Promise to render the text and read the options from a text print
+ * or preview request. The label is sized for the tape the printer
+ * last reported.
+ * @param {Request} req the request
+ * @param {RegisteredPrinter} p the printer the request is for
+ * @return {Promise.<object>} promise resolving to { rows: SharpRows,
+ * options: object }, or rejecting with a RequestError
+ * @private
+ */
+function readTextRequest(req, p) {
+  return Promise.resolve()
+  .then(() => {
+    const params = requestParams(req);
+    const options = printOptions(params);
+    const text = textOptions(params);
+    const status = p.printer.status;
+    if (!(status.printable_width_px > 0))
+      throw new RequestError(
+        409, "The printer hasn't reported the tape loaded, so the text can't be sized");
+    text.height = status.printable_width_px;
+    // Pixels may be shorter along the tape than across it
+    text.stretch = status.pixel_size_mm / status.pixel_length_mm;
+    const two_colour = p.printer.model.capabilities.two_colour === true;
+    return TextLabel.render(text)
+    .then(png => decodeImage(
+      { data: png, uploaded: true }, params, two_colour))
+    .then(rows => ({ rows: rows, options: options }));
+  });
+}
+
+/**
+ * A server for printing labels on one or more PTouch label printers,
+ * each with its own name (see PrinterRegistry).
  * Routes:
  * - GET /<doc> - serve a static document
- * - GET /ajax/status - get printer status (returns a PTouchStatus)
- * - POST /ajax/print - print an image sent in a PNG dataurl,
- * - POST /ajax/eject?px=<px> - eject the tape so it can be cut
+ * - GET /ajax/models - get the descriptors of all known models
+ * - GET /ajax/printers - get the printers (see
+ *   RegisteredPrinter.toJSON())
+ * - GET /ajax/printers/:name/status - get printer status (returns a
+ *   PTouchStatus)
+ * - POST /ajax/printers/:name/print - queue an image for printing,
+ *   returns the PrintJob. The image (PNG, JPEG, SVG or a single page
+ *   PDF) can be uploaded as the file "image" in a multipart form, sent
+ *   as the request body, or sent as a PNG dataurl in the parameter
+ *   png. Optional parameters auto_cut, half_cut, chain, cut_every,
+ *   copies, margin_mm and media_width_mm are passed to
+ *   PTouch.printRows(), and rotation and threshold to SharpRows.load().
+ *   Optional parameters monochrome, invert and gamma convert the image
+ *   to black and white (see Monochrome.convert()). Instead of an
+ *   image, a barcode can be printed with parameter barcode (see
+ *   barcodeImage)
+ * - POST /ajax/printers/:name/preview - preview an image, with the
+ *   same parameters as print. Returns { pages: } with a PNG dataurl
+ *   of what each tape run would print (see POST_preview)
+ * - POST /ajax/printers/:name/print/text - queue text for printing,
+ *   rendered on the server to fit the tape. Parameters text,
+ *   font_family, font_size, align, border and padding_px (see
+ *   TextLabel.render()), and the same options as print
+ * - POST /ajax/printers/:name/preview/text - preview text, with the
+ *   same parameters as print/text
+ * - GET /ajax/printers/:name/jobs - get all known print jobs
+ * - GET /ajax/printers/:name/jobs/:id - get a print job
+ * - DELETE /ajax/printers/:name/jobs/:id - cancel a print job that
+ *   is queued, or still being sent
+ * - POST /ajax/printers/:name/jobs/:id/replay - re-send a captured
+ *   print job (see Capture), to this printer or the one named in the
+ *   optional parameter printer. Returns the new PrintJob.
+ * - POST /ajax/printers/:name/eject?px=<px> - eject the tape so it can
+ *   be cut
+ * The printer routes are also available without /printers/:name (e.g.
+ * /ajax/status), for the default printer.
+ * Errors are sent as { message:, errors: } where errors are the
+ * errors reported by the printer (see PTouchStatus.errors).
+ * Status and job events are sent on the socket with the name of the
+ * printer as a second argument.
  */
 class Server {
 
+  /**
+   * Send an error response, with an HTTP status that reflects the
+   * cause: 503 if the printer reported an error (e.g. "No media",
+   * "Cover open") or is offline, 504 if it didn't report at all, 409
+   * if the label was designed for different tape, the status of a
+   * RequestError (e.g. 400 for a bad parameter), and 500 otherwise.
+   * @param {Response} res the response
+   * @param {Error} e the error
+   * @private
+   */
+  sendError(res, e) {
+    let code = 500;
+    if (e instanceof PrinterError) {
+      switch (e.code) {
+      case PrinterError.TIMEOUT: code = 504; break;
+      case PrinterError.MEDIA_MISMATCH: code = 409; break;
+      default: code = 503;
+      }
+    } else if (e instanceof RequestError)
+      code = e.status;
+    this.debug(`Server: ${code} ${e.message}`);
+    res.status(code).send({ message: e.message, errors: e.errors ?? [] });
+  }
+
+  /**
+   * Find the printer a request is for, and pass it to a handler.
+   * Requests for unknown printers get a 404.
+   * @param {Request} req the request
+   * @param {Response} res the response
+   * @param {function} handler function passed the RegisteredPrinter
+   * @private
+   */
+  withPrinter(req, res, handler) {
+    const name = req.params.name;
+    const p = typeof name === "undefined"
+          ? this.printers.default() : this.printers.get(name);
+    if (p)
+      handler(p);
+    else
+      res.status(404).send({ message: `No such printer ${name}`, errors: [] });
+  }
+
   /**
    * Handle an incoming print request. The image to be printed is assumed
    * to have the long edge along the X-axis. It can be wider than the tape
-   * width, in which case it will be broken up into tape runs.
+   * width, in which case it will be broken up into tape runs. The image
+   * is added to the print queue, and the new PrintJob is returned with
+   * status 202; progress can be followed with GET /ajax/jobs/:id or
+   * PrintQueue.JOB_EVENT on the socket. If the printer is reporting
+   * errors, or the label was designed for different tape, the job is
+   * refused.
    * @private
    */
-  POST_print(req, res) {
-    // Reconstruct a Buffer from the dataUrl
-    const buff = Buffer.from(
-      req.body.png.substr(PNGhead.length), 'base64');
-    const sim = new Sharp(buff);
-    sim
-    .rotate(90)
-    .raw()
-    .toBuffer({ resolveWithObject: true })
-    .then(({ data, info }) =>
-      this.printer.printImage(data, info.width, info.height, info.channels))
-    .then(() => res.status(200).send("Printed"));
+  POST_print(p, req, res) {
+    this.print(p, readPrintRequest(req, p), res);
+  }
+
+  /**
+   * Handle a request to print text, rendered on the server (see
+   * TextLabel) to fit the tape the printer last reported. Otherwise
+   * the same as POST_print.
+   * @private
+   */
+  POST_print_text(p, req, res) {
+    this.print(p, readTextRequest(req, p), res);
+  }
+
+  /**
+   * Queue a print job, and send it in the response.
+   * @param {RegisteredPrinter} p the printer
+   * @param {Promise} request promise resolving to the image and
+   * options, see readPrintRequest()
+   * @param {Response} res the response
+   * @private
+   */
+  print(p, request, res) {
+    request
+    .then(({ rows, options }) => this.checkPrinter(p)
+          .then(() => p.printer.checkMedia(options.media_width_mm))
+          .then(() => {
+            const job = p.queue.addRows(rows, options);
+            res.status(202).send(job);
+          }))
+    .catch(e => this.sendError(res, e));
+  }
+
+  /**
+   * Handle a preview request. The image is put through exactly the
+   * same steps as a print (see preview()), and the rasters are
+   * decoded back into a PNG image for each tape run, so what is shown
+   * is what the printer would print, margins and padding included.
+   * One pixel is shown for each pin across the tape, and for each
+   * raster along it. The printer itself isn't used, so a label can
+   * be previewed while the printer is busy or offline.
+   * @private
+   */
+  POST_preview(p, req, res) {
+    this.sendPreview(p, readPrintRequest(req, p), res);
+  }
+
+  /**
+   * Handle a request to preview text, with the same parameters as
+   * POST_print_text.
+   * @private
+   */
+  POST_preview_text(p, req, res) {
+    this.sendPreview(p, readTextRequest(req, p), res);
+  }
+
+  /**
+   * Preview a print, and send the pages in the response.
+   * @param {RegisteredPrinter} p the printer
+   * @param {Promise} request promise resolving to the image and
+   * options, see readPrintRequest()
+   * @param {Response} res the response
+   * @private
+   */
+  sendPreview(p, request, res) {
+    request
+    .then(({ rows, options }) => this.preview(p, rows, options))
+    .then(pages => res.status(200).send({
+      pages: pages.map(png => PNGhead + png.toString("base64"))
+    }))
+    .catch(e => this.sendError(res, e));
+  }
+
+  /**
+   * Promise to print an image on an Emulator of a printer, with the
+   * media the printer last reported and the same settings, and get
+   * the pages it renders.
+   * @param {RegisteredPrinter} p the printer
+   * @param {ImageRows} rows the rows of the image
+   * @param {object} options print options, see PTouch.printRows()
+   * @return {Promise.<Buffer[]>} promise resolving to a PNG image of
+   * each tape run, or rejecting with a PrinterError (e.g. if the
+   * label was designed for different tape)
+   * @private
+   */
+  preview(p, rows, options) {
+    const status = p.printer.status;
+    const emu = new Emulator({
+      model: p.printer.model,
+      media_width_mm: status.media_width_mm,
+      media_type: status.media_type,
+      media_length_mm: status.media_length_mm,
+      debug: this.debug
+    });
+    const printer = new PTouch({
+      device: emu.transport(),
+      model: p.printer.model,
+      compression: p.printer.compression,
+      high_resolution: p.printer.high_resolution,
+      timeout: p.printer.timeout,
+      reconnect: 0,
+      debug: this.debug
+    });
+    return printer.printRows(rows, options)
+    .then(() => emu.rendered())
+    .finally(() => {
+      printer.close();
+      return rows.close();
+    });
+  }
+
+  /**
+   * Promise to check the printer is online and isn't reporting
+   * errors. The last status may be out of date (e.g. the cover has
+   * since been closed), so if it has errors a fresh status is requested.
+   * @param {RegisteredPrinter} p the printer
+   * @return {Promise} Promise that resolves to undefined, or rejects
+   * with a PrinterError
+   * @private
+   */
+  checkPrinter(p) {
+    if (!p.printer.status.online)
+      return Promise.reject(
+        new PrinterError(PrinterError.OFFLINE, p.printer.status));
+    if (p.printer.status.errors.length === 0)
+      return Promise.resolve();
+    return p.printer.requestStatus()
+    .then(status => {
+      if (status.errors.length > 0)
+        throw new PrinterError(PrinterError.PRINTER_ERROR, status);
+    });
+  }
+
+  /**
+   * Handle a request for all known print jobs.
+   * @private
+   */
+  GET_jobs(p, req, res) {
+    res.status(200).send(p.queue.all());
+  }
+
+  /**
+   * Handle a request for a single print job.
+   * @private
+   */
+  GET_job(p, req, res) {
+    const job = p.queue.get(parseInt(req.params.id));
+    if (job)
+      res.status(200).send(job);
+    else
+      this.sendError(res, new RequestError(404, `No such job ${req.params.id}`));
+  }
+
+  /**
+   * Cancel a print job. Only jobs that are queued, or still being
+   * sent to the printer, can be cancelled. A job being sent is
+   * returned before it has stopped; it becomes CANCELLED once the
+   * printer has been cleared (see PrintQueue.cancel()).
+   * @private
+   */
+  DELETE_job(p, req, res) {
+    const job = p.queue.get(parseInt(req.params.id));
+    if (!job)
+      this.sendError(res, new RequestError(404, `No such job ${req.params.id}`));
+    else if (p.queue.cancel(job.id))
+      res.status(200).send(job);
+    else
+      this.sendError(res, new RequestError(409, `Job ${job.id} is ${job.state}`));
+  }
+
+  /**
+   * Re-send the bytes captured when a job was printed, as a new job.
+   * The job must have been captured (see PrintQueue), and must still
+   * be remembered. The new job is queued on the printer named in the
+   * optional parameter printer, or on the same printer. The data is
+   * sent as-is, so it is up to the caller to pick a printer that will
+   * understand it. Returns the new PrintJob with status 202.
+   * @private
+   */
+  POST_replay(p, req, res) {
+    const job = p.queue.get(parseInt(req.params.id));
+    if (!job) {
+      this.sendError(res, new RequestError(404, `No such job ${req.params.id}`));
+      return;
+    }
+    if (!job.capture) {
+      this.sendError(res, new RequestError(409, `Job ${job.id} wasn't captured`));
+      return;
+    }
+    const name = req.body?.printer;
+    const target = name ? this.printers.get(name) : p;
+    if (!target) {
+      this.sendError(res, new RequestError(404, `No such printer ${name}`));
+      return;
+    }
+    this.checkPrinter(target)
+    .then(() => Capture.load(job.capture))
+    .then(capture => res.status(202).send(target.queue.replay(capture)))
+    .catch(e => this.sendError(res, e));
   }
 
   /**
    * Handle a request for the current printer status.
    * @private
    */
-  GET_status(req, res) {
-    res.status(200).send(this.printer.status);
+  GET_status(p, req, res) {
+    res.status(200).send(p.printer.status);
+  }
+
+  /**
+   * Handle a request for the printers
+   * @private
+   */
+  GET_printers(req, res) {
+    res.status(200).send(this.printers.all());
+  }
+
+  /**
+   * Get the descriptors of all known models
+   * @private
+   */
+  GET_models(req, res) {
+    res.status(200).send(Models.all());
   }
 
   /**
    * Eject the tape from the printer
    * @private
    */
-  POST_eject(req, res) {
+  POST_eject(p, req, res) {
     const px = req.query.px;
-    this.printer.eject(parseInt(px))
-    .then(() => res.status(200).send(`Ejected ${px} rasters!`));
+    this.checkPrinter(p)
+    .then(() => p.printer.eject(parseInt(px)))
+    .then(() => res.status(200).send(`Ejected ${px} rasters!`))
+    .catch(e => this.sendError(res, e));
   }
 
   /**
    * @param {object} params
+   * @param {PrinterRegistry?} params.printers the printers to serve.
+   * If not given, a single printer called "default" is served, as
+   * described by the following params.
    * @param {Model?} params.model printer model, required if write_only
-   * @param {string} params.device device name (e.g. /dev/usb/lp0) 
+   * @param {string} params.device device name (e.g. /dev/usb/lp0),
+   * network printer address (e.g. tcp://host:9100) or "auto" for the
+   * first Brother printer found on USB
    * @param {boolean?} params.write_only disable bidirectional comms
+   * @param {number?} params.timeout ms to wait for the printer to
+   * report progress while printing
+   * @param {boolean?} params.high_resolution print at twice the
+   * resolution along the tape, if the printer supports it
+   * @param {string?} params.capture directory to capture jobs in
+   * (see Capture), undefined to not capture
    * @param {function?} params.debug debug print function
    */
   constructor(params = {}) {
@@ -78,11 +744,15 @@ class Server {
     this.debug = params.debug ?? function() {};
 
     /**
-     * The printer
-     * @member {PTouch}
+     * The printers
+     * @member {PrinterRegistry}
      * @private
      */
-    this.printer = new PTouch(params);
+    this.printers = params.printers;
+    if (!this.printers) {
+      this.printers = new PrinterRegistry(this.debug);
+      this.printers.add("default", params);
+    }
 
     /* c8 ignore start */
     process.on("unhandledRejection", reason => {
@@ -131,19 +801,52 @@ class Server {
         }
       ));
 
-    cmdRouter.post(
-      "/ajax/print",
-      (req, res) => this.POST_print(req, res));
+    cmdRouter.get(
+      "/ajax/models",
+      (req, res) => this.GET_models(req, res));
 
     cmdRouter.get(
-      "/ajax/status",
-      (req, res) => this.GET_status(req, res));
+      "/ajax/printers",
+      (req, res) => this.GET_printers(req, res));
 
-    cmdRouter.post(
-      "/ajax/eject",
-      (req, res) => this.POST_eject(req, res));
+    // Routes for a single printer, mounted below
+    const printerRouter = Express.Router({ mergeParams: true });
+    const route = handler => (req, res) => this.withPrinter(
+      req, res, p => handler.call(this, p, req, res));
+
+    // Images can be uploaded in a multipart form, or as the body of
+    // the request, as well as in a dataurl
+    const upload = [
+      Multer({
+        storage: Multer.memoryStorage(),
+        limits: { fileSize: MAX_UPLOAD, files: 1 }
+      }).single("image"),
+      Express.raw({ type: Object.keys(IMAGE_TYPES), limit: MAX_UPLOAD })
+    ];
+    printerRouter.post("/print", upload, route(this.POST_print));
+    printerRouter.post("/preview", upload, route(this.POST_preview));
+    printerRouter.post("/print/text", route(this.POST_print_text));
+    printerRouter.post("/preview/text", route(this.POST_preview_text));
+    printerRouter.get("/jobs", route(this.GET_jobs));
+    printerRouter.get("/jobs/:id", route(this.GET_job));
+    printerRouter.delete("/jobs/:id", route(this.DELETE_job));
+    printerRouter.post("/jobs/:id/replay", route(this.POST_replay));
+    printerRouter.get("/status", route(this.GET_status));
+    printerRouter.post("/eject", route(this.POST_eject));
 
     this.express.use(cmdRouter);
+    this.express.use("/ajax/printers/:name", printerRouter);
+    // The default printer
+    this.express.use("/ajax", printerRouter);
+
+    // Errors from parsing requests, e.g. an upload that is too big
+    this.express.use((err, req, res, next) => {
+      let code = err.status ?? 500;
+      if (err instanceof Multer.MulterError)
+        code = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      this.debug(`Server: ${code} ${err.message}`);
+      res.status(code).send({ message: err.message, errors: [] });
+    });
   }
 
   /**
@@ -152,23 +855,42 @@ class Server {
    * @param {string} host host name
    */
   listen(port = 9094, host = "localhost") {
-    // Don't start the server until the printer has successfully been
-    // initialised
-    this.debug("Initialising printer");
-    this.printer.initialise()
-    .then(() => {
-      console.log("Status", PTouchStatus.Phase[this.printer.status.phase]);
-      // Could also use HTTPS, but why bother?
-      const protocol = HTTP.Server(this.express);
-      const io = new SocketServer(protocol);
+    // Could also use HTTPS, but why bother?
+    const protocol = HTTP.Server(this.express);
+    const io = new SocketServer(protocol);
+    for (const p of this.printers.all()) {
+      let online = p.printer.status.online;
       // broadcast phase changes to all listeners
-      this.printer.on(PTouchStatus.UPDATE_EVENT,
-                      state => {
-                        console.log(PTouchStatus.Phase[state.phase]);
-                        io.emit(PTouchStatus.UPDATE_EVENT, state);
-                      });
-      protocol.listen(port, host);
-    });
+      p.printer.on(PTouchStatus.UPDATE_EVENT,
+                   state => {
+                     // Status is polled, so only log comings and goings
+                     if (state.online !== online)
+                       console.log(p.name, state.online
+                                   ? "is online" : "is offline");
+                     online = state.online;
+                     this.debug(p.name, state.online
+                                ? PTouchStatus.Phase[state.phase] : "offline");
+                     io.emit(PTouchStatus.UPDATE_EVENT, state, p.name);
+                   });
+      // broadcast printer errors
+      p.printer.on(PTouchStatus.ERROR_EVENT,
+                   state => io.emit(PTouchStatus.ERROR_EVENT, state, p.name));
+      // broadcast job progress
+      p.queue.on(PrintQueue.JOB_EVENT,
+                 job => io.emit(PrintQueue.JOB_EVENT, job.toJSON(), p.name));
+    }
+
+    // Don't wait for the printers; a printer that can't be
+    // initialised is offline until it is plugged in, when PTouch
+    // initialises it again.
+    this.debug("Initialising printers");
+    for (const p of this.printers.all())
+      p.printer.initialise()
+      .then(() => console.log(
+        p.name, "status", PTouchStatus.Phase[p.printer.status.phase]),
+            e => console.error(p.name, "is offline", e.message));
+
+    protocol.listen(port, host);
   }
 }
 
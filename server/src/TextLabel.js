@@ -0,0 +1,129 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+/* global Buffer */
+
+import Sharp from "sharp";
+
+/**
+ * Width given to Pango when fitting text to the height of the label,
+ * so that only the height limits the size of the text.
+ */
+const FIT_WIDTH = 100000;
+
+/**
+ * Alignments, mapped to the names Sharp gives them
+ */
+const ALIGN = {
+  left: "left",
+  centre: "centre",
+  center: "centre",
+  right: "right"
+};
+
+/**
+ * Make a string safe to use in Pango markup
+ * @param {string} text the string
+ * @return {string} the string with markup characters escaped
+ * @private
+ */
+function escape(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;");
+}
+
+/**
+ * Labels made from text, rendered on the server so labels can be
+ * printed without the browser UI. The text is rendered by Sharp
+ * (using Pango), black on a transparent background, with the long
+ * edge of the label across the image, as the UI draws labels.
+ */
+class TextLabel {
+
+  /**
+   * Alignments that can be given to render()
+   */
+  static ALIGNMENTS = Object.keys(ALIGN);
+
+  /**
+   * Promise to render text as a label.
+   * @param {object} options options
+   * @param {string} options.text the text. Lines are separated by
+   * newlines.
+   * @param {number} options.height height of the label in pixels,
+   * normally the printable width of the tape. The label is taller if
+   * the text doesn't fit, and is then printed on several tape runs.
+   * @param {string?} options.font_family font family, optionally with
+   * a style e.g. "DejaVu Serif Bold" (default "sans")
+   * @param {number|string?} options.font_size font size in pixels, or
+   * "fit" to make the text as big as will fit in the height of the
+   * label (the default)
+   * @param {string?} options.align alignment of the lines, one of
+   * TextLabel.ALIGNMENTS (default "left")
+   * @param {number?} options.border width in pixels of a border
+   * around the label (default 0, no border)
+   * @param {number?} options.padding pixels between the text and the
+   * edges of the label (or the border) (default 0)
+   * @param {number?} options.stretch factor to stretch the label along
+   * the tape, for printers whose pixels are shorter along the tape
+   * than across it (default 1)
+   * @return {Promise.<Buffer>} promise resolving to a PNG image of the
+   * label
+   */
+  static render(options) {
+    const border = options.border ?? 0;
+    const padding = options.padding ?? 0;
+    const inset = border + padding;
+    const family = options.font_family ?? "sans";
+    const fit = (options.font_size ?? "fit") === "fit";
+    const text = {
+      text: escape(options.text),
+      align: ALIGN[options.align ?? "left"],
+      rgba: true
+    };
+    if (fit) {
+      text.font = family;
+      text.width = FIT_WIDTH;
+      text.height = Math.max(1, options.height - 2 * inset);
+    } else {
+      text.font = `${family} ${options.font_size}px`;
+    }
+
+    return new Sharp({ text: text }).png()
+    .toBuffer({ resolveWithObject: true })
+    .then(({ data, info }) => {
+      const width = info.width + 2 * inset;
+      const height = Math.max(options.height, info.height + 2 * inset);
+      const layers = [ {
+        input: data,
+        left: inset,
+        top: Math.floor((height - info.height) / 2)
+      } ];
+      if (border > 0)
+        layers.push({
+          input: Buffer.from(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+            + `<rect x="${border / 2}" y="${border / 2}" width="${width - border}"`
+            + ` height="${height - border}" fill="none" stroke="black"`
+            + ` stroke-width="${border}"/></svg>`),
+          left: 0,
+          top: 0
+        });
+      const label = new Sharp({
+        create: {
+          width: width, height: height, channels: 4,
+          background: { r: 255, g: 255, b: 255, alpha: 0 }
+        }
+      }).composite(layers).png();
+      const stretch = options.stretch ?? 1;
+      if (stretch === 1)
+        return label.toBuffer();
+      // Resizing can't follow compositing in the same pipeline
+      return label.toBuffer()
+      .then(png => new Sharp(png)
+            .resize(Math.round(width * stretch), height, { fit: "fill" })
+            .png().toBuffer());
+    });
+  }
+}
+
+export { TextLabel }
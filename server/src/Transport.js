@@ -0,0 +1,389 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node */
+/* global Buffer */
+
+import { promises as Fs } from "node:fs";
+import Net from "node:net";
+
+import { Discovery } from "./Discovery.js";
+
+// Devices opened by AutoTransports, so two printers configured as
+// "auto" don't both open the same device
+const claimed = new Set();
+
+/**
+ * Base class of transports, which carry bytes to and from a printer.
+ * Subclasses must implement open(), write(), read() and close().
+ */
+class Transport {
+
+  /**
+   * Promise to open the transport.
+   * @param {boolean} write_only true if the transport will only
+   * be written to
+   * @return {Promise} promise that resolves to undefined
+   */
+  /* c8 ignore next 3 */
+  open() {
+    return Promise.reject(new Error("Transport: open() not implemented"));
+  }
+
+  /**
+   * Promise to write data to the printer.
+   * @param {Buffer} data data to write
+   * @return {Promise} promise that resolves to undefined
+   */
+  /* c8 ignore next 3 */
+  write() {
+    return Promise.reject(new Error("Transport: write() not implemented"));
+  }
+
+  /**
+   * Promise to read whatever data is available from the printer.
+   * @return {Promise.<Buffer>} promise that resolves to the data
+   * read, which may be empty.
+   */
+  /* c8 ignore next 3 */
+  read() {
+    return Promise.reject(new Error("Transport: read() not implemented"));
+  }
+
+  /**
+   * Promise to close the transport.
+   * @return {Promise} promise that resolves to undefined
+   */
+  close() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Construct a transport for a device
+   * @param {string|Transport} device a Transport, or a device
+   * description. This can be "tcp://host:port" for a network printer
+   * (the port defaults to 9100), "auto" for the first Brother printer
+   * found on USB (see AutoTransport), otherwise it is taken to be the
+   * path to a device or file.
+   * @return {Transport} the transport
+   */
+  static fromDevice(device) {
+    if (device instanceof Transport)
+      return device;
+    if (device === "auto")
+      return new AutoTransport();
+    if (/^tcp:\/\//.test(device)) {
+      const url = new URL(device);
+      return new TcpTransport(url.hostname, url.port || 9100);
+    }
+    return new FileTransport(device);
+  }
+}
+
+/**
+ * Transport that reads and writes a file, such as a character
+ * device like /dev/usb/lp0
+ */
+class FileTransport extends Transport {
+
+  /**
+   * @param {string} path path to the file
+   */
+  constructor(path) {
+    super();
+
+    /**
+     * Path to the file
+     * @member {string}
+     */
+    this.path = path;
+  }
+
+  /**
+   * @override
+   */
+  open(write_only) {
+    return Fs.open(this.path, write_only ? "w" : "r+")
+    .then(fd => { this.fd = fd; });
+  }
+
+  /**
+   * @override
+   */
+  write(data) {
+    return this.fd.write(data).then(() => undefined);
+  }
+
+  /**
+   * @override
+   */
+  read() {
+    return this.fd.read()
+    .then(res => res.buffer.subarray(0, res.bytesRead));
+  }
+
+  /**
+   * @override
+   */
+  close() {
+    const fd = this.fd;
+    this.fd = undefined;
+    return fd ? fd.close() : Promise.resolve();
+  }
+
+  toString() {
+    return this.path;
+  }
+}
+
+/**
+ * Transport for a USB printer that is found when the transport is
+ * opened (see Discovery), so a printer that has been unplugged can be
+ * found again even if it comes back as a different device. Devices
+ * already opened by another AutoTransport are skipped.
+ */
+class AutoTransport extends FileTransport {
+
+  /**
+   * @param {string?} sysfs root of sysfs (default Discovery.sysfs)
+   * @param {string?} dev root of the device tree (default Discovery.dev)
+   */
+  constructor(sysfs, dev) {
+    super(undefined);
+
+    /**
+     * Root of sysfs, undefined for the Discovery default
+     * @private
+     */
+    this.sysfs = sysfs;
+
+    /**
+     * Root of the device tree, undefined for the Discovery default
+     * @private
+     */
+    this.dev = dev;
+  }
+
+  /**
+   * @override
+   */
+  open(write_only) {
+    return Discovery.scan(this.sysfs, this.dev)
+    .then(found => {
+      const d = found.find(d => !claimed.has(d.device));
+      if (!d)
+        throw new Error("Transport: No printer found");
+      this.path = d.device;
+      claimed.add(this.path);
+      return super.open(write_only)
+      .catch(e => {
+        claimed.delete(this.path);
+        throw e;
+      });
+    });
+  }
+
+  /**
+   * @override
+   */
+  close() {
+    claimed.delete(this.path);
+    return super.close();
+  }
+
+  toString() {
+    return this.path ? `auto (${this.path})` : "auto";
+  }
+}
+
+/**
+ * Transport for a network printer that accepts raw print data on a
+ * TCP port (usually 9100)
+ */
+class TcpTransport extends Transport {
+
+  /**
+   * ms close() waits for data still being sent before giving up on it,
+   * e.g. because the printer has stopped reading
+   */
+  static CLOSE_TIMEOUT = 5000;
+
+  /**
+   * @param {string} host host name
+   * @param {number} port port number
+   */
+  constructor(host, port = 9100) {
+    super();
+
+    /**
+     * Printer host name
+     * @member {string}
+     */
+    this.host = host;
+
+    /**
+     * Printer port
+     * @member {number}
+     */
+    this.port = Number(port);
+
+    /**
+     * Data received but not read yet
+     * @private
+     */
+    this.received = [];
+  }
+
+  /**
+   * @override
+   */
+  open() {
+    this.error = undefined;
+    this.received = [];
+    return new Promise((resolve, reject) => {
+      const socket = Net.connect(this.port, this.host);
+      socket.once("error", reject);
+      socket.once("connect", () => {
+        socket.off("error", reject);
+        // Remember errors so they can be reported on the next read
+        socket.on("error", e => this.error = e);
+        // The printer may go away (e.g. switched off) without an
+        // error. Not if the socket was closed by close().
+        socket.on("close", () => {
+          if (this.socket === socket)
+            this.error ??= new Error("Transport: Connection closed by printer");
+        });
+        socket.on("data", data => this.received.push(data));
+        this.socket = socket;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @override
+   */
+  write(data) {
+    if (!this.socket)
+      return Promise.reject(new Error(`Transport: ${this} is not open`));
+    if (this.error)
+      return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.socket.write(
+      data, e => e ? reject(e) : resolve()));
+  }
+
+  /**
+   * @override
+   */
+  read() {
+    if (this.error)
+      return Promise.reject(this.error);
+    const data = Buffer.concat(this.received);
+    this.received = [];
+    return Promise.resolve(data);
+  }
+
+  /**
+   * @override
+   */
+  close() {
+    const socket = this.socket;
+    this.socket = undefined;
+    if (!socket || socket.destroyed)
+      return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => socket.destroy(),
+                               TcpTransport.CLOSE_TIMEOUT);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      // An error destroys the socket, which closes it without ending it
+      socket.once("close", done);
+      socket.end(done);
+    });
+  }
+
+  toString() {
+    return `tcp://${this.host}:${this.port}`;
+  }
+}
+
+/**
+ * Transport that keeps everything in memory, for testing. Data written
+ * is recorded, and data to be read is supplied using push().
+ */
+class MemoryTransport extends Transport {
+
+  /**
+   * @param {function?} onWrite optional function called with each
+   * Buffer written
+   */
+  constructor(onWrite) {
+    super();
+
+    /**
+     * Optional function called with each Buffer written
+     * @private
+     */
+    this.onWrite = onWrite;
+
+    /**
+     * Buffers written to the transport
+     * @member {Buffer[]}
+     */
+    this.written = [];
+
+    /**
+     * Data waiting to be read
+     * @private
+     */
+    this.received = [];
+  }
+
+  /**
+   * Get everything written so far
+   * @return {Buffer} all the data written
+   */
+  get data() {
+    return Buffer.concat(this.written);
+  }
+
+  /**
+   * Supply data to be returned by read()
+   * @param {Buffer} data data for reading
+   */
+  push(data) {
+    this.received.push(data);
+  }
+
+  /**
+   * @override
+   */
+  open() {
+    return Promise.resolve();
+  }
+
+  /**
+   * @override
+   */
+  write(data) {
+    this.written.push(data);
+    if (this.onWrite)
+      this.onWrite(data);
+    return Promise.resolve();
+  }
+
+  /**
+   * @override
+   */
+  read() {
+    const data = Buffer.concat(this.received);
+    this.received = [];
+    return Promise.resolve(data);
+  }
+
+  toString() {
+    return "memory";
+  }
+}
+
+export { Transport, FileTransport, AutoTransport, TcpTransport, MemoryTransport }
@@ -0,0 +1,104 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import bwipjs from "bwip-js";
+import { Barcode } from "../src/Barcode.js";
+
+// Dot sizes at 180 and 360 dpi
+const DOT_180 = 25.4 / 180, DOT_360 = 25.4 / 360;
+
+/**
+ * Get a row of the image as a string, "#" for black, "." for blank
+ */
+function row(code, y) {
+  let s = "";
+  for (let x = 0; x < code.width; x++)
+    s += code.data[(y * code.width + x) * 4 + 3] === 255 ? "#" : ".";
+  return s;
+}
+
+/**
+ * Draw a row of a linear code as row() would get it
+ */
+function bars(sbs, dots, quiet) {
+  const blank = ".".repeat(quiet * dots);
+  return blank + sbs.map((w, i) => (i % 2 === 0 ? "#" : ".").repeat(w * dots))
+  .join("") + blank;
+}
+
+describe("Barcode", () => {
+
+  it("dots", () => {
+    assert.equal(Barcode.dots(0.3, DOT_180), 2);
+    assert.equal(Barcode.dots(0.5, DOT_180), 4);
+    assert.equal(Barcode.dots(0.5, DOT_360), 7);
+    assert.equal(Barcode.dots(0.01, DOT_180), 1);
+  });
+
+  it("linear", () => {
+    const sbs = bwipjs.raw("code128", "ASSET-0042", "")[0].sbs;
+    const modules = sbs.reduce((a, b) => a + b, 0);
+    const code = Barcode.draw(bwipjs, {
+      type: "code128", text: "ASSET-0042", module_mm: 0.5,
+      height_mm: 5, pixel_size_mm: DOT_180
+    });
+    // 4 dots to a module, with 10 modules quiet zone each side
+    assert.equal(code.width, (modules + 20) * 4);
+    assert.equal(code.height, Math.round(5 / DOT_180));
+    assert.equal(code.data.length, code.width * code.height * 4);
+    const first = row(code, 0);
+    // Every row is the same
+    assert.equal(row(code, code.height - 1), first);
+    assert.equal(first, bars(sbs, 4, 10));
+    // Bars are opaque black
+    const x = first.indexOf("#");
+    assert.deepEqual([ ...code.data.subarray(x * 4, x * 4 + 4) ],
+                     [ 0, 0, 0, 255 ]);
+  });
+
+  it("high resolution", () => {
+    // Dots are half as long along the tape
+    const code = Barcode.draw(bwipjs, {
+      type: "code39", text: "A1", module_mm: 0.5, height_mm: 5,
+      pixel_size_mm: DOT_180, pixel_length_mm: DOT_360
+    });
+    const sbs = bwipjs.raw("code39", "A1", "")[0].sbs;
+    assert.equal(row(code, 0), bars(sbs, 7, 10));
+    assert.equal(code.height, Math.round(5 / DOT_180));
+  });
+
+  it("2D", () => {
+    for (const type of [ "qr", "datamatrix" ]) {
+      const encoder = type === "qr" ? "qrcode" : type;
+      const raw = bwipjs.raw(encoder, "ASSET-0042", "")[0];
+      const quiet = type === "qr" ? 4 : 1;
+      const code = Barcode.draw(bwipjs, {
+        type: type, text: "ASSET-0042", module_mm: 0.3,
+        pixel_size_mm: DOT_180
+      });
+      assert.equal(code.width, (raw.pixx + 2 * quiet) * 2, type);
+      assert.equal(code.height, (raw.pixy + 2 * quiet) * 2, type);
+      // Each module is 2x2 dots
+      for (let y = 0; y < raw.pixy; y++)
+        for (let x = 0; x < raw.pixx; x++) {
+          const dark = raw.pixs[y * raw.pixx + x] === 1;
+          for (const [ dx, dy ] of [ [ 0, 0 ], [ 1, 0 ], [ 0, 1 ], [ 1, 1 ] ]) {
+            const px = (x + quiet) * 2 + dx, py = (y + quiet) * 2 + dy;
+            assert.equal(code.data[(py * code.width + px) * 4 + 3] === 255,
+                         dark, `${type} ${x},${y}`);
+          }
+        }
+      // Quiet zone is blank
+      assert.notInclude(row(code, 0), "#");
+    }
+  });
+
+  it("errors", () => {
+    assert.throws(() => Barcode.draw(bwipjs, {
+      type: "upc", text: "1", pixel_size_mm: DOT_180
+    }), /Unknown type upc/);
+    assert.throws(() => Barcode.draw(bwipjs, {
+      type: "ean13", text: "123", pixel_size_mm: DOT_180
+    }), /Can't encode "123" as ean13/);
+  });
+});
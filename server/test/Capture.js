@@ -0,0 +1,162 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+import { assert } from "chai";
+import tmp from 'tmp-promise';
+import Sharp from "sharp";
+import { PTouch } from "../src/PTouch.js";
+import { PrintJob, PrintQueue } from "../src/PrintQueue.js";
+import { Emulator } from "../src/Emulator.js";
+import { Capture } from "../src/Capture.js";
+import { fromBinary } from "../src/Readable.js";
+
+// 4x3 image with a black diagonal
+const img = Buffer.alloc(4 * 3 * 4);
+for (let i = 0; i < 3; i++)
+  img[(i * 4 + i) * 4 + 3] = 255;
+
+/**
+ * Promise that resolves when a job is finished.
+ */
+function finished(queue, job) {
+  return new Promise(resolve => {
+    const check = () => {
+      if (job.isFinished()) {
+        queue.off(PrintQueue.JOB_EVENT, check);
+        resolve(job);
+      }
+    };
+    queue.on(PrintQueue.JOB_EVENT, check);
+    check();
+  });
+}
+
+describe("Capture", () => {
+
+  it("capture and replay", () => {
+    const emu1 = new Emulator({ model: "PT-P700" });
+    const printer1 = new PTouch({ device: emu1.transport() });
+    const emu2 = new Emulator({ model: "PT-P700" });
+    const printer2 = new PTouch({ device: emu2.transport() });
+    let dir, queue1, queue2, original;
+    return tmp.dir({ unsafeCleanup: true })
+    .then(d => {
+      dir = d;
+      queue1 = new PrintQueue({ printer: printer1, capture: dir.path });
+      queue2 = new PrintQueue({ printer: printer2 });
+      return finished(queue1, queue1.add(img, 4, 3, { margin_mm: 2 }));
+    })
+    .then(job => {
+      original = job;
+      assert.equal(job.state, PrintJob.State.DONE);
+      assert.equal(job.capture,
+                   Path.join(dir.path, `job1-${job.created}`));
+      assert.equal(JSON.parse(JSON.stringify(job)).capture, job.capture);
+      return Promise.all([
+        Capture.load(job.capture),
+        new Sharp(Path.join(job.capture, "image.png"))
+        .raw().toBuffer({ resolveWithObject: true })
+      ]);
+    })
+    .then(([ cap, image ]) => {
+      assert.equal(cap.path, original.capture);
+      assert.equal(cap.description.id, 1);
+      assert.equal(cap.description.state, PrintJob.State.SENDING);
+      assert.deepEqual(cap.description.options, { margin_mm: 2 });
+      assert.equal(cap.status.model, "PT-P700");
+      assert.isTrue(cap.status.online);
+      // The print is in there, and the printer reported it printed
+      const commands = fromBinary(cap.data);
+      // The printer was initialised for the job
+      assert.include(commands, "Initialise_clear");
+      assert.include(commands, "Mode 64");
+      assert.equal(commands.filter(c => /^Print \d/.test(c)).length, 1);
+      assert(cap.replies.some(
+        s => s.status_type === 0x01), "Expected PRINTED");
+      assert.equal(image.info.width, 4);
+      assert.equal(image.info.height, 3);
+      assert.deepEqual([ ...image.data ], [ ...img ]);
+
+      return finished(queue2, queue2.replay(cap));
+    })
+    .then(job => {
+      assert.equal(job.state, PrintJob.State.DONE);
+      assert.equal(job.replay, original.capture);
+      assert.isUndefined(job.capture);
+      assert.deepEqual(job.options, { margin_mm: 2 });
+      return Promise.all([ emu1.rendered(), emu2.rendered() ]);
+    })
+    .then(([ pages1, pages2 ]) => {
+      assert.equal(pages2.length, 1);
+      assert.deepEqual(pages2, pages1);
+    })
+    .finally(() => {
+      printer1.close();
+      printer2.close();
+      return dir?.cleanup();
+    });
+  });
+
+  it("writes sent data as it is sent", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const printer = new PTouch({ device: emu.transport() });
+    const job = new PrintJob(7, undefined, 4, 3, {});
+    let dir, capture;
+    return tmp.dir({ unsafeCleanup: true })
+    .then(d => {
+      dir = d;
+      capture = new Capture(dir.path, job, printer);
+      printer.emit(PTouch.WRITE_EVENT, Buffer.from([ 1, 2, 3 ]));
+      printer.emit(PTouch.WRITE_EVENT, Buffer.from([ 4, 5 ]));
+      assert.equal(capture.sent, 5);
+      return capture.sending;
+    })
+    .then(() => Fs.readFile(Path.join(capture.path, "sent.bin")))
+    .then(data => {
+      assert.deepEqual([ ...data ], [ 1, 2, 3, 4, 5 ]);
+      return capture.save();
+    })
+    .then(path => Capture.load(path))
+    .then(cap => assert.deepEqual([ ...cap.data ], [ 1, 2, 3, 4, 5 ]))
+    .finally(() => {
+      printer.close();
+      return dir?.cleanup();
+    });
+  });
+
+  it("failed capture doesn't fail the job", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const printer = new PTouch({ device: emu.transport() });
+    let file;
+    return tmp.file()
+    .then(f => {
+      file = f;
+      // Can't make a directory under a file
+      const queue = new PrintQueue({ printer: printer, capture: file.path });
+      return finished(queue, queue.add(img, 4, 3));
+    })
+    .then(job => {
+      assert.equal(job.state, PrintJob.State.DONE);
+      assert.isUndefined(job.capture);
+      assert.equal(emu.pages.length, 1);
+    })
+    .finally(() => {
+      printer.close();
+      return file?.cleanup();
+    });
+  });
+
+  it("send", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const printer = new PTouch({ device: emu.transport() });
+    // Nothing to print
+    return printer.send(Buffer.from([ 0x1B, 0x40 ]))
+    .then(() => assert.equal(emu.pages.length, 0))
+    .then(() => printer.send(Buffer.from([ 0x1B, 0x69 ])))
+    .then(() => assert.fail("Expected an error"), e => {
+      assert.match(e.message, /Truncated command/);
+    })
+    .finally(() => printer.close());
+  });
+});
@@ -0,0 +1,95 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+import { assert } from "chai";
+import tmp from 'tmp-promise';
+import { Discovery } from "../src/Discovery.js";
+import { AutoTransport } from "../src/Transport.js";
+
+/**
+ * Promise to add a USB printer to a fake sysfs and /dev tree, laid
+ * out the way the usblp driver does it.
+ * @param {string} root root of the fake tree
+ * @param {string} name device name e.g. lp0
+ * @param {string} vendor idVendor
+ * @param {string} product idProduct
+ */
+function plugIn(root, name, vendor, product) {
+  const usb = Path.join(root, "sys", "devices", "usb1", `1-${name}`);
+  const iface = Path.join(usb, `1-${name}:1.0`);
+  const lp = Path.join(root, "sys", "class", "usbmisc", name);
+  return Fs.mkdir(iface, { recursive: true })
+  .then(() => Fs.writeFile(Path.join(usb, "idVendor"), `${vendor}\n`))
+  .then(() => Fs.writeFile(Path.join(usb, "idProduct"), `${product}\n`))
+  .then(() => Fs.mkdir(lp, { recursive: true }))
+  .then(() => Fs.symlink(iface, Path.join(lp, "device")))
+  .then(() => Fs.mkdir(Path.join(root, "dev", "usb"), { recursive: true }))
+  .then(() => Fs.writeFile(Path.join(root, "dev", "usb", name), ""));
+}
+
+describe("Discovery", () => {
+
+  it("scan", () => {
+    return tmp.dir({ unsafeCleanup: true })
+    .then(dir => {
+      const sysfs = Path.join(dir.path, "sys");
+      const dev = Path.join(dir.path, "dev");
+      // Nothing plugged in
+      return Discovery.scan(sysfs, dev)
+      .then(found => assert.deepEqual(found, []))
+      .then(() => plugIn(dir.path, "lp0", "03f0", "0517")) // Not Brother
+      .then(() => plugIn(dir.path, "lp10", "04f9", "9999"))
+      .then(() => plugIn(dir.path, "lp2", "04f9", "2061"))
+      .then(() => Discovery.scan(sysfs, dev))
+      .then(found => {
+        assert.deepEqual(found.map(d => d.device), [
+          Path.join(dev, "usb", "lp2"), Path.join(dev, "usb", "lp10")
+        ]);
+        assert.equal(found[0].vendor_id, 0x04F9);
+        assert.equal(found[0].product_id, 0x2061);
+        assert.equal(found[0].model.name, "PT-P700");
+        // Unknown product
+        assert.isUndefined(found[1].model);
+        // Unplugged, but sysfs hasn't caught up yet
+        return Fs.rm(Path.join(dev, "usb", "lp2"));
+      })
+      .then(() => Discovery.scan(sysfs, dev))
+      .then(found => assert.deepEqual(found.map(d => d.device), [
+        Path.join(dev, "usb", "lp10")
+      ]))
+      .finally(() => dir.cleanup());
+    });
+  });
+
+  it("auto transport", () => {
+    return tmp.dir({ unsafeCleanup: true })
+    .then(dir => {
+      const sysfs = Path.join(dir.path, "sys");
+      const dev = Path.join(dir.path, "dev");
+      const t1 = new AutoTransport(sysfs, dev);
+      const t2 = new AutoTransport(sysfs, dev);
+      assert.equal(t1.toString(), "auto");
+      return plugIn(dir.path, "lp0", "04f9", "209d")
+      .then(() => t1.open(true))
+      .then(() => {
+        assert.equal(t1.toString(), `auto (${Path.join(dev, "usb", "lp0")})`);
+        // t1 already has the only printer
+        return t2.open(true);
+      })
+      .then(() => assert.fail("Expected an error"), e => {
+        assert.equal(e.message, "Transport: No printer found");
+        return t1.write(Buffer.from([ 1, 2, 3 ]));
+      })
+      .then(() => t1.close())
+      .then(() => Fs.readFile(Path.join(dev, "usb", "lp0")))
+      .then(data => {
+        assert.deepEqual([ ...data ], [ 1, 2, 3 ]);
+        // Once t1 has let go, t2 can have it
+        return t2.open(true);
+      })
+      .then(() => assert.equal(t2.path, Path.join(dev, "usb", "lp0")))
+      .finally(() => t2.close().then(() => dir.cleanup()));
+    });
+  });
+});
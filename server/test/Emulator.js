@@ -0,0 +1,227 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import Sharp from "sharp";
+import { PTouch } from "../src/PTouch.js";
+import { PTouchStatus } from "../src/PTouchStatus.js";
+import { Emulator } from "../src/Emulator.js";
+import { toBinary } from "../src/Readable.js";
+
+// 4x3 image, with a black pixel in each corner except bottom right
+const C_width = 4;
+const C_height = 3;
+const C_img = Buffer.alloc(C_width * C_height * 4);
+for (const [ x, y ] of [ [ 0, 0 ], [ 3, 0 ], [ 0, 2 ] ])
+  C_img[(y * C_width + x) * 4 + 3] = 255;
+
+describe("Emulator", () => {
+
+  it("initialise handshake", () => {
+    const emu = new Emulator({ model: "PT-P700", media_width_mm: 9 });
+    const dev = new PTouch({ device: emu.transport() });
+    return dev.initialise()
+    .then(() => {
+      // The model should have been read from the printer
+      assert.equal(dev.model.name, "PT-P700");
+      assert(dev.compression);
+      assert.equal(dev.status.model, "PT-P700");
+      assert.equal(PTouchStatus.Type[dev.status.status_type], "REPLY");
+      assert.equal(PTouchStatus.Phase[dev.status.phase], "READY");
+      assert.equal(dev.status.media_width_mm, 9);
+      assert.equal(PTouchStatus.MEDIA_TYPES[dev.status.media_type],
+                   "Laminated");
+      assert.equal(emu.compression, 2);
+      assert.equal(PTouchStatus.describeMedia(dev.status),
+                   "9mm black on white laminated");
+      // Switched out of ESC/P mode
+      assert.equal(emu.command_mode, 1);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("print and render", () => {
+    const emu = new Emulator({ model: "PT1230" });
+    const transport = emu.transport();
+    const dev = new PTouch({ device: transport });
+    const reports = [];
+    let page;
+    return dev.initialise()
+    .then(() => {
+      dev.on(PTouchStatus.UPDATE_EVENT, s => reports.push(s));
+      const printed = new Promise(
+        resolve => emu.once(Emulator.PRINTED_EVENT, resolve));
+      return dev.printImage(C_img, C_width, C_height)
+      .then(() => printed);
+    })
+    .then(png => {
+      page = png;
+      // Wait for the reports to be polled
+      return new Promise(resolve => setTimeout(resolve, 500));
+    })
+    .then(() => {
+      assert.deepEqual(
+        reports.map(s => `${PTouchStatus.Type[s.status_type]} ${PTouchStatus.Phase[s.phase]}`),
+        [ "PHASE_CHANGED PRINTING", "PRINTED PRINTING", "PHASE_CHANGED READY" ]);
+      assert.equal(emu.pages.length, 1);
+      // What was written went straight to the emulator
+      assert.equal(transport.written.length, 0);
+      return new Sharp(page).raw().toBuffer({ resolveWithObject: true });
+    })
+    .then(({ data, info }) => {
+      // One pixel per raster along the tape, and one per pin across it
+      assert.equal(info.width, C_height);
+      assert.equal(info.height, 128);
+      const black = [];
+      for (let y = 0; y < info.height; y++)
+        for (let x = 0; x < info.width; x++)
+          if (data[(y * info.width + x) * info.channels] === 0)
+            black.push([ x, y ]);
+      // Image is rotated and centred by 32 pins of padding
+      assert.deepEqual(black, [ [ 0, 92 ], [ 0, 95 ], [ 2, 95 ] ]);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("error injection", () => {
+    const emu = new Emulator({ model: "PT-P900" });
+    const dev = new PTouch({ device: emu.transport() });
+    const reports = [];
+    return dev.initialise()
+    .then(() => new Promise(resolve => {
+      dev.on(PTouchStatus.UPDATE_EVENT, s => {
+        reports.push(s);
+        if (PTouchStatus.Type[s.status_type] === "ERROR")
+          resolve();
+      });
+      emu.injectError("Cover open");
+    }))
+    .then(() => {
+      assert.equal(reports[0].error_information, 0x10);
+      assert.deepEqual(reports[0].errors, [ "Cover open" ]);
+      // Printing fails while the error persists
+      reports.length = 0;
+      return dev.printImage(C_img, C_width, C_height)
+      .then(() => assert.fail("Expected an error"),
+            e => assert.deepEqual(e.errors, [ "Cover open" ]));
+    })
+    .then(() => {
+      assert.deepEqual(
+        reports.map(s => PTouchStatus.Type[s.status_type]),
+        [ "PHASE_CHANGED", "ERROR" ]);
+      assert.equal(emu.pages.length, 0);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("rendered", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const dev = new PTouch({ device: emu.transport() });
+    return dev.initialise()
+    .then(() => {
+      // Two tape runs, 2 rasters long
+      const width = 2 * dev.status.printable_width_px, height = 2;
+      const img = Buffer.alloc(width * height * 4);
+      img[3] = 255;
+      return dev.printImage(img, width, height, { margin_mm: 2 });
+    })
+    .then(() => emu.rendered())
+    .then(pages => {
+      assert.equal(pages.length, 2);
+      return Promise.all(pages.map(png => new Sharp(png).metadata()));
+    })
+    .then(info => {
+      // 2mm is 14 rasters, fed before and after each run
+      assert.deepEqual(info.map(i => i.width), [ 30, 30 ]);
+      assert.deepEqual(info.map(i => i.height), [ 128, 128 ]);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("socket", () => {
+    const emu = new Emulator({ model: "PT-P950NW" });
+    const server = emu.listen(0, "localhost");
+    return new Promise(resolve => server.on("listening", resolve))
+    .then(() => import("node:net"))
+    .then(Net => new Promise(resolve => {
+      const socket = Net.connect(server.address().port, "localhost");
+      socket.on("data", data => {
+        socket.end();
+        resolve(data);
+      });
+      socket.write(Buffer.from([ 0x1B, 0x69, 0x53 ]));
+    }))
+    .then(data => {
+      assert.equal(data.length, 32);
+      const status = new PTouchStatus(data);
+      assert.equal(status.model, "PT-P950NW");
+    })
+    .finally(() => server.close());
+  });
+
+  it("socket reset", () => {
+    const logged = [];
+    const emu = new Emulator({
+      model: "PT-P950NW",
+      debug: (...args) => logged.push(args.join(" "))
+    });
+    const server = emu.listen(0, "localhost");
+    let Net;
+    return new Promise(resolve => server.on("listening", resolve))
+    .then(() => import("node:net"))
+    .then(net => Net = net)
+    .then(() => new Promise(resolve => {
+      const socket = Net.connect(server.address().port, "localhost");
+      socket.on("connect", () => {
+        socket.resetAndDestroy();
+        setTimeout(resolve, 100);
+      });
+    }))
+    .then(() => {
+      assert(logged.some(m => /^Emulator: connection error/.test(m)),
+             "Expected a connection error");
+      // Still answering other connections
+      return new Promise(resolve => {
+        const socket = Net.connect(server.address().port, "localhost");
+        socket.on("data", data => {
+          socket.end();
+          resolve(data);
+        });
+        socket.write(Buffer.from([ 0x1B, 0x69, 0x53 ]));
+      });
+    })
+    .then(data => assert.equal(data.length, 32))
+    .finally(() => server.close());
+  });
+
+  it("command mode", () => {
+    const emu = new Emulator({ model: "PT-P700", command_mode: 3 });
+    const replies = [];
+    emu.on(Emulator.REPLY_EVENT, block => replies.push(block));
+    const page = [ "Empty_raster", "Raster 80", "Print 1" ];
+    // P-touch Template mode ignores rasters
+    emu.receive(toBinary(page));
+    assert.equal(replies.length, 0);
+    assert.equal(emu.command_mode, 3);
+    emu.receive(toBinary([ "Command_mode 1", ...page ]));
+    assert.equal(emu.command_mode, 1);
+    assert.deepEqual(
+      replies.map(block => PTouchStatus.Type[new PTouchStatus(block).status_type]),
+      [ "PHASE_CHANGED", "PRINTED", "PHASE_CHANGED" ]);
+
+    // Models that don't have to be switched start in raster mode
+    assert.equal(new Emulator({ model: "PT1230" }).command_mode, 1);
+  });
+
+  it("print information", () => {
+    const emu = new Emulator({ model: "PT-P700", media_width_mm: 12 });
+    const replies = [];
+    emu.on(Emulator.REPLY_EVENT, block => replies.push(block));
+    emu.receive(toBinary([ "Print_information 134 1 12 0 10 0" ]));
+    assert.equal(replies.length, 0);
+    emu.receive(toBinary([ "Print_information 134 1 24 0 10 0" ]));
+    assert.equal(replies.length, 1);
+    const status = new PTouchStatus(replies[0]);
+    assert.equal(PTouchStatus.Type[status.status_type], "ERROR");
+    assert.deepEqual(status.errors, [ "Replace media" ]);
+  });
+});
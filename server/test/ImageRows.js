@@ -0,0 +1,371 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+import { assert } from "chai";
+import tmp from 'tmp-promise';
+import Sharp from "sharp";
+import { BufferRows, SharpRows } from "../src/ImageRows.js";
+import { Monochrome } from "../src/Monochrome.js";
+
+const BLACK = [ 0, 0, 0, 255 ], RED = [ 255, 0, 0, 255 ], WHITE = [ 0, 0, 0, 0 ];
+
+/**
+ * Make an RGBA image from rows of "#" (black), "r" (red) and "." (white)
+ */
+function image(rows) {
+  return Buffer.from(rows.flatMap(
+    row => [ ...row ].flatMap(
+      c => c === "#" ? BLACK : c === "r" ? RED : WHITE)));
+}
+
+/**
+ * Promise to read all the rows, as strings of bits
+ */
+function read(rows, two_colour) {
+  const got = [];
+  return rows.each(two_colour, planes => {
+    got.push(planes.map(
+      plane => [ ...plane ].map(b => b.toString(2).padStart(8, "0")).join("")
+      .substring(0, rows.width)).join(" "));
+  })
+  .then(() => got);
+}
+
+/**
+ * Promise to read all the rows, as read(), then close them
+ */
+function readOnce(rows, two_colour) {
+  return read(rows, two_colour).finally(() => rows.close());
+}
+
+describe("ImageRows", () => {
+
+  // 10 wide, 3 high
+  const img = image([
+    "#........r",
+    ".#######..",
+    "r.r......#"
+  ]);
+
+  it("buffer rows", () => {
+    const rows = new BufferRows(img, 10, 3);
+    // Rows come from the bottom up
+    return read(rows, false)
+    .then(got => assert.deepEqual(got, [
+      "1010000001",
+      "0111111100",
+      "1000000001"
+    ]))
+    .then(() => read(rows, true))
+    .then(got => assert.deepEqual(got, [
+      "0000000001 1010000000",
+      "0111111100 0000000000",
+      "1000000000 0000000001"
+    ]))
+    .then(() => rows.hasRed())
+    .then(red => {
+      assert.isTrue(red);
+      return new BufferRows(image([ "#.", ".#" ]), 2, 2).hasRed();
+    })
+    .then(red => assert.isFalse(red));
+  });
+
+  it("sharp rows", () => {
+    // A label as drawn in the UI, with the long edge across the image
+    const drawn = image([
+      "##..#...........r...",
+      "#...............r...",
+      "#...........##......"
+    ]);
+    let png, expected;
+    return new Sharp(drawn, { raw: { width: 20, height: 3, channels: 4 } })
+    .png().toBuffer()
+    .then(buff => {
+      png = buff;
+      // Turned on its side, as the server used to do it
+      return new Sharp(png).rotate(90).raw()
+      .toBuffer({ resolveWithObject: true });
+    })
+    .then(({ data, info }) => {
+      assert.equal(info.width, 3);
+      assert.equal(info.height, 20);
+      return read(new BufferRows(data, 3, 20), true);
+    })
+    .then(got => {
+      expected = got;
+      return SharpRows.load(png);
+    })
+    .then(rows => {
+      assert.equal(rows.width, 3);
+      assert.equal(rows.height, 20);
+      return readOnce(rows, true);
+    })
+    .then(got => assert.deepEqual(got, expected));
+  });
+
+  it("sharp rows, long image", () => {
+    // Long enough to be decoded in several bands
+    const width = 4000, height = 64;
+    const drawn = Buffer.alloc(width * height * 4);
+    for (let x = 0; x < width; x += 3)
+      drawn[(x + width * (x % height)) * 4 + 3] = 255;
+    let count = 0;
+    return new Sharp(drawn, { raw: { width: width, height: height, channels: 4 } })
+    .png().toBuffer()
+    .then(png => SharpRows.load(png))
+    .then(rows => rows.each(false, planes => {
+      // Turned on its side, column x of the drawing is row x, and
+      // row y is column height - 1 - y. Rows come from the bottom up.
+      const y = width - 1 - count;
+      const set = [ ...planes[0] ].flatMap(
+        (b, i) => [ 7, 6, 5, 4, 3, 2, 1, 0 ]
+        .filter(bit => b & (1 << bit)).map(bit => i * 8 + 7 - bit));
+      assert.deepEqual(set, y % 3 === 0 ? [ height - 1 - y % height ] : [], `row ${y}`);
+      count++;
+      // Make it wait sometimes
+      return count % 500 === 0 ? new Promise(r => setTimeout(r, 1)) : undefined;
+    }).finally(() => rows.close()))
+    .then(() => assert.equal(count, width));
+  });
+
+  it("sharp rows, bounded memory", () => {
+    const width = 3000, height = 16;
+    const drawn = Buffer.alloc(width * height * 4, 255);
+    let decodes = 0, bands = 0, held = 0, most = 0, rows, file;
+    return new Sharp(drawn, { raw: { width: width, height: height, channels: 4 } })
+    .png().toBuffer()
+    .then(png => SharpRows.load(png))
+    .then(r => {
+      rows = r;
+      // Count the times the image is decoded
+      const decode = rows.decode;
+      rows.decode = () => {
+        decodes++;
+        return decode.call(rows);
+      };
+      // Count the rows read but not yet handled
+      const band = rows.band;
+      rows.band = (top, count) => band.call(rows, top, count)
+      .then(data => {
+        assert.equal(data.length, count * rows.width * 4);
+        bands++;
+        held += count;
+        most = Math.max(most, held);
+        return data;
+      });
+      return rows.each(true, () => held--);
+    })
+    .then(() => {
+      assert.equal(held, 0);
+      assert.equal(most, SharpRows.BAND_ROWS);
+      // hasRed() and reading again use the same decoded image
+      return rows.hasRed();
+    })
+    .then(red => {
+      assert.isFalse(red);
+      return rows.each(false, () => {});
+    })
+    .then(() => {
+      assert.equal(decodes, 1);
+      assert.equal(bands, 3 * Math.ceil(width / SharpRows.BAND_ROWS));
+      return rows.decoded;
+    })
+    .then(f => {
+      file = f;
+      return rows.close();
+    })
+    .then(() => Fs.access(file))
+    .then(() => assert.fail("Expected the file to be removed"), e => {
+      assert.equal(e.code, "ENOENT");
+      return rows.each(false, () => {});
+    })
+    .then(() => assert.fail("Expected an error"), e => {
+      assert.match(e.message, /closed/);
+    });
+  });
+
+  it("sharp rows, rotated long image", () => {
+    // Big enough to be read in several bands whichever way it is turned
+    const width = 300, height = 280;
+    const drawn = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++)
+      if ((i * 7919) % 13 < 4)
+        drawn.set(i % 11 === 0 ? RED : BLACK, i * 4);
+    let png;
+    return new Sharp(drawn, { raw: { width: width, height: height, channels: 4 } })
+    .png().toBuffer()
+    .then(buff => {
+      png = buff;
+      return Promise.all([ 0, 90, 180, 270 ].map(rotation => {
+        const expected = new Sharp(png).rotate(rotation + 90).raw()
+              .toBuffer({ resolveWithObject: true })
+              .then(({ data, info }) => read(
+                new BufferRows(data, info.width, info.height), true));
+        return Promise.all([
+          expected,
+          SharpRows.load(png, { rotation: rotation })
+          .then(rows => readOnce(rows, true))
+        ]);
+      }));
+    })
+    .then(results => results.forEach(
+      ([ expected, got ]) => assert.deepEqual(got, expected)));
+  });
+
+  it("sharp rows, rotated", () => {
+    const drawn = image([
+      "##..#...r",
+      "#.......r",
+      "#.....##."
+    ]);
+    let png;
+    return new Sharp(drawn, { raw: { width: 9, height: 3, channels: 4 } })
+    .png().toBuffer()
+    .then(buff => {
+      png = buff;
+      return Promise.all([ 0, 90, 180, 270 ].map(rotation => {
+        // Turned as asked, then on its side as for any image
+        const expected = new Sharp(png).rotate(rotation).png().toBuffer()
+              .then(turned => new Sharp(turned).rotate(90).raw()
+                    .toBuffer({ resolveWithObject: true }))
+              .then(({ data, info }) => read(
+                new BufferRows(data, info.width, info.height), true));
+        return Promise.all([
+          expected,
+          SharpRows.load(png, { rotation: rotation })
+          .then(rows => {
+            assert.equal(rows.width, rotation % 180 === 0 ? 3 : 9);
+            return readOnce(rows, true);
+          })
+        ]);
+      }));
+    })
+    .then(results => results.forEach(
+      ([ expected, got ]) => assert.deepEqual(got, expected)))
+    .then(() => SharpRows.load(png, { rotation: 45 }))
+    .then(() => assert.fail("Expected an error"), e => {
+      assert.match(e.message, /Bad rotation 45/);
+    });
+  });
+
+  it("sharp rows, threshold", () => {
+    // Shades of grey, with no transparency
+    const grey = Buffer.from([ 0, 60, 120, 140, 200, 255 ]
+                             .flatMap(v => [ v, v, v ]));
+    return new Sharp(grey, { raw: { width: 6, height: 1, channels: 3 } })
+    .jpeg({ quality: 100 }).toBuffer()
+    .then(jpeg => Promise.all([
+      SharpRows.load(jpeg),
+      SharpRows.load(jpeg, { threshold: 128 }),
+      SharpRows.load(jpeg, { threshold: 230 })
+    ]))
+    .then(([ none, mid, high ]) => {
+      assert.equal(mid.format, "jpeg");
+      return Promise.all([ none, mid, high ].map(rows => readOnce(rows, false)));
+    })
+    // Turned on its side, the first pixel is at the top, so it is
+    // read last
+    .then(([ none, mid, high ]) => {
+      // Opaque, so everything prints
+      assert.deepEqual(none, [ "1", "1", "1", "1", "1", "1" ]);
+      assert.deepEqual(mid, [ "0", "0", "0", "1", "1", "1" ]);
+      assert.deepEqual(high, [ "0", "1", "1", "1", "1", "1" ]);
+    });
+  });
+
+  it("sharp rows, SVG", () => {
+    const svg = Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="8">
+<rect width="8" height="8" fill="black"/></svg>`);
+    return SharpRows.load(svg, { threshold: 128 })
+    .then(rows => {
+      assert.equal(rows.format, "svg");
+      assert.equal(rows.pages, 1);
+      assert.equal(rows.width, 8);
+      assert.equal(rows.height, 16);
+      return readOnce(rows, false);
+    })
+    .then(got => {
+      // The black half of the drawing is printed last
+      assert.deepEqual(got, [
+        ...Array(8).fill("00000000"), ...Array(8).fill("11111111")
+      ]);
+    });
+  });
+
+  it("sharp rows, monochrome", () => {
+    // A grey ramp, dithered as the UI would do it
+    const w = 40, h = 8;
+    const drawn = Buffer.alloc(w * h * 4);
+    for (let i = 0; i < w * h; i++)
+      drawn.fill(Math.floor(i % w * 255 / w), i * 4, i * 4 + 3)
+      .writeUInt8(255, i * 4 + 3);
+    const options = { method: "floyd-steinberg", gamma: 1.2 };
+    const dithered = Buffer.from(drawn);
+    Monochrome.convert(dithered, w, h, options);
+    let png, expected;
+    return new Sharp(drawn, { raw: { width: w, height: h, channels: 4 } })
+    .png().toBuffer()
+    .then(buff => {
+      png = buff;
+      return new Sharp(dithered, { raw: { width: w, height: h, channels: 4 } })
+      .rotate(90).raw().toBuffer({ resolveWithObject: true });
+    })
+    .then(({ data, info }) => read(new BufferRows(data, info.width, info.height), false))
+    .then(got => {
+      expected = got;
+      return SharpRows.load(png, { monochrome: options, threshold: 10 });
+    })
+    .then(rows => {
+      assert.equal(rows.format, "png");
+      assert.equal(rows.width, h);
+      assert.equal(rows.height, w);
+      return readOnce(rows, false);
+    })
+    .then(got => assert.deepEqual(got, expected))
+    // Rotated before it is converted
+    .then(() => new Sharp(drawn, { raw: { width: w, height: h, channels: 4 } })
+          .rotate(180).raw().toBuffer())
+    .then(turned => {
+      Monochrome.convert(turned, w, h, options);
+      return new Sharp(turned, { raw: { width: w, height: h, channels: 4 } })
+      .rotate(90).raw().toBuffer({ resolveWithObject: true });
+    })
+    .then(({ data, info }) => read(new BufferRows(data, info.width, info.height), false))
+    .then(got => {
+      expected = got;
+      return SharpRows.load(png, { rotation: 180, monochrome: options });
+    })
+    .then(rows => readOnce(rows, false))
+    .then(got => assert.deepEqual(got, expected));
+  });
+
+  it("stops on error", () => {
+    const rows = new BufferRows(img, 10, 3);
+    let count = 0;
+    return rows.each(false, () => {
+      if (++count === 2)
+        throw new Error("Stop");
+    })
+    .then(() => assert.fail("Expected an error"), e => {
+      assert.equal(e.message, "Stop");
+      assert.equal(count, 2);
+    });
+  });
+
+  it("write PNG", () => {
+    return tmp.dir({ unsafeCleanup: true })
+    .then(dir => {
+      const file = Path.join(dir.path, "image.png");
+      return new BufferRows(img, 10, 3).writePNG(file)
+      .then(() => new Sharp(file).raw().toBuffer({ resolveWithObject: true }))
+      .then(({ data, info }) => {
+        assert.equal(info.width, 10);
+        assert.equal(info.height, 3);
+        assert.deepEqual([ ...data ], [ ...img ]);
+      })
+      .finally(() => dir.cleanup());
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+import { assert } from "chai";
+import { Model, Models } from "../src/Models.js";
+import { PTouch } from "../src/PTouch.js";
+import { MemoryTransport } from "../src/Transport.js";
+import tmp from 'tmp-promise';
+
+const DESCRIPTOR = {
+  name: "PT-TEST",
+  device_code: "0x7F",
+  resolution_dpi: 180,
+  pins: 128,
+  raster_mm: 18,
+  printable_px: 64,
+  max_tape_mm: 12,
+  capabilities: { compression: true, cutter: true },
+  tapes: { "12": { left_margin_px: 32, printable_px: 64 } }
+};
+
+describe("Models", () => {
+
+  it("built in", () => {
+    const names = Models.all().map(m => m.name);
+    for (const name of [ "PT1230", "PT500", "PT-H500", "PT-E500", "PT-P700",
+                         "PT-P900W", "PT-P950NW", "PT-P900", "PT-P910BT",
+                         "QL-700", "QL-800", "QL-810W", "QL-820NWB" ])
+      assert(names.indexOf(name) >= 0, name);
+
+    assert.equal(Models.default().name, "PT1230");
+    assert.equal(Models.getModelByDeviceCode(0x67).name, "PT-P700");
+    assert.equal(Models.getModelByName("PT1230PC").name, "PT1230");
+    // Longest match wins
+    assert.equal(Models.getModelByName("PT-P900W").name, "PT-P900W");
+    assert.equal(Models.getModelByName("PT-P900").name, "PT-P900");
+    assert.isUndefined(Models.getModelByName("TD-4000"));
+    // QL device codes are in a different series
+    assert.equal(Models.getModelByDeviceCode(0x38, 0x34).name, "QL-800");
+    assert.isUndefined(Models.getModelByDeviceCode(0x38));
+    assert.equal(Models.getModelByProductId(0x209D).name, "QL-820NWB");
+    assert.equal(Models.getModelByProductId(0x2086).name, "PT-P950NW");
+    assert.isUndefined(Models.getModelByProductId(0x0001));
+
+    const p700 = Models.getModelByName("PT-P700");
+    assert.equal(p700.resolution_dpi, 180);
+    assert.equal(p700.pins, 128);
+    assert.equal(p700.max_tape_mm, 24);
+    assert.deepEqual(p700.tapes["24"], { left_margin_px: 0, printable_px: 128 });
+    assert(p700.capabilities.esc_p);
+    assert.isUndefined(Models.getModelByName("PT1230").capabilities.cutter);
+    assert(Models.getModelByName("PT-P910BT").capabilities.half_cut);
+  });
+
+  it("descriptor", () => {
+    const model = new Model(DESCRIPTOR);
+    assert.equal(model.deviceCode, 0x7F);
+    assert.deepEqual(model.defaultStatus, {
+      model: "PT-TEST",
+      raster_px: 128,
+      raster_mm: 18,
+      left_margin_px: 32,
+      printable_width_px: 64,
+      printable_width_mm: 9,
+      media_type: "Laminated",
+      media_width_mm: 12
+    });
+    assert.deepEqual(JSON.parse(JSON.stringify(model)), DESCRIPTOR);
+
+    assert.throws(() => new Model({ ...DESCRIPTOR, pins: "128" }),
+                  "Model: PT-TEST needs number pins");
+    assert.throws(() => new Model({ ...DESCRIPTOR, device_code: "PT" }),
+                  "Model: PT-TEST needs a device_code");
+    assert.throws(() => new Model({ ...DESCRIPTOR, usb_product_id: "PT" }),
+                  "Model: PT-TEST has a bad usb_product_id");
+    assert.throws(() => new Model({
+      ...DESCRIPTOR, capabilities: { cuter: true } }),
+                  "Model: PT-TEST has unknown capability cuter");
+  });
+
+  it("load directory", () => {
+    return tmp.dir({ unsafeCleanup: true })
+    .then(dir => Fs.writeFile(Path.join(dir.path, "PT-TEST.json"),
+                              JSON.stringify(DESCRIPTOR))
+          .then(() => Fs.writeFile(Path.join(dir.path, "README"), "Ignored"))
+          .then(() => Models.loadDirectory(dir.path))
+          .then(models => {
+            assert.deepEqual(models.map(m => m.name), [ "PT-TEST" ]);
+            assert.equal(Models.getModelByDeviceCode(0x7F), models[0]);
+            // The new model can be used straight away
+            const dev = new PTouch({
+              device: new MemoryTransport(), model: "PT-TEST",
+              write_only: true
+            });
+            assert.equal(dev.model, models[0]);
+            assert(dev.compression);
+            assert.equal(dev.status.printable_width_px, 64);
+          })
+          .then(() => Fs.writeFile(Path.join(dir.path, "bad.json"), "{"))
+          .then(() => Models.loadDirectory(dir.path))
+          .then(() => assert.fail("Expected an error"), e => {
+            assert.match(e.message, /^Models: bad.json: /);
+          })
+          .finally(() => dir.cleanup()));
+  });
+});
@@ -0,0 +1,138 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import { Monochrome } from "../src/Monochrome.js";
+
+/**
+ * Make an opaque RGBA image from grey levels
+ */
+function greys(levels) {
+  return new Uint8Array(levels.flatMap(v => [ v, v, v, 255 ]));
+}
+
+/**
+ * Get the image as a string, "#" for black, "r" for red, "." for white
+ */
+function pixels(data) {
+  let s = "";
+  for (let i = 0; i < data.length; i += 4)
+    s += data[i + 3] === 0 ? "." : data[i] === 255 ? "r" : "#";
+  return s;
+}
+
+/**
+ * Fraction of the pixels that are black
+ */
+function density(data) {
+  return pixels(data).split("").filter(c => c === "#").length
+  / (data.length / 4);
+}
+
+describe("Monochrome", () => {
+
+  it("threshold", () => {
+    const img = greys([ 0, 100, 127, 128, 200, 255 ]);
+    Monochrome.convert(img, 6, 1);
+    assert.equal(pixels(img), "###...");
+    // Black is opaque black, white is transparent
+    assert.deepEqual([ ...img.subarray(0, 4) ], [ 0, 0, 0, 255 ]);
+    assert.deepEqual([ ...img.subarray(20, 24) ], [ 0, 0, 0, 0 ]);
+
+    const img2 = greys([ 0, 100, 127, 128, 200, 255 ]);
+    Monochrome.convert(img2, 6, 1, { threshold: 201 });
+    assert.equal(pixels(img2), "#####.");
+  });
+
+  it("alpha", () => {
+    // Black, with decreasing alpha
+    const img = new Uint8Array([ 255, 200, 100, 30, 0 ]
+                               .flatMap(a => [ 0, 0, 0, a ]));
+    Monochrome.convert(img, 5, 1, { alpha: 30 });
+    // Blended with white, so faint black is light grey
+    assert.equal(pixels(img), "##...");
+  });
+
+  it("invert and gamma", () => {
+    const img = greys([ 0, 100, 200, 255 ]);
+    Monochrome.convert(img, 4, 1, { invert: true });
+    assert.equal(pixels(img), "..##");
+
+    // 200 is 0.78, darkened to 0.48
+    const img2 = greys([ 0, 100, 200, 255 ]);
+    Monochrome.convert(img2, 4, 1, { gamma: 3 });
+    assert.equal(pixels(img2), "###.");
+
+    // Transparent is white, so inverted it prints
+    const img3 = new Uint8Array([ 0, 0, 0, 0, 0, 0, 0, 255 ]);
+    Monochrome.convert(img3, 2, 1, { invert: true });
+    assert.equal(pixels(img3), "#.");
+  });
+
+  it("otsu", () => {
+    // Dark and light groups well above the default threshold
+    const levels = [ 150, 160, 170, 150, 240, 250, 230, 245 ];
+    const img = greys(levels);
+    Monochrome.convert(img, 8, 1);
+    assert.equal(pixels(img), "........");
+    const img2 = greys(levels);
+    Monochrome.convert(img2, 8, 1, { method: "otsu" });
+    assert.equal(pixels(img2), "####....");
+  });
+
+  it("dithering", () => {
+    // Shades of grey come out as the right density of dots
+    const w = 32, h = 32;
+    for (const method of [ "floyd-steinberg", "atkinson", "bayer" ]) {
+      for (const level of [ 64, 128, 192 ]) {
+        const img = greys(new Array(w * h).fill(level));
+        Monochrome.convert(img, w, h, { method: method });
+        const expected = 1 - level / 255;
+        // Atkinson only diffuses 3/4 of the error, so shades drift
+        // towards black and white
+        assert.approximately(density(img), expected,
+                             method === "atkinson" ? 0.1 : 0.03,
+                             `${method} ${level}`);
+        // Dots, not solid
+        assert.match(pixels(img), /#\./, `${method} ${level}`);
+      }
+      // Black and white stay black and white
+      const img = greys([ 0, 255, 0, 255 ]);
+      Monochrome.convert(img, 2, 2, { method: method });
+      assert.equal(pixels(img), "#.#.", method);
+    }
+  });
+
+  it("two colour", () => {
+    const img = new Uint8Array([
+      255, 0, 0, 255, // red
+      200, 100, 90, 255, // reddish
+      0, 0, 0, 255,
+      255, 255, 255, 255
+    ]);
+    const copy = new Uint8Array(img);
+    Monochrome.convert(img, 4, 1, { two_colour: true });
+    assert.equal(pixels(img), "rr#.");
+    assert.deepEqual([ ...img.subarray(0, 4) ], [ 255, 0, 0, 255 ]);
+    // Without two colour, red is just a colour
+    Monochrome.convert(copy, 4, 1);
+    assert.equal(pixels(copy), "#.#.");
+  });
+
+  it("converted images don't change", () => {
+    const w = 16, h = 16;
+    const levels = Array.from({ length: w * h }, (v, i) => i % 256);
+    for (const method of Monochrome.METHODS) {
+      const img = greys(levels);
+      Monochrome.convert(img, w, h, { method: method, two_colour: true });
+      const once = new Uint8Array(img);
+      Monochrome.convert(img, w, h, { method: method, two_colour: true });
+      assert.deepEqual(img, once, method);
+    }
+  });
+
+  it("unknown method", () => {
+    assert.throws(() => Monochrome.convert(greys([ 0 ]), 1, 1, {
+      method: "sketchy"
+    }), /Unknown method sketchy/);
+  });
+});
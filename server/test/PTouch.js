@@ -2,10 +2,13 @@
 /* eslint-env node, mocha */
 import { promises as Fs } from "node:fs";
 import { assert } from "chai";
-import { PTouch } from "../src/PTouch.js";
+import Sharp from "sharp";
+import { PTouch, PrinterError } from "../src/PTouch.js";
 import { PTouchStatus } from "../src/PTouchStatus.js";
 import { Models } from "../src/Models.js";
 import { toBinary, fromBinary } from "../src/Readable.js";
+import { Emulator } from "../src/Emulator.js";
+import { MemoryTransport } from "../src/Transport.js";
 import tmp from 'tmp-promise';
 
 // 8 pixels wide by 22 high, this is an upper-case L on it's side.
@@ -38,6 +41,17 @@ const L_img = Buffer.from([
 
 let pendingOutput;
 
+/**
+ * Record what a printer writes
+ * @return {function} function that returns the commands written so
+ * far, as readable text
+ */
+function recordWrites(dev) {
+  const written = [];
+  dev.on(PTouch.WRITE_EVENT, data => written.push(data));
+  return () => fromBinary(Buffer.concat(written));
+}
+
 describe("PTouch", () => {
 
   function UNit() {}
@@ -120,7 +134,6 @@ describe("PTouch", () => {
         assert.equal(text[i++], "Initialise_clear");
         assert.equal(text[i++], "Compress 0");
         assert.equal(text[i++], "Raster_mode 1");
-        assert.equal(text[i++], "Feed 64");
         assert.equal(text[i++], "Empty_raster");
         assert.equal(text[i++], "Empty_raster");
         assert.equal(text[i++], "Empty_raster");
@@ -186,7 +199,6 @@ describe("PTouch", () => {
         assert.equal(text[i++], "Initialise_clear");
         assert.equal(text[i++], "Compress 0");
         assert.equal(text[i++], "Raster_mode 1");
-        assert.equal(text[i++], "Feed 64");
         assert.equal(text[i++], "Empty_raster");
         assert.equal(text[i++], "Empty_raster");
         assert.equal(text[i++], "Empty_raster");
@@ -212,4 +224,624 @@ describe("PTouch", () => {
       });
     });
   });
+
+  it("compressed image, to file", () => {
+    // Print the same image compressed and uncompressed, and check the
+    // rasters decode the same
+    function printTo(compression) {
+      return tmp.file()
+      .then(fo => {
+        const dev = new PTouch({
+          model: "PT-P700",
+          compression: compression,
+          write_only: true,
+          device: fo.path
+        });
+        return dev.initialise()
+        .then(() => dev.printImage(L_img, L_width, L_height))
+        .then(() => dev.close())
+        .then(() => Fs.readFile(fo.path));
+      });
+    }
+
+    let uncompressed;
+    return printTo(false)
+    .then(data => {
+      uncompressed = data;
+      return printTo(true);
+    })
+    .then(compressed => {
+      assert(compressed.length < uncompressed.length);
+      const ut = fromBinary(uncompressed);
+      const ct = fromBinary(compressed);
+      assert.equal(ut.indexOf("Compress 0"), 201);
+      assert.equal(ct.indexOf("Compress 2"), 201);
+      ct[201] = "Compress 0";
+      // Compressed rasters cover all 128 pins, uncompressed rasters
+      // stop at the end of the print area
+      assert.deepEqual(ct, ut.map(
+        t => /^Raster /.test(t) ? t.padEnd("Raster ".length + 32, "0") : t));
+      // 12mm tape prints on pins 29-98
+      assert(ut.indexOf("Raster 00000003f80000000000000000") > 0);
+    });
+  });
+
+  it("compression not supported", () => {
+    const dev = new PTouch({
+      model: "PT1230",
+      compression: true,
+      write_only: true,
+      device: "/dev/null"
+    });
+    assert(!dev.compression);
+  });
+
+  it("print waits for every tape run", () => {
+    const emu = new Emulator({ model: "PT1230" });
+    const dev = new PTouch({ device: emu.transport() });
+    // Wide enough to need two tape runs
+    const w = 100, h = 2;
+    const img = Buffer.alloc(w * h * 4);
+    img[3] = 255;
+    let printed = 0;
+    return dev.initialise()
+    .then(() => {
+      assert.equal(dev.tapeRuns(w), 2);
+      dev.on(PTouchStatus.UPDATE_EVENT, s => {
+        if (PTouchStatus.Type[s.status_type] === "PRINTED")
+          printed++;
+      });
+      return dev.printImage(img, w, h);
+    })
+    .then(() => {
+      assert.equal(printed, 2);
+      assert.equal(emu.pages.length, 2);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("copies", () => {
+    const emu = new Emulator({ model: "PT1230" });
+    const dev = new PTouch({ device: emu.transport() });
+    // Two tape runs, different at the start of each
+    const w = 100, h = 2;
+    const img = Buffer.alloc(w * h * 4);
+    img[3] = 255;
+    img[(w - 1) * 4 + 3] = 255;
+    return dev.initialise()
+    .then(() => dev.printImage(img, w, h, { copies: 3 }))
+    .then(() => {
+      assert.equal(emu.pages.length, 6);
+      return emu.rendered();
+    })
+    .then(pages => {
+      // Every copy has the same runs, in the same order
+      for (let i = 2; i < 6; i++)
+        assert(pages[i].equals(pages[i % 2]), `page ${i}`);
+      assert(!pages[0].equals(pages[1]));
+    })
+    .finally(() => dev.close());
+  });
+
+  it("long label is streamed", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const dev = new PTouch({ device: emu.transport(), compression: false });
+    // A diagonal stripe, much longer than a chunk of print data
+    const w = 64, h = 3000;
+    const img = Buffer.alloc(w * h * 4);
+    for (let y = 0; y < h; y++)
+      img[(y * w + y % w) * 4 + 3] = 255;
+    const writes = [];
+    return dev.initialise()
+    .then(() => {
+      dev.on(PTouch.WRITE_EVENT, data => writes.push(data));
+      return dev.printImage(img, w, h);
+    })
+    .then(() => {
+      // Written a chunk at a time, each chunk whole commands
+      assert.isAbove(writes.length, 2);
+      for (const data of writes) {
+        assert.isAtMost(data.length, 16384 + 32);
+        fromBinary(data);
+      }
+      assert.equal(emu.pages.length, 1);
+      return emu.rendered();
+    })
+    .then(pages => new Sharp(pages[0]).raw()
+          .toBuffer({ resolveWithObject: true }))
+    .then(({ info }) => assert.equal(info.width, h))
+    .finally(() => dev.close());
+  });
+
+  it("cancel while sending", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const dev = new PTouch({ device: emu.transport(), compression: false });
+    const w = 64, h = 3000;
+    const img = Buffer.alloc(w * h * 4, 255);
+    const writes = [];
+    assert.isFalse(dev.cancel());
+    return dev.initialise()
+    .then(() => {
+      dev.on(PTouch.WRITE_EVENT, data => {
+        writes.push(data);
+        // Cancel once the first chunk is on its way
+        if (writes.length === 1)
+          assert.isTrue(dev.cancel());
+      });
+      return dev.printImage(img, w, h);
+    })
+    .then(() => assert.fail("Expected an error"), e => {
+      assert(e instanceof PrinterError);
+      assert.equal(e.code, PrinterError.CANCELLED);
+      assert.equal(e.message, "PTouch: Print cancelled");
+      assert.isFalse(dev.cancel());
+      // The printer is cleared and put back in raster mode
+      assert.equal(writes.length, 2);
+      assert.deepEqual(fromBinary(writes[1]).slice(-4), [
+        "Invalidate", "Initialise_clear", "Compress 0", "Command_mode 1"
+      ]);
+      assert.equal(emu.pages.length, 0);
+      // and can print again
+      return dev.printImage(L_img, L_width, L_height);
+    })
+    .then(() => assert.equal(emu.pages.length, 1))
+    .finally(() => dev.close());
+  });
+
+  it("print error", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const dev = new PTouch({ device: emu.transport() });
+    return dev.initialise()
+    .then(() => {
+      emu.error_information = [ 0x02, 0x01 ]; // End of media, Replace media
+      return dev.printImage(L_img, L_width, L_height);
+    })
+    .then(() => assert.fail("Expected an error"), e => {
+      assert(e instanceof PrinterError);
+      assert.equal(e.code, PrinterError.PRINTER_ERROR);
+      assert.deepEqual(e.errors, [ "End of media", "Replace media" ]);
+      assert.equal(e.message, "PTouch: End of media, Replace media");
+      assert.deepEqual(e.status.errors, e.errors);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("print timeout", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    // Printer that never finishes printing
+    emu.print = () => {};
+    const dev = new PTouch({ device: emu.transport(), timeout: 100 });
+    return dev.printImage(L_img, L_width, L_height)
+    .then(() => assert.fail("Expected an error"), e => {
+      assert(e instanceof PrinterError);
+      assert.equal(e.code, PrinterError.TIMEOUT);
+      assert.deepEqual(e.errors, []);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("error event", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const dev = new PTouch({ device: emu.transport() });
+    return dev.initialise()
+    .then(() => new Promise(resolve => {
+      dev.once(PTouchStatus.ERROR_EVENT, resolve);
+      emu.injectError("Cutter jam");
+    }))
+    .then(status => {
+      assert.deepEqual(status.errors, [ "Cutter jam" ]);
+      assert.deepEqual(dev.status.errors, [ "Cutter jam" ]);
+      emu.clearErrors();
+      return dev.requestStatus();
+    })
+    .then(status => {
+      assert.equal(PTouchStatus.Type[status.status_type], "REPLY");
+      assert.deepEqual(status.errors, []);
+      assert.equal(dev.status, status);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("bad status block", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const transport = emu.transport();
+    const logged = [];
+    const dev = new PTouch({
+      device: transport,
+      debug: (...args) => logged.push(args.join(" "))
+    });
+    return dev.initialise()
+    .then(() => {
+      // Unknown device code
+      const bad = Buffer.alloc(32);
+      bad.set([ 0x80, 0x20, 0x42, 0x30, 0xEE, 0x30 ]);
+      transport.push(bad);
+      // Polling should carry on
+      return dev.requestStatus();
+    })
+    .then(status => {
+      assert.equal(status.model, "PT-P700");
+      assert.deepEqual(logged.filter(m => /bad status/.test(m)), [
+        "PTouch: bad status report PTouchStatus: Unsupported device code 0xee"
+      ]);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("command mode", () => {
+    // Initialise, and return the commands that set up the printer
+    function setup(model) {
+      const transport = new MemoryTransport();
+      const dev = new PTouch({
+        device: transport, model: model, write_only: true
+      });
+      return dev.initialise()
+      .then(() => fromBinary(transport.data).slice(200));
+    }
+
+    return setup("PT1230")
+    .then(cmds => assert.deepEqual(cmds, [
+      "Initialise_clear", "Compress 0", "Raster_mode 1" ]))
+    .then(() => setup("PT-P700"))
+    .then(cmds => assert.deepEqual(cmds, [
+      "Initialise_clear", "Compress 2", "Command_mode 1" ]))
+    .then(() => setup("PT-P910BT"))
+    .then(cmds => assert.deepEqual(cmds, [
+      "Initialise_clear", "Compress 2", "Command_mode 1" ]));
+  });
+
+  it("cutter options", () => {
+    // Print with options, and return the commands sent before the
+    // first raster
+    function cutter(model, options) {
+      const transport = new MemoryTransport();
+      const dev = new PTouch({
+        device: transport, model: model, write_only: true
+      });
+      return dev.printImage(L_img, L_width, L_height, options)
+      .then(() => {
+        const text = fromBinary(transport.data);
+        // Skip Invalidate * 200, Initialise_clear, Compress, and
+        // Raster_mode or Command_mode
+        return text.slice(203, text.findIndex(
+          t => t === "Empty_raster" || /^Raster /.test(t)))
+        .filter(t => !/^(Print_information|Feed)/.test(t));
+      });
+    }
+
+    return cutter("PT1230", { auto_cut: true })
+    .then(cmds => assert.deepEqual(cmds, []))
+    .then(() => cutter("PT-P700", {}))
+    .then(cmds => assert.deepEqual(cmds, [
+      "Mode 64", "Advanced_mode 8" ]))
+    .then(() => cutter("PT-P700", {
+      auto_cut: false, chain: true, half_cut: true, cut_every: 3 }))
+    .then(cmds => assert.deepEqual(cmds, [
+      "Mode 0", "Advanced_mode 0" ]))
+    .then(() => cutter("PT-P900", { half_cut: true, cut_every: 3 }))
+    .then(cmds => assert.deepEqual(cmds, [
+      "Mode 64", "Cut_every 3", "Advanced_mode 12" ]));
+  });
+
+  it("print information", () => {
+    // Print an image wide enough for 3 tape runs, and return the
+    // print information sent
+    function info(model) {
+      const transport = new MemoryTransport();
+      const dev = new PTouch({
+        device: transport, model: model, write_only: true
+      });
+      const w = 2 * dev.status.printable_width_px + 1, h = 5;
+      return dev.printImage(Buffer.alloc(w * h * 4), w, h)
+      .then(() => fromBinary(transport.data)
+            .filter(t => /^Print_information/.test(t)));
+    }
+
+    return info("PT1230")
+    .then(pi => assert.deepEqual(pi, []))
+    .then(() => info("PT-P700"))
+    .then(pi => assert.deepEqual(pi, [
+      // KIND|WIDTH|RECOVER, laminated, 12mm, continuous, 5 rasters, page
+      "Print_information 134 1 12 0 5 0",
+      "Print_information 134 1 12 0 5 1",
+      "Print_information 134 1 12 0 5 1"
+    ]))
+    .then(() => info("PT-P900"))
+    .then(pi => assert.deepEqual(pi, [
+      "Print_information 134 1 36 0 5 0",
+      "Print_information 134 1 36 0 5 1",
+      "Print_information 134 1 36 0 5 2"
+    ]));
+  });
+
+  it("margins", () => {
+    // Print a single black raster with the given margin, and return
+    // the Feed commands and the number of empty rasters before and
+    // after it
+    function margins(model, margin_mm) {
+      const transport = new MemoryTransport();
+      const dev = new PTouch({
+        device: transport, model: model, write_only: true
+      });
+      const img = Buffer.alloc(8 * 4, 255);
+      return dev.printImage(img, 8, 1, { margin_mm: margin_mm })
+      .then(() => {
+        const text = fromBinary(transport.data);
+        const raster = text.findIndex(t => /^Raster /.test(t));
+        const print = text.indexOf("Print 0");
+        const empty = t => t === "Empty_raster";
+        return {
+          feed: text.filter(t => /^Feed/.test(t)),
+          before: text.slice(0, raster).filter(empty).length,
+          after: text.slice(raster + 1, print).filter(empty).length
+        };
+      });
+    }
+
+    // 5mm is 36 dots at 180dpi, 71 at 360dpi
+    return margins("PT1230", 5)
+    .then(m => assert.deepEqual(m, { feed: [], before: 36, after: 36 }))
+    .then(() => margins("PT500", 5))
+    .then(m => assert.deepEqual(m, { feed: [], before: 36, after: 36 }))
+    .then(() => margins("PT-P700", 5))
+    .then(m => assert.deepEqual(m, { feed: [ "Feed 36" ], before: 0, after: 0 }))
+    .then(() => margins("PT-P900", 5))
+    .then(m => assert.deepEqual(m, { feed: [ "Feed 71" ], before: 0, after: 0 }))
+    // By default there is no margin
+    .then(() => margins("PT500"))
+    .then(m => assert.deepEqual(m, { feed: [], before: 0, after: 0 }))
+    .then(() => margins("PT-P700"))
+    .then(m => assert.deepEqual(m, { feed: [], before: 0, after: 0 }))
+    // No margin; FEED_AMOUNT has a minimum of 14 dots
+    .then(() => margins("PT500", 0))
+    .then(m => assert.deepEqual(m, { feed: [], before: 0, after: 0 }))
+    .then(() => margins("PT-P700", 0))
+    .then(m => assert.deepEqual(m, { feed: [ "Feed 14" ], before: 0, after: 0 }))
+    // and a maximum of 127mm
+    .then(() => margins("PT-P700", 200))
+    .then(m => assert.deepEqual(m, { feed: [ "Feed 903" ], before: 0, after: 0 }));
+  });
+
+  it("high resolution", () => {
+    // Print a single black raster in high resolution, and return the
+    // printer and the Feed commands
+    function print(model, margin_mm) {
+      const emu = new Emulator({ model: model });
+      const dev = new PTouch({ device: emu.transport(), high_resolution: true });
+      const sent = recordWrites(dev);
+      const img = Buffer.alloc(8 * 4, 255);
+      return dev.initialise()
+      .then(() => dev.printImage(img, 8, 1, { margin_mm: margin_mm }))
+      .then(() => ({
+        dev: dev, emu: emu,
+        feed: sent().filter(t => /^Feed/.test(t))
+      }))
+      .finally(() => dev.close());
+    }
+
+    return print("PT-P900", 5)
+    .then(p => {
+      assert(p.dev.high_resolution);
+      // Survives status reports
+      assert(p.dev.status.high_resolution);
+      assert.closeTo(p.dev.status.pixel_length_mm,
+                     p.dev.status.pixel_size_mm / 2, 1e-9);
+      assert.equal(p.emu.advanced_mode & 0x40, 0x40);
+      // Twice as many dots along the tape
+      assert.deepEqual(p.feed, [ "Feed 142" ]);
+      assert.equal(p.emu.pages.length, 1);
+    })
+    // The minimum FEED_AMOUNT doubles too
+    .then(() => print("PT-P900", 0))
+    .then(p => assert.deepEqual(p.feed, [ "Feed 28" ]))
+    // Ignored by models that can't print in high resolution
+    .then(() => print("PT-P910BT", 5))
+    .then(p => {
+      assert.isFalse(p.dev.high_resolution);
+      assert.equal(p.dev.status.pixel_length_mm, p.dev.status.pixel_size_mm);
+      assert.equal(p.emu.advanced_mode & 0x40, 0);
+      assert.deepEqual(p.feed, [ "Feed 71" ]);
+    });
+  });
+
+  it("tape pins", () => {
+    // Print a single black raster as wide as the print area, and
+    // return the pins it printed on
+    function pins(model, media_width_mm) {
+      const emu = new Emulator({
+        model: model, media_width_mm: media_width_mm
+      });
+      const dev = new PTouch({ device: emu.transport(), compression: false });
+      const sent = recordWrites(dev);
+      return dev.initialise()
+      .then(() => {
+        const w = dev.status.printable_width_px;
+        return dev.printImage(Buffer.alloc(w * 4, 255), w, 1);
+      })
+      .then(() => {
+        const raster = sent()
+              .find(t => /^Raster /.test(t)).split(" ")[1];
+        const bits = raster.replace(/../g, b => parseInt(b, 16)
+                                    .toString(2).padStart(8, "0"));
+        return [ bits.indexOf("1"), bits.lastIndexOf("1") + 1 - bits.indexOf("1") ];
+      })
+      .finally(() => dev.close());
+    }
+
+    // [ model, tape width reported, left margin pins, print area pins ]
+    const cases = [
+      // 3.5mm tape is reported as 4mm
+      [ "PT-P700", 4, 52, 24 ],
+      [ "PT-P700", 6, 48, 32 ],
+      [ "PT-P700", 9, 39, 50 ],
+      [ "PT-P700", 12, 29, 70 ],
+      [ "PT-P700", 18, 8, 112 ],
+      [ "PT-P700", 24, 0, 128 ],
+      [ "PT-P900", 4, 248, 48 ],
+      [ "PT-P900", 6, 240, 64 ],
+      [ "PT-P900", 9, 219, 106 ],
+      [ "PT-P900", 12, 197, 150 ],
+      [ "PT-P900", 18, 155, 234 ],
+      [ "PT-P900", 24, 112, 320 ],
+      [ "PT-P900", 36, 45, 454 ],
+      [ "PT1230", 12, 32, 64 ],
+      // Not in the table, so centred
+      [ "PT1230", 6, 43, 42 ]
+    ];
+    return Promise.all(cases.map(
+      ([ model, tape, left, printable ]) => pins(model, tape)
+      .then(p => assert.deepEqual(p, [ left, printable ], `${model} ${tape}mm`))));
+  });
+
+  it("QL die-cut labels", () => {
+    const emu = new Emulator({ model: "QL-700", media_length_mm: 29 });
+    const dev = new PTouch({ device: emu.transport() });
+    const sent = recordWrites(dev);
+    // 350 rasters is 29.6mm at 300dpi
+    const long = Buffer.alloc(8 * 350 * 4, 255);
+    return dev.printImage(long, 8, 350)
+    .then(() => assert.fail("Expected an error"), e => {
+      assert.equal(e.code, PrinterError.MEDIA_MISMATCH);
+      assert.equal(e.message, "PTouch: Label is 29.6mm long, but the die-cut labels loaded are 29mm long");
+      assert.equal(PTouchStatus.describeMedia(dev.status),
+                   "62x29mm die-cut labels");
+      return dev.printImage(L_img, L_width, L_height);
+    })
+    .then(() => {
+      const text = sent();
+      // No margin on die-cut labels
+      assert.deepEqual(text.filter(t => /^Feed/.test(t)), [ "Feed 0" ]);
+      // Media type, width and length are all valid
+      assert.include(text, "Print_information 142 11 62 29 22 0");
+      // Uncompressed QL rasters cover every pin
+      const rasters = text.filter(t => /^Ql_raster /.test(t));
+      assert.equal(rasters.length, 12);
+      for (const r of rasters)
+        assert.equal(r.length, "Ql_raster ".length + 2 * 90);
+      assert.equal(emu.pages.length, 1);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("QL two colour", () => {
+    // 2x2 image, black top left and red bottom right
+    const img = Buffer.alloc(2 * 2 * 4);
+    img.set([ 0, 0, 0, 255 ], 0);
+    img.set([ 255, 0, 0, 255 ], 12);
+
+    // Get a pixel from a rendered page. There is no margin before
+    // the label.
+    function rgb({ data, info }, x, y) {
+      const offset = (y * info.width + x) * info.channels;
+      return Array.from(data.subarray(offset, offset + 3));
+    }
+
+    // Print the image, and return the commands (with trailing empty
+    // bytes trimmed from rasters) and the rendered page
+    function print(model) {
+      const emu = new Emulator({ model: model });
+      const dev = new PTouch({ device: emu.transport() });
+      const sent = recordWrites(dev);
+      const printed = new Promise(
+        resolve => emu.once(Emulator.PRINTED_EVENT, resolve));
+      return dev.printImage(img, 2, 2)
+      .then(() => printed)
+      .then(png => Sharp(png).raw().toBuffer({ resolveWithObject: true }))
+      .then(page => ({
+        page: page,
+        text: sent().map(t => t.replace(/(00)+$/, ""))
+      }))
+      .finally(() => dev.close());
+    }
+
+    return print("QL-820NWB")
+    .then(({ text, page }) => {
+      // Two colour, and cut at the end
+      assert.include(text, "Advanced_mode 9");
+      // Black then red for each raster. The 62mm tape starts at pin 12.
+      assert.deepEqual(text.filter(t => /_raster /.test(t)), [
+        "Colour_raster 1 ", "Colour_raster 2 0004",
+        "Colour_raster 1 0008", "Colour_raster 2 "
+      ]);
+      assert.deepEqual(rgb(page, 1, 706), [ 255, 0, 0 ]);
+      assert.deepEqual(rgb(page, 0, 707), [ 0, 0, 0 ]);
+      assert.deepEqual(rgb(page, 0, 706), [ 255, 255, 255 ]);
+    })
+    // Red is printed black on models without two colour printing
+    .then(() => print("QL-700"))
+    .then(({ text, page }) => {
+      assert.include(text, "Advanced_mode 8");
+      assert.deepEqual(text.filter(t => /_raster /.test(t)), [
+        "Ql_raster 0004", "Ql_raster 0008"
+      ]);
+      assert.deepEqual(rgb(page, 1, 706), [ 0, 0, 0 ]);
+    });
+  });
+
+  it("hot plug", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const transport = emu.transport();
+    const dev = new PTouch({ device: transport, reconnect: 50 });
+    const unplugged = () => Promise.reject(new Error("EIO"));
+    assert.isFalse(dev.status.online);
+    return dev.initialise()
+    .then(() => {
+      assert(dev.status.online);
+      return new Promise(resolve => {
+        dev.once(PTouchStatus.UPDATE_EVENT, resolve);
+        transport.read = unplugged;
+      });
+    })
+    .then(status => {
+      assert.isFalse(status.online);
+      assert.isFalse(dev.initialised);
+      return dev.printImage(L_img, L_width, L_height);
+    })
+    .then(() => assert.fail("Expected an error"), e => {
+      assert.equal(e.message, "EIO");
+      assert.equal(emu.pages.length, 0);
+      // Plug it back in; it is initialised again without being asked
+      return new Promise(resolve => {
+        dev.once(PTouchStatus.UPDATE_EVENT, resolve);
+        delete transport.read;
+      });
+    })
+    .then(status => {
+      assert(status.online);
+      return dev.printImage(L_img, L_width, L_height);
+    })
+    .then(() => assert.equal(emu.pages.length, 1))
+    .finally(() => dev.close());
+  });
+
+  it("initialise timeout", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    // Printer that never replies
+    emu.sendStatus = () => {};
+    const dev = new PTouch({ device: emu.transport(), timeout: 100,
+                             reconnect: 0 });
+    return dev.initialise()
+    .then(() => assert.fail("Expected an error"), e => {
+      assert(e instanceof PrinterError);
+      assert.equal(e.code, PrinterError.TIMEOUT);
+      assert.isFalse(dev.status.online);
+      assert.isFalse(dev.initialised);
+    })
+    .finally(() => dev.close());
+  });
+
+  it("media mismatch", () => {
+    const emu = new Emulator({ model: "PT-P700", media_width_mm: 9 });
+    const dev = new PTouch({ device: emu.transport() });
+    return dev.printImage(L_img, L_width, L_height, { media_width_mm: 12 })
+    .then(() => assert.fail("Expected an error"), e => {
+      assert(e instanceof PrinterError);
+      assert.equal(e.code, PrinterError.MEDIA_MISMATCH);
+      assert.equal(e.message, "PTouch: Label was designed for 12mm tape, but 9mm tape is loaded");
+      assert.equal(emu.pages.length, 0);
+      return dev.printImage(L_img, L_width, L_height, { media_width_mm: 9 });
+    })
+    .then(() => assert.equal(emu.pages.length, 1))
+    .finally(() => dev.close());
+  });
 });
@@ -0,0 +1,120 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import { PTouchStatus } from "../src/PTouchStatus.js";
+
+describe("PTouchStatus", () => {
+
+  it("decode errors", () => {
+    assert.deepEqual(PTouchStatus.decodeErrors(undefined), []);
+    assert.deepEqual(PTouchStatus.decodeErrors(0), []);
+    // Error information 1 is in the high byte
+    assert.deepEqual(PTouchStatus.decodeErrors(0x0100), [ "No media" ]);
+    assert.deepEqual(PTouchStatus.decodeErrors(0x4000),
+                     [ "High-voltage adapter" ]);
+    assert.deepEqual(PTouchStatus.decodeErrors(0x0410),
+                     [ "Cutter jam", "Cover open" ]);
+    assert.deepEqual(PTouchStatus.decodeErrors(0x0080), [ "System error" ]);
+  });
+
+  /**
+   * Construct a raw status block for a PT-P700
+   */
+  function rawStatus(bytes) {
+    const raw = Buffer.alloc(32);
+    raw.set([ 0x80, 0x20, 0x42, 0x30, 0x67, 0x30 ]);
+    for (const i of Object.keys(bytes))
+      raw[i] = bytes[i];
+    return raw;
+  }
+
+  it("parse errors", () => {
+    let s = new PTouchStatus(rawStatus({ 10: 12, 11: 1 }));
+    assert.equal(s.model, "PT-P700");
+    assert.equal(s.error_information, 0);
+    assert.deepEqual(s.errors, []);
+
+    s = new PTouchStatus(rawStatus({ 8: 0x01, 9: 0x10, 18: 2 }));
+    assert.equal(PTouchStatus.Type[s.status_type], "ERROR");
+    assert.equal(s.error_information, 0x0110);
+    assert.deepEqual(s.errors, [ "No media", "Cover open" ]);
+  });
+
+  it("printing sub-states", () => {
+    // Cover open while receiving
+    let s = new PTouchStatus(rawStatus({ 18: 6, 19: 1, 21: 0x14 }));
+    assert.equal(PTouchStatus.Phase[s.phase], "PRINTING");
+    assert.deepEqual(s.errors, [ "Cover open" ]);
+
+    // Not used
+    s = new PTouchStatus(rawStatus({ 18: 6, 19: 1, 21: 0x19 }));
+    assert.equal(PTouchStatus.Phase[s.phase], "PRINTING");
+    assert.deepEqual(s.errors, []);
+  });
+
+  it("copy", () => {
+    const s = PTouchStatus.from({ media_width_mm: 9, raster_px: 128, raster_mm: 18 });
+    assert.equal(s.media_width_mm, 9);
+    assert.deepEqual(s.errors, []);
+    const t = PTouchStatus.from(new PTouchStatus(rawStatus({ 8: 0x04 })));
+    assert.deepEqual(t.errors, [ "Cutter jam" ]);
+    // Pixels are square unless printing in high resolution
+    assert.equal(s.pixel_length_mm, s.pixel_size_mm);
+    s.copy({ high_resolution: true });
+    assert.equal(s.media_width_mm, 9);
+    assert.equal(s.pixel_length_mm, s.pixel_size_mm / 2);
+  });
+
+  it("other fields", () => {
+    const s = new PTouchStatus(rawStatus({
+      10: 12, 11: 0x01, 15: 0x40, 17: 0, 18: 5, 22: 0x01,
+      24: 0x06, 25: 0x08, 26: 1, 27: 2, 28: 3, 29: 4
+    }));
+    assert.equal(PTouchStatus.Type[s.status_type], "NOTIFICATION");
+    assert.equal(s.mode, 0x40);
+    assert(s.auto_cut);
+    assert(!s.mirror_printing);
+    assert.equal(s.media_length_mm, 0);
+    assert.equal(PTouchStatus.NOTIFICATIONS[s.notification], "Cover open");
+    assert(s.cover_open);
+    assert.equal(PTouchStatus.TAPE_COLOURS[s.tape_colour], "Yellow");
+    assert.equal(PTouchStatus.TEXT_COLOURS[s.text_colour], "Black");
+    assert.deepEqual(s.hardware_settings, [ 1, 2, 3, 4 ]);
+
+    // Survives serialisation, as in /ajax/status
+    const t = PTouchStatus.from(JSON.parse(JSON.stringify(s)));
+    assert.deepEqual(t, s);
+  });
+
+  it("QL", () => {
+    const raw = rawStatus({
+      3: 0x34, 4: 0x38, 9: 0x20, 10: 62, 11: 0x0B, 17: 29
+    });
+    const s = new PTouchStatus(raw);
+    assert.equal(s.model, "QL-800");
+    assert.equal(PTouchStatus.MEDIA_TYPES[s.media_type], "Die-cut labels");
+    assert.equal(s.media_length_mm, 29);
+    assert.equal(s.printable_width_px, 696);
+    assert.equal(s.left_margin_px, 12);
+    // QL error bits
+    assert.deepEqual(s.errors, [ "Cancel key" ]);
+    assert.equal(PTouchStatus.describeMedia(s), "62x29mm die-cut labels");
+
+    // QL device codes are only known in the QL series
+    raw[3] = 0x30;
+    assert.throws(() => new PTouchStatus(raw),
+                  "PTouchStatus: Unsupported device code 0x38");
+  });
+
+  it("describe media", () => {
+    assert.equal(PTouchStatus.describeMedia(new PTouchStatus(rawStatus({
+      10: 12, 11: 0x01, 24: 0x06, 25: 0x08
+    }))), "12mm black on yellow laminated");
+    assert.equal(PTouchStatus.describeMedia(new PTouchStatus(rawStatus({
+      10: 24, 11: 0x11, 24: 0x70
+    }))), "24mm white (heat-shrink tube) heat shrink 2:1");
+    // Model defaultStatus has a media type name, and no colours
+    assert.equal(PTouchStatus.describeMedia(
+      { media_width_mm: 12, media_type: "Laminated" }), "12mm laminated");
+  });
+});
@@ -0,0 +1,39 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+
+import { assert } from "chai";
+import { packBits, unpackBits } from "../src/PackBits.js";
+
+describe("PackBits", () => {
+
+  it("reference example", () => {
+    // Example from "Select compression mode" in the PT-P700 reference
+    const raw = [
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+      0x22, 0x22, 0x23, 0xBA, 0xBF, 0xA2, 0x22, 0x2B ];
+    const packed = [
+      0xED, 0x00, 0xFF, 0x22, 0x05, 0x23, 0xBA, 0xBF, 0xA2, 0x22, 0x2B ];
+    assert.deepEqual(packBits(raw), packed);
+    assert.deepEqual(unpackBits(packed), raw);
+  });
+
+  it("empty raster", () => {
+    const raw = new Uint8Array(16);
+    assert.deepEqual(packBits(raw), [ 0xF1, 0x00 ]);
+    assert.deepEqual(unpackBits([ 0xF1, 0x00 ]), Array.from(raw));
+  });
+
+  it("incompressible", () => {
+    const raw = [ 1, 2, 1, 2, 1, 2, 1, 2, 1, 2, 1, 2, 1, 2, 1, 2 ];
+    assert.deepEqual(packBits(raw), [ 15, ...raw ]);
+    assert.deepEqual(unpackBits(packBits(raw)), raw);
+  });
+
+  it("long runs", () => {
+    const raw = [];
+    for (let i = 0; i < 300; i++)
+      raw.push(i < 200 ? 0xFF : i % 7);
+    assert.deepEqual(unpackBits(packBits(raw)), raw);
+  });
+});
@@ -0,0 +1,142 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import { PTouch } from "../src/PTouch.js";
+import { PrintJob, PrintQueue } from "../src/PrintQueue.js";
+import { Emulator } from "../src/Emulator.js";
+import { MemoryTransport } from "../src/Transport.js";
+
+// 2x2 image with one black pixel
+const img = Buffer.alloc(2 * 2 * 4);
+img[3] = 255;
+
+/**
+ * Promise that resolves when all the given jobs are finished.
+ */
+function finished(queue, jobs) {
+  return new Promise(resolve => {
+    const check = () => {
+      if (jobs.every(job => job.isFinished())) {
+        queue.off(PrintQueue.JOB_EVENT, check);
+        resolve();
+      }
+    };
+    queue.on(PrintQueue.JOB_EVENT, check);
+    check();
+  });
+}
+
+describe("PrintQueue", () => {
+
+  it("prints jobs in order", () => {
+    const emu = new Emulator({ model: "PT-P700" });
+    const printer = new PTouch({ device: emu.transport() });
+    const queue = new PrintQueue({ printer: printer });
+    const events = [];
+    queue.on(PrintQueue.JOB_EVENT, job => events.push(`${job.id} ${job.state}`));
+    const jobs = [ queue.add(img, 2, 2), queue.add(img, 2, 2) ];
+    assert.deepEqual(jobs.map(j => j.id), [ 1, 2 ]);
+    assert.equal(queue.get(2), jobs[1]);
+    assert.isUndefined(queue.get(3));
+    return finished(queue, jobs)
+    .then(() => {
+      assert.deepEqual(events, [
+        "1 queued", "1 sending", "2 queued",
+        "1 printing", "1 done",
+        "2 sending", "2 printing", "2 done"
+      ]);
+      assert.equal(emu.pages.length, 2);
+      // Image is released once printed
+      assert.isUndefined(jobs[0].image);
+      assert.deepEqual(JSON.parse(JSON.stringify(jobs[0])), {
+        id: 1, state: "done", width: 2, height: 2, options: {},
+        created: jobs[0].created, finished: jobs[0].finished,
+        errors: []
+      });
+    })
+    .finally(() => printer.close());
+  });
+
+  it("cancel", () => {
+    const emu = new Emulator();
+    const printer = new PTouch({ device: emu.transport() });
+    const queue = new PrintQueue({ printer: printer });
+    const jobs = [
+      queue.add(img, 2, 2), queue.add(img, 2, 2), queue.add(img, 2, 2)
+    ];
+    // The first job has started, but is still being sent
+    assert.equal(jobs[0].state, PrintJob.State.SENDING);
+    assert.isTrue(queue.cancel(1));
+    assert.isTrue(queue.cancel(2));
+    assert.equal(jobs[1].state, PrintJob.State.CANCELLED);
+    assert.throws(() => queue.cancel(4), /Unknown job 4/);
+    return finished(queue, jobs)
+    .then(() => {
+      assert.equal(jobs[0].state, PrintJob.State.CANCELLED);
+      assert.equal(jobs[0].error, "PTouch: Print cancelled");
+      assert.equal(jobs[2].state, PrintJob.State.DONE);
+      assert.equal(emu.pages.length, 1);
+      // Too late
+      assert.isFalse(queue.cancel(3));
+    })
+    .finally(() => printer.close());
+  });
+
+  it("printer error", () => {
+    const emu = new Emulator({ model: "PT-P900" });
+    const printer = new PTouch({ device: emu.transport() });
+    const queue = new PrintQueue({ printer: printer });
+    let job;
+    return printer.initialise()
+    .then(() => {
+      emu.error_information[0] = 0x01; // No media
+      job = queue.add(img, 2, 2);
+      return finished(queue, [ job ]);
+    })
+    .then(() => {
+      assert.equal(job.state, PrintJob.State.FAILED);
+      assert.equal(job.error, "PTouch: No media");
+      assert.deepEqual(job.errors, [ "No media" ]);
+      // The queue carries on with the next job
+      emu.clearErrors();
+      job = queue.add(img, 2, 2);
+      return finished(queue, [ job ]);
+    })
+    .then(() => assert.equal(job.state, PrintJob.State.DONE))
+    .finally(() => printer.close());
+  });
+
+  it("timeout", () => {
+    const emu = new Emulator();
+    // Printer that never finishes printing
+    emu.print = () => {};
+    const printer = new PTouch({ device: emu.transport(), timeout: 100 });
+    const queue = new PrintQueue({ printer: printer });
+    const job = queue.add(img, 2, 2);
+    return finished(queue, [ job ])
+    .then(() => {
+      assert.equal(job.state, PrintJob.State.FAILED);
+      assert.equal(job.error, "PTouch: Timed out waiting for the printer");
+    })
+    .finally(() => printer.close());
+  });
+
+  it("write only", () => {
+    const transport = new MemoryTransport();
+    const printer = new PTouch({
+      device: transport, model: "PT1230", write_only: true
+    });
+    const queue = new PrintQueue({ printer: printer, history: 2 });
+    const jobs = [
+      queue.add(img, 2, 2), queue.add(img, 2, 2), queue.add(img, 2, 2)
+    ];
+    return finished(queue, jobs)
+    .then(() => {
+      assert(jobs.every(j => j.state === PrintJob.State.DONE));
+      assert(transport.data.length > 0);
+      // Only the last two are remembered
+      assert.deepEqual(queue.all().map(j => j.id), [ 2, 3 ]);
+    })
+    .finally(() => printer.close());
+  });
+});
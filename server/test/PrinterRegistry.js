@@ -0,0 +1,77 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { promises as Fs } from "node:fs";
+import Path from "node:path";
+import { assert } from "chai";
+import { PrinterRegistry } from "../src/PrinterRegistry.js";
+import { MemoryTransport } from "../src/Transport.js";
+import tmp from 'tmp-promise';
+
+describe("PrinterRegistry", () => {
+
+  it("add", () => {
+    const registry = new PrinterRegistry();
+    const office = registry.add("office", {
+      device: new MemoryTransport(), model: "PT-P700", write_only: true
+    });
+    const shipping = registry.add("shipping", {
+      device: new MemoryTransport(), model: "QL-820NWB", write_only: true
+    });
+    assert.equal(registry.get("office"), office);
+    assert.isUndefined(registry.get("warehouse"));
+    assert.equal(registry.default(), office);
+    assert.deepEqual(registry.all(), [ office, shipping ]);
+
+    // Each printer has its own queue
+    assert.equal(office.queue.printer, office.printer);
+    assert.notEqual(office.queue, shipping.queue);
+    assert.equal(shipping.printer.model.name, "QL-820NWB");
+    const json = JSON.parse(JSON.stringify(shipping));
+    assert.equal(json.name, "shipping");
+    assert.equal(json.model, "QL-820NWB");
+    assert.equal(json.device, "memory");
+    assert.equal(json.status.model, "QL-820NWB");
+
+    assert.throws(() => registry.add("office", { device: "/dev/null" }),
+                  "PrinterRegistry: office is already registered");
+    assert.throws(() => registry.add("back office", { device: "/dev/null" }),
+                  'PrinterRegistry: Bad printer name "back office"');
+    assert.throws(() => registry.add("garage", {}),
+                  "PrinterRegistry: garage needs a device");
+    assert.throws(() => registry.add("garage", {
+      device: "/dev/null", model: "TD-4000"
+    }), "PrinterRegistry: garage has unknown model TD-4000");
+    assert.throws(() => registry.add("garage", {
+      device: "/dev/null", write_only: true
+    }), "PrinterRegistry: garage is write only, so needs a model");
+    registry.close();
+  });
+
+  it("load", () => {
+    return tmp.dir({ unsafeCleanup: true })
+    .then(dir => {
+      const file = Path.join(dir.path, "printers.json");
+      return Fs.writeFile(file, JSON.stringify({
+        office: { device: "tcp://office:9100", model: "PT-P950NW" },
+        shipping: {
+          device: "tcp://shipping", model: "QL-800", timeout: 10
+        }
+      }))
+      .then(() => PrinterRegistry.load(file))
+      .then(registry => {
+        assert.deepEqual(registry.all().map(p => p.toJSON().device),
+                         [ "tcp://office:9100", "tcp://shipping:9100" ]);
+        assert.equal(registry.get("office").printer.model.name, "PT-P950NW");
+        // Timeout is in seconds
+        assert.equal(registry.get("shipping").printer.timeout, 10000);
+        assert.equal(registry.get("office").printer.timeout, 60000);
+      })
+      .then(() => Fs.writeFile(file, "{"))
+      .then(() => PrinterRegistry.load(file))
+      .then(() => assert.fail("Expected an error"), e => {
+        assert.match(e.message, /^PrinterRegistry: .*printers.json: /);
+      })
+      .finally(() => dir.cleanup());
+    });
+  });
+});
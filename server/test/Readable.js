@@ -10,17 +10,108 @@ const commands = [
   "Initialise_clear",
   "Compress 0",
   "Raster_mode 1",
+  "Command_mode 1",
+  "Auto_status 1",
+  "Mode 64",
+  "Cut_every 2",
+  "Advanced_mode 12",
+  "Print_information 134 1 12 0 70000 2",
   "Feed 0",
+  "Print_information_c 14 1 24 0 1",
+  "Baud_rate 1152",
   "Empty_raster",
   "Raster 020406080a0c0e1030507090b0d0f0",
+  "Raster_g 020406080a0c0e1030507090b0d0f0",
   "Print 0",
   "Print 1"
 ];
 
+const ql_commands = [
+  "Initialise_clear",
+  "Print_information 134 10 62 0 3 0",
+  "Ql_raster 020406080a0c0e1030507090b0d0f0",
+  "Colour_raster 2 020406080a0c0e1030507090b0d0f0",
+  "Print 1"
+];
+
 describe("Readable", () => {
   it("to/from binary", () => {
     const buffer = toBinary(commands);
     const back = fromBinary(buffer);
     assert.deepEqual(back, commands);
+    assert.deepEqual(fromBinary(toBinary(ql_commands)), ql_commands);
+  });
+
+  it("P-touch or QL rasters", () => {
+    // A 256 byte P-touch raster starts g 0x00, like a QL raster
+    const raster = `Raster_g ${"f0".repeat(256)}`;
+    const buffer = toBinary([ raster ]);
+    assert.deepEqual([ ...buffer.slice(0, 3) ], [ 0x67, 0x00, 0x01 ]);
+    assert.deepEqual(fromBinary(buffer, { ql: false }), [ raster ]);
+    // Told apart by the media, or other rasters, earlier in the stream
+    for (const before of [ "Print_information 134 1 24 0 1 0",
+                           "Raster 00" ]) {
+      const commands = [ before, raster ];
+      assert.deepEqual(fromBinary(toBinary(commands)), commands);
+    }
+    // Without either, g 0x00 is a QL raster
+    const ql = toBinary([ "Ql_raster 0102" ]);
+    assert.deepEqual(fromBinary(ql), [ "Ql_raster 0102" ]);
+    assert.deepEqual(fromBinary(ql, { ql: true }), [ "Ql_raster 0102" ]);
+    // The printer, if known, overrides the stream
+    const mixed = [ "Raster 00", "Ql_raster 0102" ];
+    assert.deepEqual(fromBinary(toBinary(mixed), { ql: true }), mixed);
+    assert.throws(() => fromBinary(toBinary(mixed)), /Truncated/);
+  });
+
+  it("to/from compressed binary", () => {
+    const compressed = [
+      "Compress 2",
+      "Raster 0000000000000000000000007f7f7f7f",
+      "Raster 020406080a0c0e1030507090b0d0f0",
+      "Compress 0",
+      "Raster 00000000000000000000000000000000"
+    ];
+    const buffer = toBinary(compressed);
+    // First raster is G 0x04 0x00 0xF5 0x00 0xFD 0x7F
+    assert.deepEqual(Array.from(buffer.slice(2, 11)),
+                     [ 0x47, 0x04, 0x00, 0xF5, 0x00, 0xFD, 0x7F,
+                       0x47, 0x10 ]);
+    const back = fromBinary(buffer);
+    assert.deepEqual(back, compressed);
+  });
+
+  it("ascii art", () => {
+    const buffer = toBinary([ "Compress 2", "Raster 00f081", "Empty_raster" ]);
+    const art = fromBinary(buffer, { art: true });
+    assert.deepEqual(art, [
+      "Compress 2", "Raster ........####....#......#", "Empty_raster"
+    ]);
+    // Art is assembled just like hex
+    assert.deepEqual(toBinary(art), buffer);
+    assert.deepEqual([ ...toBinary([ "Ql_raster .#......#" ]) ],
+                     [ 0x67, 0x00, 0x02, 0x40, 0x80 ]);
+  });
+
+  it("comments and blank lines", () => {
+    assert.deepEqual([ ...toBinary([ "# Reset", "", "Initialise_clear" ]) ],
+                     [ 0x1B, 0x40 ]);
+    assert.throws(() => toBinary([ "Eject" ]), "toBinary error at Eject");
+  });
+
+  it("unknown and truncated", () => {
+    // ESC i U is undocumented
+    const buffer = Buffer.from([ 0x1B, 0x40, 0x1B, 0x69, 0x55, 0x4A ]);
+    assert.throws(() => fromBinary(buffer),
+                  "Readable: Unknown command 0x1b 0x69 0x55 at offset 2");
+    const text = fromBinary(buffer, { unknown: true });
+    assert.deepEqual(text, [
+      "Initialise_clear", "Unknown 1b", "Unknown 69", "Unknown 55",
+      "Unknown 4a"
+    ]);
+    assert.deepEqual(toBinary(text), buffer);
+
+    assert.throws(() => fromBinary(Buffer.from([ 0x47, 0x10, 0x00, 0x01 ])),
+                  "Readable: Truncated command at offset 0");
   });
 });
@@ -0,0 +1,83 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import Sharp from "sharp";
+import { Server } from "../src/Server.js";
+import { PrinterRegistry } from "../src/PrinterRegistry.js";
+import { Emulator } from "../src/Emulator.js";
+
+describe("Server", () => {
+
+  let server, printers, http, url;
+
+  beforeEach(() => {
+    const emu = new Emulator({ model: "PT-P700", media_width_mm: 12 });
+    printers = new PrinterRegistry();
+    printers.add("p700", { device: emu.transport(), model: "PT-P700" });
+    server = new Server({ printers: printers, docRoot: "../browser" });
+    return printers.get("p700").printer.initialise()
+    .then(() => new Promise(resolve => {
+      http = server.express.listen(0, "localhost", () => {
+        url = `http://localhost:${http.address().port}/ajax/printers/p700`;
+        resolve();
+      });
+    }));
+  });
+
+  afterEach(() => {
+    printers.close();
+    return new Promise(resolve => http.close(resolve));
+  });
+
+  /**
+   * Promise to post a label as the UI does, as a PNG data URL with
+   * the width of the tape it was rendered for
+   */
+  function post(path, media_width_mm) {
+    const image = Buffer.alloc(8 * 8 * 4);
+    image[3] = 255;
+    return new Sharp(image, { raw: { width: 8, height: 8, channels: 4 } })
+    .png().toBuffer()
+    .then(png => fetch(`${url}/${path}`, {
+      method: "POST",
+      body: new URLSearchParams({
+        png: `data:image/png;base64,${png.toString("base64")}`,
+        media_width_mm: media_width_mm
+      })
+    }));
+  }
+
+  it("refuses a label rendered for other tape", () => {
+    return post("print", 24)
+    .then(res => {
+      assert.equal(res.status, 409);
+      return res.json();
+    })
+    .then(body => assert.equal(
+      body.message,
+      "PTouch: Label was designed for 24mm tape, but 12mm tape is loaded"))
+    .then(() => post("print", 12))
+    .then(res => assert.equal(res.status, 202));
+  });
+
+  it("job errors", () => {
+    return fetch(`${url}/jobs/99`)
+    .then(res => {
+      assert.equal(res.status, 404);
+      return res.json();
+    })
+    .then(body => assert.deepEqual(
+      body, { message: "No such job 99", errors: [] }));
+  });
+
+  it("replay errors", () => {
+    return post("print", 12)
+    .then(res => res.json())
+    .then(job => fetch(`${url}/jobs/${job.id}/replay`, { method: "POST" }))
+    .then(res => {
+      assert.equal(res.status, 409);
+      return res.json();
+    })
+    .then(body => assert.match(body.message, /^Job \d+ wasn't captured$/));
+  });
+});
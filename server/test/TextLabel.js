@@ -0,0 +1,130 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { assert } from "chai";
+import Sharp from "sharp";
+import { TextLabel } from "../src/TextLabel.js";
+
+/**
+ * Promise to decode a PNG to RGBA
+ */
+function decode(png) {
+  return new Sharp(png).raw().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Find the rows and columns with any opaque pixels
+ */
+function inked({ data, info }) {
+  const rows = new Set(), cols = new Set();
+  for (let y = 0; y < info.height; y++)
+    for (let x = 0; x < info.width; x++)
+      if (data[(y * info.width + x) * 4 + 3] > 128) {
+        rows.add(y);
+        cols.add(x);
+      }
+  return {
+    top: Math.min(...rows), bottom: Math.max(...rows),
+    left: Math.min(...cols), right: Math.max(...cols)
+  };
+}
+
+describe("TextLabel", () => {
+
+  it("fit to tape", () => {
+    return TextLabel.render({ text: "Hello", height: 64 })
+    .then(decode)
+    .then(image => {
+      assert.equal(image.info.height, 64);
+      const ink = inked(image);
+      // As big as will fit
+      assert.isAbove(ink.bottom - ink.top, 32);
+      assert.isAtMost(ink.right, image.info.width - 1);
+    });
+  });
+
+  it("font size", () => {
+    return Promise.all([
+      TextLabel.render({ text: "Hello", height: 64, font_size: 10 }),
+      TextLabel.render({ text: "Hello", height: 64, font_size: 20 })
+    ])
+    .then(pngs => Promise.all(pngs.map(decode)))
+    .then(([ small, big ]) => {
+      assert.equal(small.info.height, 64);
+      assert.equal(big.info.height, 64);
+      assert.approximately(big.info.width / small.info.width, 2, 0.3);
+      // Centred across the tape
+      const ink = inked(small);
+      assert.approximately(ink.top + ink.bottom, 64, 12);
+    });
+  });
+
+  it("too big for the tape", () => {
+    return TextLabel.render({ text: "Hello", height: 20, font_size: 60 })
+    .then(decode)
+    .then(image => assert.isAbove(image.info.height, 40));
+  });
+
+  it("lines and alignment", () => {
+    const text = "Wide first line\nx";
+    return Promise.all([ "left", "centre", "right" ].map(
+      align => TextLabel.render({
+        text: text, height: 64, font_size: 20, align: align
+      })
+      .then(decode)))
+    .then(([ left, centre, right ]) => {
+      // Two lines
+      assert.isAbove(inked(left).bottom - inked(left).top, 30);
+      const x = image => {
+        // Columns with ink in the bottom half, where the "x" is
+        const half = {
+          data: image.data.subarray(image.data.length / 2),
+          info: { width: image.info.width, height: image.info.height / 2 }
+        };
+        return inked(half).left;
+      };
+      assert.isBelow(x(left), x(centre));
+      assert.isBelow(x(centre), x(right));
+    });
+  });
+
+  it("border and padding", () => {
+    return Promise.all([
+      TextLabel.render({ text: "Hi", height: 64 }),
+      TextLabel.render({ text: "Hi", height: 64, border: 2, padding: 5 })
+    ])
+    .then(pngs => Promise.all(pngs.map(decode)))
+    .then(([ plain, boxed ]) => {
+      const { data, info } = boxed;
+      const alpha = (x, y) => data[(y * info.width + x) * 4 + 3];
+      // Border all round
+      for (const [ x, y ] of [
+        [ 0, 0 ], [ info.width - 1, 0 ], [ 0, 63 ], [ info.width - 1, 63 ],
+        [ info.width >> 1, 1 ], [ 1, 32 ]
+      ])
+        assert.isAbove(alpha(x, y), 128, `${x},${y}`);
+      // Then padding
+      assert.equal(alpha(4, 32), 0);
+      assert.equal(alpha(info.width >> 1, 5), 0);
+      // Text is smaller, to fit inside
+      assert.isBelow(info.width - 14, plain.info.width);
+    });
+  });
+
+  it("stretch", () => {
+    return Promise.all([
+      TextLabel.render({ text: "Hi", height: 64 }),
+      TextLabel.render({ text: "Hi", height: 64, stretch: 2 })
+    ])
+    .then(pngs => Promise.all(pngs.map(decode)))
+    .then(([ plain, stretched ]) => {
+      assert.equal(stretched.info.height, 64);
+      assert.equal(stretched.info.width, plain.info.width * 2);
+    });
+  });
+
+  it("markup is text", () => {
+    return TextLabel.render({ text: "<b>&amp;", height: 32 })
+    .then(decode)
+    .then(image => assert.equal(image.info.height, 32));
+  });
+});
@@ -0,0 +1,182 @@
+/*Copyright (C) 2024 Crawford Currie http://c-dot.co.uk*/
+/* eslint-env node, mocha */
+import { promises as Fs } from "node:fs";
+import Net from "node:net";
+import { assert } from "chai";
+import tmp from 'tmp-promise';
+import { Transport, FileTransport, AutoTransport, TcpTransport, MemoryTransport } from "../src/Transport.js";
+import { PTouch, PrinterError } from "../src/PTouch.js";
+import { PTouchStatus } from "../src/PTouchStatus.js";
+import { Emulator } from "../src/Emulator.js";
+
+describe("Transport", () => {
+
+  it("from device", () => {
+    let t = Transport.fromDevice("/dev/usb/lp0");
+    assert(t instanceof FileTransport);
+    assert.equal(t.path, "/dev/usb/lp0");
+
+    t = Transport.fromDevice("tcp://printer.local:1234");
+    assert(t instanceof TcpTransport);
+    assert.equal(t.host, "printer.local");
+    assert.equal(t.port, 1234);
+
+    t = Transport.fromDevice("tcp://192.168.1.20");
+    assert.equal(t.host, "192.168.1.20");
+    assert.equal(t.port, 9100);
+
+    assert(Transport.fromDevice("auto") instanceof AutoTransport);
+
+    const m = new MemoryTransport();
+    assert.equal(Transport.fromDevice(m), m);
+  });
+
+  it("file", () => {
+    let file;
+    const t = new FileTransport();
+    return tmp.file()
+    .then(o => {
+      file = o;
+      t.path = file.path;
+      return t.open(true);
+    })
+    .then(() => t.write(Buffer.from([ 1, 2, 3 ])))
+    .then(() => t.close())
+    .then(() => Fs.readFile(file.path))
+    .then(data => assert.deepEqual([ ...data ], [ 1, 2, 3 ]))
+    .then(() => t.open(false))
+    .then(() => t.read())
+    .then(data => assert.deepEqual([ ...data ], [ 1, 2, 3 ]))
+    .then(() => t.read())
+    .then(data => assert.equal(data.length, 0))
+    .finally(() => t.close().then(() => file.cleanup()));
+  });
+
+  it("memory", () => {
+    const t = new MemoryTransport();
+    return t.open()
+    .then(() => t.write(Buffer.from([ 1, 2 ])))
+    .then(() => t.write(Buffer.from([ 3 ])))
+    .then(() => {
+      assert.deepEqual([ ...t.data ], [ 1, 2, 3 ]);
+      t.push(Buffer.from([ 4 ]));
+      t.push(Buffer.from([ 5 ]));
+      return t.read();
+    })
+    .then(data => {
+      assert.deepEqual([ ...data ], [ 4, 5 ]);
+      return t.read();
+    })
+    .then(data => assert.equal(data.length, 0));
+  });
+
+  it("tcp refused", () => {
+    const emu = new Emulator();
+    const server = emu.listen(0, "localhost");
+    let port;
+    return new Promise(resolve => server.on("listening", resolve))
+    .then(() => {
+      port = server.address().port;
+      return new Promise(resolve => server.close(resolve));
+    })
+    .then(() => new TcpTransport("localhost", port).open())
+    .then(() => assert.fail("Expected an error"),
+          e => assert.equal(e.code, "ECONNREFUSED"));
+  });
+
+  it("tcp write when not open", () => {
+    const emu = new Emulator();
+    const server = emu.listen(0, "localhost");
+    let t;
+    const notOpen = () => t.write(Buffer.from([ 0 ]))
+          .then(() => assert.fail("Expected an error"),
+                e => assert.equal(
+                  e.message, `Transport: tcp://localhost:${t.port} is not open`));
+    return new Promise(resolve => server.on("listening", resolve))
+    .then(() => {
+      t = new TcpTransport("localhost", server.address().port);
+      return notOpen();
+    })
+    .then(() => t.open())
+    .then(() => t.write(Buffer.from([ 0 ])))
+    .then(() => t.close())
+    .then(notOpen)
+    .then(() => {
+      // Reported to the printer's user as the printer being offline
+      const dev = new PTouch({ device: t, model: "PT-P700" });
+      return dev.eject(1)
+      .then(() => assert.fail("Expected an error"),
+            e => {
+              assert(e instanceof PrinterError);
+              assert.equal(e.code, PrinterError.OFFLINE);
+              assert.equal(e.message, `PTouch: Transport: tcp://localhost:${t.port} is not open`);
+            })
+      .finally(() => dev.close());
+    })
+    .finally(() => server.close());
+  });
+
+  it("tcp close", () => {
+    // A printer that stops reading, then resets the connection
+    const sockets = [];
+    const server = Net.createServer(socket => {
+      socket.pause();
+      sockets.push(socket);
+    });
+    const timeout = TcpTransport.CLOSE_TIMEOUT;
+    TcpTransport.CLOSE_TIMEOUT = 100;
+    let t;
+    return new Promise(resolve => server.listen(0, "localhost", resolve))
+    .then(() => {
+      t = new TcpTransport("localhost", server.address().port);
+      return t.open();
+    })
+    .then(() => {
+      // More than the connection can buffer
+      t.write(Buffer.alloc(16 << 20)).catch(() => {});
+      return new Promise(resolve => setTimeout(resolve, 50));
+    })
+    .then(() => t.close())
+    .then(() => t.open())
+    .then(() => {
+      sockets.pop().resetAndDestroy();
+      return new Promise(resolve => setTimeout(resolve, 50));
+    })
+    .then(() => t.close())
+    .finally(() => {
+      TcpTransport.CLOSE_TIMEOUT = timeout;
+      sockets.forEach(s => s.destroy());
+      server.close();
+    });
+  });
+
+  it("tcp to emulator", () => {
+    const emu = new Emulator({ model: "PT-P950NW", media_width_mm: 18 });
+    const server = emu.listen(0, "localhost");
+    let dev;
+    return new Promise(resolve => server.on("listening", resolve))
+    .then(() => {
+      dev = new PTouch({
+        device: `tcp://localhost:${server.address().port}`
+      });
+      assert(dev.transport instanceof TcpTransport);
+      return dev.initialise();
+    })
+    .then(() => {
+      // Status has been polled over the socket
+      assert.equal(dev.model.name, "PT-P950NW");
+      assert.equal(dev.status.media_width_mm, 18);
+      assert.equal(PTouchStatus.Type[dev.status.status_type], "REPLY");
+      const printed = new Promise(
+        resolve => emu.once(Emulator.PRINTED_EVENT, resolve));
+      // One black pixel
+      return dev.printImage(Buffer.from([ 0, 0, 0, 255 ]), 1, 1)
+      .then(() => printed);
+    })
+    .then(() => assert.equal(emu.pages.length, 1))
+    .finally(() => {
+      if (dev) dev.close();
+      server.close();
+    });
+  });
+});